@@ -1,11 +1,54 @@
 #!/usr/bin/env node
 
+import fs from "fs";
+import readline from "readline/promises";
 import { Command } from "commander";
 import chalk from "chalk";
 import ora from "ora";
-import { decomposeTask } from "../src/planner.js";
-import { getConsensusResult } from "../src/consensus.js";
-import { CONFIG } from "../src/config.js";
+import { CONFIG, SETTING_TYPES, parseSetting } from "../src/config.js";
+import { CONFIG_FILES, ConfigError, PROFILES, applySettings, resolveSettings } from "../src/settings.js";
+import { listProviders } from "../src/providers.js";
+import { listStrategies } from "../src/voting.js";
+import { BudgetExceededError, formatCost, getUsageTracker, priceFor } from "../src/usage.js";
+import { listCheckpoints, loadCheckpoint } from "../src/checkpoint.js";
+import { createPlan, initialStateFor, loadPlan, savePlan, stepDependencies, stepId } from "../src/plan.js";
+import { countSteps, describeStep } from "../src/control-flow.js";
+import { runMapReduce } from "../src/map-reduce.js";
+import { RunStoppedError, addUsage, createMaker } from "../src/maker.js";
+import { ApiError } from "../src/retry.js";
+import { CassetteMissError } from "../src/cassette.js";
+import { canonicalStringify } from "../src/utils.js";
+
+const OUTPUT_FORMATS = ["text", "json", "ndjson"];
+
+// Exit codes, by why a command failed (listed in the help text)
+const EXIT_CODES = { ok: 0, error: 1, planning: 2, consensus: 3, budget: 4, api: 5 };
+
+// How results are printed, set by configureOutput()
+const output = { format: "text", quiet: false, statePath: null };
+
+// Command line options that set one setting each (see resolveCliSettings for the others)
+const FLAG_SETTINGS = {
+  provider: "PROVIDER",
+  model: "MODEL_NAME",
+  k: "VOTE_MARGIN_K",
+  maxAttempts: "MAX_ATTEMPTS_PER_STEP",
+  voting: "VOTING",
+  maxDepth: "MAX_PLAN_DEPTH",
+  maxParallel: "MAX_PARALLEL_STEPS",
+  planVoting: "PLAN_VOTING",
+  reducer: "STATE_REDUCER",
+  historyLength: "HISTORY_LENGTH",
+  normalize: "NORMALIZATION",
+  maxResponseTokens: "MAX_RESPONSE_TOKENS",
+  targetReliability: "TARGET_RELIABILITY",
+  maxCost: "MAX_COST",
+  maxCalls: "MAX_CALLS",
+  batchSize: "BATCH_SIZE",
+  maxRpm: "MAX_RPM",
+  maxTpm: "MAX_TPM",
+  maxConcurrency: "MAX_CONCURRENCY",
+};
 
 const program = new Command();
 
@@ -13,8 +56,47 @@ program
   .name("maker")
   .description("Massively Decomposed Agentic Processes - Ultra-reliable AI task execution via consensus voting")
   .version("1.0.0")
-  .argument("<prompt>", 'Natural language task to execute (e.g., "Start with 0, add 10, multiply by 2")')
-  .option("--high", "Use gemini-flash-latest instead of gemini-flash-lite-latest (higher quality, slower)")
+  .configureHelp({ showGlobalOptions: true })
+  .argument("[prompt]", 'Natural language task to execute (e.g., "Start with 0, add 10, multiply by 2"); read from stdin when left out')
+  .option("--prompt-file <file>", 'Read the task from a file ("-" for stdin)')
+  .option("--state <file>", 'Start from the state in this JSON file ("-" for stdin) instead of { original_task, history: [] }')
+  .option("--out <file>", "Also write the final state to this file (JSON) when the run completes")
+  .option("--config <file>", `Config file (default: ${CONFIG_FILES.join(" or ")} in this directory, or ~/.makerrc)`)
+  .option("--profile <name>", `Settings profile from the config file or built in (${Object.keys(PROFILES).join(", ")})`)
+  .option("--set <setting=value>", 'Set any setting, e.g. "EARLY_TERMINATION=false" (repeatable; see `maker config show`)', (value, previous = []) => [...previous, value])
+  .option("--high", "Same as --profile high: gemini-flash-latest instead of gemini-flash-lite-latest (higher quality, slower)")
+  .option("--provider <name>", `Model provider (${listProviders().join(", ")})`)
+  .option("--model <name>", "Model name to request from the provider")
+  .option("--k <n>", "Votes ahead the winner needs with ahead-by-k voting (default 10)", parseInt)
+  .option("--max-attempts <n>", "Votes per step at most before the step fails (default 15)", parseInt)
+  .option("--voting <spec>", `Voting strategy: ${listStrategies().join(", ")} (e.g. "majority:n=7", "supermajority:n=10,threshold=0.8")`)
+  .option("--recursive", "Decompose recursively into a tree of subgoals; leaves (voted atomic) are executed")
+  .option("--max-depth <n>", "Depth limit for --recursive decomposition (default 3)", parseInt)
+  .option("--dag", "Plan a dependency graph of steps; independent steps run in parallel")
+  .option("--max-parallel <n>", "Most plan steps running at once (default 4)", parseInt)
+  .option("--plan-voting <spec>", 'Voting strategy for the plan\'s step count and steps (default "ahead-by-k:k=2")')
+  .option("--reducer <spec>", "How step results fold into state: merge, deep-merge, replace, value, append:<key>, set:<key> (default merge)")
+  .option("--history-length <n>", "Recent step results kept in state.history (default 5)", parseInt)
+  .option("--invariant <expr>", 'Check the state after every step, e.g. "state.current_value >= 0" (repeatable)', (value, previous = []) => [...previous, value])
+  .option("--state-schema <file>", "Check the state after every step against this JSON Schema file")
+  .option("--normalize <rules>", 'Merge equivalent answers before voting: trim, casefold, numbers, sets, unwrap, tolerance=<n>, or "all"')
+  .option("--max-response-tokens <n>", "Red-flag responses longer than this many tokens", parseInt)
+  .option("--result-schema <file>", "Red-flag results that don't match this JSON Schema file")
+  .option("--target-reliability <p>", "Pick K per step to reach this whole-task success probability (e.g. 0.99)", parseFloat)
+  .option("--record <file>", "Record every model call to a cassette file")
+  .option("--replay <file>", "Replay model responses from a cassette file (no network)")
+  .option("--shared-rate-limit [file]", "Share one RPM/TPM budget with other MAKER processes on this machine")
+  .option("--max-cost <usd>", "Stop (and save a checkpoint) before the run spends more than this many USD", parseFloat)
+  .option("--max-calls <n>", "Stop (and save a checkpoint) before the run makes more than this many model calls", parseInt)
+  .option("--batch-size <n>", "Agents voting in parallel per batch (default 50)", parseInt)
+  .option("--max-rpm <n>", "Model requests per minute at most (default 3500)", parseInt)
+  .option("--max-tpm <n>", "Input + output tokens per minute at most (default 3500000)", parseInt)
+  .option("--max-concurrency <n>", "Model requests in flight at once at most (default 25)", parseInt)
+  .option("--prices <file>", 'JSON price table, USD per 1M tokens: {"<model>": {"input": 0.1, "output": 0.4}}')
+  .option("--output <format>", `Output format: ${OUTPUT_FORMATS.join(", ")} (json: one document at the end, ndjson: one event per line as the run goes)`)
+  .option("--json", "Same as --output json")
+  .option("--quiet", "Print only the final result (and errors), no progress")
+  .option("--interactive", "Pause after planning and after every step: accept, pick another answer, type one, edit the next instruction, skip or stop")
   .addHelpText(
     "after",
     `
@@ -23,6 +105,30 @@ Examples:
   $ maker "Calculate the sum of numbers from 1 to 10"
   $ maker "Convert 100 USD to EUR using approximate rates"
   $ maker --high "Complex reasoning task"  # Use higher quality model
+  $ maker --prompt-file task.txt --state state.json --out next.json  # Continue from earlier results
+  $ cat task.txt | maker --quiet | maker --state - "Now double it"  # Chain runs: state in, state out
+  $ maker --profile paranoid "Add 1 to 0, fifty times"  # Built-in profiles: lite, high, paranoid
+  $ maker --set EARLY_TERMINATION=false --max-rpm 100 "Add 2 and 3"
+  $ maker --provider ollama --model llama3.1 "Add 2 and 3"  # Local model, nothing leaves the machine
+  $ maker --voting "unanimity:n=3" "Add 2 and 3"  # Cheaper, stricter voting
+  $ maker --normalize "trim,casefold,numbers,tolerance=1e-6" "Convert 100 USD to EUR"
+  $ maker --target-reliability 0.99 "Add 1 to 0, fifty times"  # K chosen automatically
+  $ maker --recursive --max-depth 4 "Plan and cost a 3-course dinner for 6"  # Step tree
+  $ maker --dag "Compute 17*23 and 41*12, then add them"  # Independent steps run in parallel
+  $ maker --invariant "Number.isInteger(state.current_value)" "Add 1 to 0, ten times"  # Re-vote bad state
+  $ maker --record run.ndjson "Add 2 and 3"   # Save every prompt/response pair
+  $ maker --replay run.ndjson "Add 2 and 3"   # Re-run exactly, offline
+  $ maker --shared-rate-limit "Add 2 and 3"   # Stay within one quota alongside other runs
+  $ maker --max-cost 0.50 "Add 1 to 0, fifty times"   # Hard spending cap
+  $ maker --interactive "Summarize the contract, then list its risks"   # Settle close votes yourself
+  $ maker plan "Add 1 to 0, fifty times" -o plan.json   # Save the plan for review/editing
+  $ maker run --plan plan.json                          # Execute a saved or hand-written plan
+  $ maker runs                                          # Runs that stopped early
+  $ maker resume 20250101-120000-a1b2 --k 5             # Continue one from its last completed step
+  $ maker map --input book.txt --map "List the characters who appear" --reduce "Merge the lists"
+  $ maker --json "Add 2 and 3" | jq .state             # State, plan, per-step votes and timings as one document
+  $ maker --output ndjson "Add 2 and 3"                 # Stream every event as a JSON line
+  $ maker config show --profile lite                    # Effective settings and where each comes from
 
 How it works:
   1. Decomposes your task into atomic steps
@@ -31,98 +137,1040 @@ How it works:
   4. Each step has fresh context (no error propagation)
 
 Configuration:
-  Set GEMINI_API_KEY in .env file
-  Adjust VOTE_MARGIN_K and MAX_ATTEMPTS_PER_STEP in src/config.js
+  Set GEMINI_API_KEY in .env file (or MAKER_PROVIDER / MAKER_MODEL for other backends)
+  OpenAI-compatible: OPENAI_BASE_URL, OPENAI_API_KEY
+  Ollama: OLLAMA_BASE_URL    llama.cpp: LLAMACPP_BASE_URL
+  Shared rate limit for every process: MAKER_RATE_LIMIT_BACKEND=file (MAKER_RATE_LIMIT_FILE)
+  Any setting: maker.config.json / .makerrc (with "profiles"), MAKER_<SETTING> variables, or --set
+  Later layers win: defaults < config file < profile < environment < flags
+
+Exit codes:
+  0  Success
+  1  Invalid options or input files, unknown run, stopped with --interactive, other errors
+  2  Planning failed (the planners did not agree)
+  3  A step failed (no consensus, or a while loop over its limit)
+  4  Budget reached (--max-cost / --max-calls); the checkpoint can be resumed
+  5  Model calls failed (API errors after retries, or a response missing from a --replay cassette)
 `
   )
   .action(async (prompt, options) => {
-    // Override model if --high flag is used
-    if (options.high) {
-      CONFIG.MODEL_NAME = "gemini-flash-latest";
-      CONFIG.MAX_RPM = 500;
-      console.log(chalk.dim("Using gemini-flash-latest (high quality mode)"));
+    configure(options);
+    const task = await readTask(prompt, options);
+    const state = await readState(options, task);
+    say(chalk.bold.blue("🤖 MAKER CLI - Initializing..."));
+
+    await finishRun(createConsoleMaker(options), (maker) => maker.run(task, { state }));
+  });
+
+program
+  .command("plan")
+  .description("Decompose a task and save the plan for review/editing, without executing it")
+  .argument("[task]", "Natural language task to plan (or --prompt-file, or stdin)")
+  .requiredOption("-o, --plan-out <file>", "Where to write the plan (JSON)")
+  .action(async (prompt, _options, command) => {
+    const options = command.optsWithGlobals();
+    const file = options.planOut;
+    configure(options);
+    const task = await readTask(prompt, options);
+    // --state is saved as the plan's initialState
+    const state = options.state ? await readJsonInput(options.state, "state") : undefined;
+    say(chalk.bold.blue("🤖 MAKER CLI - Planning..."));
+
+    const startedAt = new Date();
+    const maker = createConsoleMaker(options);
+    let plan;
+    try {
+      plan = await maker.plan(task);
+      if (state !== undefined) plan = createPlan({ ...plan, initialState: state });
+    } catch (error) {
+      const kind = failureKind(error, "planning");
+      if (output.format !== "text") {
+        printDocument({ status: kind === "budget" ? "budget_exceeded" : "failed", exitCode: EXIT_CODES[kind], error: { kind, message: error.message }, task, plan: null, planPath: null, usage: maker.usage.summary(), timings: timings(startedAt) });
+      } else if (output.quiet) {
+        console.error(chalk.red(error.message));
+      } else if (error instanceof BudgetExceededError) {
+        printUsageSummary(maker.usage.summary());
+      }
+      process.exit(EXIT_CODES[kind]);
+    }
+    savePlan(plan, file);
+    if (output.format !== "text") {
+      printDocument({ status: "completed", exitCode: EXIT_CODES.ok, error: null, task, plan, planPath: file, usage: maker.usage.summary(), timings: timings(startedAt) });
+      return;
+    }
+    if (output.quiet) return;
+    if (!plan.tree && !options.dag) {
+      plan.steps.forEach((step, i) => console.log(`${chalk.dim(`${i + 1}.`)} ${describeStep(step)}`));
     }
+    console.log(chalk.green(`\nPlan saved to ${file}.`) + ` Review or edit it, then run: ${chalk.bold(`maker run --plan ${file}`)}`);
+    printUsageSummary(maker.usage.summary());
+  });
 
-    console.log(chalk.bold.blue("🤖 MAKER CLI - Initializing..."));
+program
+  .command("run")
+  .description("Execute a saved (or hand-written) plan file")
+  .requiredOption("--plan <file>", "Plan file created by `maker plan` or written by hand")
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
+    configure(options);
 
-    const spinner = ora("Decomposing task...").start();
+    let plan;
+    try {
+      plan = loadPlan(options.plan);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(EXIT_CODES.error);
+    }
+    // --state replaces the plan's initialState
+    const state = await readState(options, plan.task, plan);
+    say(chalk.bold.blue("🤖 MAKER CLI - Initializing..."));
+    say(chalk.green(`✔ Loaded plan ${options.plan} with ${plan.steps.length} steps.`));
+    await finishRun(createConsoleMaker(options), (maker) => maker.runPlan(plan, { state }));
+  });
 
+program
+  .command("resume")
+  .description("Continue a stopped run from its last completed step (flags override the run's settings)")
+  .argument("<run-id>", "Run id, as printed by the run or listed by `maker runs`")
+  .action(async (runId, _options, command) => {
+    const options = command.optsWithGlobals();
+    configureOutput(options);
+    if (options.state || options.promptFile) {
+      console.error(chalk.red(`${options.state ? "--state" : "--prompt-file"} cannot be used with resume: the run continues with its own task and state`));
+      process.exit(EXIT_CODES.error);
+    }
+    // The runs directory may come from a config file
+    applySettings(resolveCliSettings(options));
+    let checkpoint;
     try {
-      // 1. Decompose
-      const steps = await decomposeTask(prompt);
-      spinner.succeed(chalk.green(`Plan created with ${steps.length} steps.`));
-
-      // Initial state with history buffer and original task for grounding
-      let state = {
-        original_task: prompt,  // The "God View"
-        history: []
-      };
-
-      // 2. Execute Steps
-      for (let i = 0; i < steps.length; i++) {
-
-        // --- RATE LIMIT SAFETY PIT STOP ---
-        // Every 60 steps, force a cooldown to let the 1-minute RPM window reset
-        if (i > 0 && i % 60 === 0 && options.high) {
-          const pauseSpinner = ora(chalk.yellow("Rate Limit Safety: Cooling down for 60s...")).start();
-          await new Promise(resolve => setTimeout(resolve, 75000));
-          pauseSpinner.succeed("Cooled down. Resuming.");
-        }
+      checkpoint = loadCheckpoint(runId);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(EXIT_CODES.error);
+    }
+    configure(options, checkpoint);
+    say(chalk.bold.blue("🤖 MAKER CLI - Resuming..."));
+
+    await finishRun(createConsoleMaker(options), (maker) => maker.resume(checkpoint));
+  });
+
+program
+  .command("runs")
+  .description("List runs that stopped early and can be resumed")
+  .option("--all", "Include completed runs")
+  .action((_options, command) => {
+    const options = command.optsWithGlobals();
+    configureOutput(options);
+    applySettings(resolveCliSettings(options));
+    const runs = listCheckpoints().filter(run => options.all || run.status !== "completed");
+    if (output.format !== "text") {
+      const summaries = runs.map(run => ({
+        runId: run.runId,
+        status: run.status,
+        task: run.task,
+        completedSteps: run.completedSteps ?? 0,
+        totalSteps: run.plan ? run.plan.steps.length : null,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+      }));
+      if (output.format === "json") console.log(JSON.stringify(summaries, null, 2));
+      else summaries.forEach(summary => console.log(JSON.stringify(summary)));
+      return;
+    }
+    if (output.quiet) {
+      runs.forEach(run => console.log(run.runId));
+      return;
+    }
+    if (runs.length === 0) {
+      console.log(chalk.dim(`No ${options.all ? "" : "resumable "}runs in ${CONFIG.RUNS_DIR}`));
+      return;
+    }
+    const statusColors = { completed: chalk.green, running: chalk.cyan, failed: chalk.red, budget_exceeded: chalk.yellow, stopped: chalk.yellow };
+    for (const run of runs) {
+      const status = (statusColors[run.status] || chalk.white)(run.status.padEnd(15));
+      const progress = `${run.completedSteps ?? 0}/${run.plan ? run.plan.steps.length : "?"} steps`.padEnd(13);
+      const task = run.task.length > 60 ? `${run.task.slice(0, 57)}...` : run.task;
+      console.log(`${chalk.bold(run.runId)}  ${status} ${progress} ${chalk.dim(run.updatedAt.slice(0, 19).replace("T", " "))}  ${task}`);
+    }
+    if (!options.all) console.log(chalk.dim(`\nResume one with: maker resume <run-id>`));
+  });
 
-        const step = steps[i];
-        const stepSpinner = ora(`Step ${i + 1}/${steps.length}: ${step}`).start();
-
-        try {
-          const { value, metadata } = await getConsensusResult(state, step, (voteType) => {
-            if (voteType === "valid") {
-              stepSpinner.text = `Step ${i + 1}/${steps.length}: ${step} ${chalk.dim("(Voting...)")}`;
-            } else {
-              stepSpinner.text = `Step ${i + 1}/${steps.length}: ${step} ${chalk.red("(Flagged)")}`;
-            }
-          });
-
-          // --- SMART STATE MANAGEMENT ---
-
-          // 1. Update History (Keep last 5 items)
-          const previousHistory = state.history || [];
-          const updatedHistory = [...previousHistory, value].slice(-5);
-
-          // 2. Merge Value
-          if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-            // If result is an object, MERGE it 
-            state = { ...state, ...value, history: updatedHistory };
-          } else {
-            // If result is primitive, store as 'current_value' 
-            state = { ...state, current_value: value, history: updatedHistory };
-          }
-
-          const valStr = typeof value === 'object' ? JSON.stringify(value).substring(0, 50) : value;
-          const kInfo = CONFIG.DEV_MODE ? ` (K=${metadata.voteMargin})` : "";
-          stepSpinner.succeed(chalk.green(`Step ${i + 1} Complete: ${chalk.bold(valStr)}${kInfo}`));
-
-          if (CONFIG.DEV_MODE) {
-            console.log(chalk.dim(`  Full Result: ${JSON.stringify(value)}`));
-          }
-        } catch (error) {
-          stepSpinner.fail(chalk.red(`Step ${i + 1} Failed: ${error.message}`));
-          if (CONFIG.DEV_MODE) {
-            console.error(chalk.red("\n[DEV MODE] Step Failure Details:"));
-            console.error("Step:", step);
-            console.error("State:", JSON.stringify(state, null, 2));
-            console.error("Error:", error);
-            if (error.stack) console.error("Stack:", error.stack);
-          }
-          process.exit(1);
+program
+  .command("config")
+  .description("Inspect the configuration")
+  .command("show")
+  .description("Print the effective settings and where each one comes from (default, config file, profile, environment, flag)")
+  .action((_options, command) => {
+    const options = command.optsWithGlobals();
+    configureOutput(options);
+    const settings = resolveCliSettings(options);
+    const shown = Object.fromEntries(Object.entries(settings.values).map(([key, value]) => [key, {
+      value: SETTING_TYPES[key].secret && value ? "(set)" : value,
+      source: settings.sources[key],
+    }]));
+
+    if (output.format !== "text") {
+      printDocument({ file: settings.file, profile: settings.profile, settings: shown });
+      return;
+    }
+    console.log(`${chalk.bold("Config file:")} ${settings.file ?? chalk.dim(`none (${CONFIG_FILES.join(", ")} or ~/.makerrc)`)}`);
+    console.log(`${chalk.bold("Profile:")}     ${settings.profile ?? chalk.dim("none")} ${chalk.dim(`(built in: ${Object.keys(PROFILES).join(", ")})`)}\n`);
+    const width = Math.max(...Object.keys(shown).map(key => key.length));
+    for (const [key, { value, source }] of Object.entries(shown)) {
+      let text = JSON.stringify(value);
+      if (text.length > 48) text = `${text.slice(0, 45)}...`;
+      console.log(`${key.padEnd(width)}  ${text.padEnd(48)}  ${source === "default" ? chalk.dim(source) : chalk.cyan(source)}`);
+    }
+  });
+
+program
+  .command("map")
+  .description("Map-reduce over an input too large for one prompt: vote on every chunk, then fold the results")
+  .requiredOption("--input <file>", "Input text file")
+  .requiredOption("--map <instruction>", "Instruction applied to every chunk")
+  .option("--reduce <instruction>", "Instruction that combines two or more partial results (default: list the map results)")
+  .option("--chunk-size <chars>", "Characters per chunk (default 4000)", parseInt)
+  .option("--overlap <chars>", "Characters shared by neighbouring chunks (default 200)", parseInt)
+  .option("--fan-in <n>", "Partial results combined per reduce vote (default 4)", parseInt)
+  .option("--progress <file>", "Progress file for resuming (default: one per job in .maker/runs)")
+  .option("--fresh", "Ignore saved progress and start over")
+  .option("-o, --result-file <file>", "Also write the result to this file (JSON)")
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
+    const file = options.resultFile ?? options.out;
+    configure(options);
+
+    for (const [flag, value, min] of [["--chunk-size", options.chunkSize, 1], ["--overlap", options.overlap, 0], ["--fan-in", options.fanIn, 2]]) {
+      if (value !== undefined && !(Number.isInteger(value) && value >= min)) {
+        console.error(chalk.red(`${flag} must be an integer of at least ${min}`));
+        process.exit(EXIT_CODES.error);
+      }
+    }
+    if ((options.overlap ?? CONFIG.MAP_CHUNK_OVERLAP) * 2 >= (options.chunkSize ?? CONFIG.MAP_CHUNK_SIZE)) {
+      console.error(chalk.red("--overlap must be less than half the chunk size"));
+      process.exit(EXIT_CODES.error);
+    }
+
+    let input;
+    try {
+      input = fs.readFileSync(options.input, "utf8");
+    } catch (error) {
+      console.error(chalk.red(`Could not read input ${options.input}: ${error.message}`));
+      process.exit(EXIT_CODES.error);
+    }
+    say(chalk.bold.blue("🤖 MAKER CLI - Map-Reduce..."));
+
+    const startedAt = new Date();
+    const spinner = output.format === "text" && !output.quiet ? ora("Mapping chunks...").start() : null;
+    const stepUsage = [];
+    let status = "";
+    let stage = "Mapping chunks...";
+    const onVote = (voteType, detail) => {
+      if (output.format === "ndjson") {
+        if (voteType === "valid") printEvent({ type: "vote:cast" });
+        else if (voteType === "retry") printEvent({ type: "vote:retry", attempt: detail.attempt, delayMs: detail.delayMs });
+        else printEvent({ type: "vote:flagged", reason: detail.reason, detail: detail.detail });
+      }
+      if (!spinner) return;
+      if (voteType === "retry") {
+        status = ` ${chalk.yellow(`(API busy, retrying in ${(detail.delayMs / 1000).toFixed(1)}s)`)}`;
+      } else if (voteType === "flagged") {
+        status = ` ${chalk.red(`(Flagged: ${detail.reason})`)}`;
+      } else {
+        status = ` ${chalk.dim("(Voting...)")}`;
+      }
+      spinner.text = `${stage}${status}`;
+    };
+    const onProgress = ({ phase, level, done, total }) => {
+      if (output.format === "ndjson") printEvent({ type: "map:progress", phase, level, done, total });
+      if (!spinner) return;
+      stage = phase === "map" ? `Mapping chunks... ${done}/${total}` : `Reducing (level ${level})... ${done}/${total}`;
+      spinner.text = `${stage}${status}`;
+    };
+    const onUsage = (phase, usage) => {
+      stepUsage.push(phase === "map"
+        ? { step: 1, instruction: `map: ${options.map}`, usage }
+        : { step: 2, instruction: `reduce: ${options.reduce}`, usage });
+    };
+
+    let outcome;
+    try {
+      outcome = await runMapReduce({
+        input,
+        inputName: options.input,
+        map: options.map,
+        reduce: options.reduce,
+        chunkSize: options.chunkSize,
+        overlap: options.overlap,
+        fanIn: options.fanIn,
+        progressPath: options.progress,
+        fresh: options.fresh,
+      }, { onVote, onProgress, onUsage });
+    } catch (error) {
+      const kind = failureKind(error, "consensus");
+      if (output.format !== "text") {
+        printDocument({ status: kind === "budget" ? "budget_exceeded" : "failed", exitCode: EXIT_CODES[kind], error: { kind, message: error.message }, result: null, progressPath: error.progressPath ?? null, usage: getUsageTracker().summary(), timings: timings(startedAt) });
+      } else if (!spinner) {
+        console.error(chalk.red(error.message));
+      } else {
+        if (error instanceof BudgetExceededError) {
+          spinner.warn(chalk.yellow(`Stopped: ${error.message}`));
+        } else {
+          spinner.fail(chalk.red(`Error: ${error.message}`));
+        }
+        if (error.progressPath) {
+          console.log(chalk.dim(`Progress saved to ${error.progressPath}; run the same command again to resume.`));
         }
+        printUsageSummary(getUsageTracker().summary(), stepUsage);
       }
+      process.exit(EXIT_CODES[kind]);
+    }
 
-      // 3. Final Output
-      console.log("\n" + chalk.bold.magenta("🎉 Final Result:"));
-      console.log(JSON.stringify(state, null, 2));
+    if (file) {
+      fs.writeFileSync(file, JSON.stringify(outcome.result, null, 2) + "\n");
+    }
+    if (output.format !== "text") {
+      printDocument({ status: "completed", exitCode: EXIT_CODES.ok, error: null, result: outcome.result, chunks: outcome.chunks, resumed: outcome.resumed, progressPath: outcome.progressPath, usage: getUsageTracker().summary(), timings: timings(startedAt) });
+      return;
+    }
+    if (output.quiet) {
+      console.log(JSON.stringify(outcome.result, null, 2));
+      return;
+    }
+    const resumedInfo = outcome.resumed > 0 ? chalk.dim(` (${outcome.resumed} votes resumed from ${outcome.progressPath})`) : "";
+    spinner.succeed(chalk.green(`Processed ${outcome.chunks} chunks.`) + resumedInfo);
+
+    // Final Output
+    console.log("\n" + chalk.bold.magenta("🎉 Final Result:"));
+    console.log(JSON.stringify(outcome.result, null, 2));
+    printUsageSummary(getUsageTracker().summary(), stepUsage);
+  });
+
+/**
+ * Resolves the settings for a command from the config file, profile, environment, the run being resumed
+ * and the command line options (see src/settings.js). Exits on invalid settings.
+ * @param {object} options - Parsed command line options.
+ * @param {object} [run] - Checkpoint of the run being resumed.
+ * @returns {object} - From resolveSettings.
+ */
+function resolveCliSettings(options, run = null) {
+  const fail = (message) => {
+    console.error(chalk.red(message));
+    process.exit(EXIT_CODES.error);
+  };
+  if (options.high && options.profile && options.profile !== "high") {
+    fail("--high cannot be combined with --profile");
+  }
+  if (options.record && options.replay) {
+    fail("--record and --replay cannot be used together");
+  }
+  const readJson = (file, what) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      fail(`Could not load ${what} ${file}: ${error.message}`);
+    }
+  };
+
+  // Every option is a layer of its own, so `maker config show` can tell where a value came from;
+  // --set comes first, so a dedicated flag for the same setting wins
+  const layers = [];
+  for (const assignment of options.set || []) {
+    const separator = assignment.indexOf("=");
+    const key = assignment.slice(0, separator);
+    if (separator < 1 || !(key in SETTING_TYPES)) {
+      fail(`--set expects <SETTING>=<value> with a setting listed by \`maker config show\` (got "${assignment}")`);
+    }
+    try {
+      layers.push({ source: "--set", values: { [key]: parseSetting(key, assignment.slice(separator + 1)) } });
     } catch (error) {
-      spinner.fail(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      fail(`--set ${key}: ${error.message}`);
     }
+  }
+  for (const [option, key] of Object.entries(FLAG_SETTINGS)) {
+    if (options[option] !== undefined) {
+      layers.push({ source: `--${option.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`, values: { [key]: options[option] } });
+    }
+  }
+  if (options.invariant) {
+    layers.push({ source: "--invariant", values: { INVARIANTS: options.invariant } });
+  }
+  if (options.stateSchema) {
+    layers.push({ source: "--state-schema", values: { INVARIANTS: [{ name: options.stateSchema, schema: readJson(options.stateSchema, "state schema") }] } });
+  }
+  if (options.resultSchema) {
+    layers.push({ source: "--result-schema", values: { RESULT_SCHEMA: readJson(options.resultSchema, "result schema") } });
+  }
+  if (options.prices) {
+    layers.push({ source: "--prices", values: { MODEL_PRICES: readJson(options.prices, "price table") } });
+  }
+  if (options.sharedRateLimit) {
+    const file = typeof options.sharedRateLimit === "string" ? options.sharedRateLimit : undefined;
+    layers.push({ source: "--shared-rate-limit", values: { RATE_LIMIT_BACKEND: "file", RATE_LIMIT_FILE: file } });
+  }
+  if (options.record || options.replay) {
+    const mode = options.record ? "record" : "replay";
+    layers.push({ source: `--${mode}`, values: { CASSETTE_MODE: mode, CASSETTE_PATH: options.record || options.replay } });
+  }
+
+  try {
+    return resolveSettings({
+      configPath: options.config,
+      profile: options.profile ?? (options.high ? "high" : undefined),
+      run: run?.settings,
+      runSource: run ? `run ${run.runId}` : undefined,
+      layers,
+    });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    fail(error.message);
+  }
+}
+
+/**
+ * Validates the options, resolves the settings and applies them to CONFIG. Exits on invalid input.
+ * @param {object} options - Parsed command line options.
+ * @param {object} [run] - Checkpoint of the run being resumed (its settings are a layer of their own).
+ */
+function configure(options, run = null) {
+  configureOutput(options);
+
+  if (options.interactive) {
+    const problem = output.format !== "text" || output.quiet ? `--interactive cannot be combined with ${output.quiet ? "--quiet" : `--output ${output.format}`}`
+      : !process.stdin.isTTY || !process.stdout.isTTY ? "--interactive needs a terminal"
+        : options.promptFile === "-" || options.state === "-" ? "--interactive reads its answers from stdin, so the task and state cannot come from there"
+          : null;
+    if (problem) {
+      console.error(chalk.red(problem));
+      process.exit(EXIT_CODES.error);
+    }
+  }
+
+  if (options.maxDepth !== undefined) options.recursive = true;
+  if (options.dag && options.recursive) {
+    console.error(chalk.red("--dag cannot be combined with --recursive"));
+    process.exit(EXIT_CODES.error);
+  }
+
+  const settings = resolveCliSettings(options, run);
+  applySettings(settings);
+
+  if (settings.file) {
+    say(chalk.dim(`Using config file ${settings.file}`));
+  }
+  if (settings.profile) {
+    say(chalk.dim(`Using profile ${settings.profile} (model: ${CONFIG.MODEL_NAME})`));
+  }
+  if (CONFIG.PROVIDER !== "gemini") {
+    say(chalk.dim(`Using provider ${CONFIG.PROVIDER} (model: ${CONFIG.MODEL_NAME})`));
+  }
+  if (CONFIG.VOTING) {
+    say(chalk.dim(`Using voting strategy ${CONFIG.VOTING}`));
+  }
+  if (CONFIG.CASSETTE_MODE) {
+    const verb = CONFIG.CASSETTE_MODE === "record" ? "Recording to" : "Replaying from";
+    say(chalk.dim(`${verb} cassette ${CONFIG.CASSETTE_PATH}`));
+  }
+}
+
+/**
+ * Applies --output, --json and --quiet. Exits on an unknown format.
+ * @param {object} options - Parsed command line options.
+ */
+function configureOutput(options) {
+  const format = options.json ? "json" : options.output ?? "text";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(chalk.red(`Unknown output format "${format}". Available: ${OUTPUT_FORMATS.join(", ")}`));
+    process.exit(EXIT_CODES.error);
+  }
+  output.format = format;
+  output.quiet = Boolean(options.quiet);
+  output.statePath = options.out ?? null;
+}
+
+/**
+ * Reads a text input: a file, or stdin for "-".
+ * @param {string} file - File name or "-".
+ * @param {string} what - What the input is, for errors.
+ * @returns {Promise<string>}
+ */
+async function readInput(file, what) {
+  try {
+    if (file !== "-") return fs.readFileSync(file, "utf8");
+    // Not readFileSync(0): a pipe whose writer is still running fails with EAGAIN
+    let text = "";
+    process.stdin.setEncoding("utf8");
+    for await (const chunk of process.stdin) text += chunk;
+    return text;
+  } catch (error) {
+    console.error(chalk.red(`Could not read ${what} from ${file === "-" ? "stdin" : file}: ${error.message}`));
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+/**
+ * @param {string} file - JSON file name or "-".
+ * @param {string} what - What the input is, for errors.
+ * @returns {Promise<any>}
+ */
+async function readJsonInput(file, what) {
+  const text = await readInput(file, what);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error(chalk.red(`Could not parse ${what} from ${file === "-" ? "stdin" : file}: ${error.message}`));
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+/**
+ * Picks the task: the prompt argument, --prompt-file, or stdin when it is piped in. Exits if there is
+ * none, or more than one.
+ * @param {string} [prompt] - The prompt argument.
+ * @param {object} options - Parsed command line options.
+ * @returns {Promise<string>}
+ */
+async function readTask(prompt, options) {
+  const fail = (message) => {
+    console.error(chalk.red(message));
+    process.exit(EXIT_CODES.error);
+  };
+  if (prompt !== undefined && options.promptFile) {
+    fail("Give the task either as an argument or with --prompt-file, not both");
+  }
+  let source = options.promptFile;
+  if (prompt === undefined && !source) {
+    if (process.stdin.isTTY) fail('No task given: pass it as an argument, with --prompt-file, or on stdin (e.g. maker "Add 2 and 3")');
+    source = "-";
+  }
+  if (source === "-" && options.state === "-") {
+    fail("The task and --state cannot both be read from stdin");
+  }
+  const task = (prompt ?? await readInput(source, "the task")).trim();
+  if (!task) fail(`The task is empty${source ? ` (read from ${source === "-" ? "stdin" : source})` : ""}`);
+  return task;
+}
+
+/**
+ * Reads --state and turns it into the run's starting state the way a plan's initialState is (see
+ * initialStateFor in src/plan.js): objects are used as they are, other values become current_value.
+ * @param {object} options - Parsed command line options.
+ * @param {string} task - The task.
+ * @param {object} [plan] - The plan being run, if there is one already.
+ * @returns {Promise<any>} - The state, or undefined without --state.
+ */
+async function readState(options, task, plan = null) {
+  if (!options.state) return undefined;
+  const initialState = await readJsonInput(options.state, "state");
+  return initialStateFor({ ...plan, task, initialState });
+}
+
+/**
+ * Prints a progress or status line; text output only, and not with --quiet.
+ * @param {...any} args - As for console.log.
+ */
+function say(...args) {
+  if (output.format === "text" && !output.quiet) console.log(...args);
+}
+
+/**
+ * @param {Error} error - Why a command failed.
+ * @param {"planning"|"consensus"} stage - What was going on.
+ * @returns {string} - Key of EXIT_CODES: "budget", "api", or the stage.
+ */
+function failureKind(error, stage) {
+  // Planners wrap step errors, so look down the causes
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause instanceof BudgetExceededError) return "budget";
+    if (cause instanceof ApiError || cause instanceof CassetteMissError) return "api";
+    if (cause instanceof RunStoppedError) return "error";
+  }
+  return stage;
+}
+
+// Errors serialize as { name, message } in JSON output
+const jsonReplacer = (key, value) => (value instanceof Error ? { name: value.name, message: value.message } : value);
+
+/**
+ * Prints one NDJSON line for an event (see the events in src/maker.js).
+ * @param {object} event - `{ type, ...payload }`.
+ */
+function printEvent({ type, ...payload }) {
+  console.log(JSON.stringify({ type, time: new Date().toISOString(), ...payload }, jsonReplacer));
+}
+
+/**
+ * Prints a command's final document: pretty JSON, or with --output ndjson the stream's last line
+ * (type "result").
+ * @param {object} document - The document.
+ */
+function printDocument(document) {
+  if (output.format === "ndjson") {
+    printEvent({ type: "result", ...document });
+  } else {
+    console.log(JSON.stringify(document, jsonReplacer, 2));
+  }
+}
+
+/**
+ * @param {Date} startedAt - When the command started.
+ * @returns {object} - `{ startedAt, finishedAt, durationMs }`.
+ */
+function timings(startedAt) {
+  const finishedAt = new Date();
+  return { startedAt: startedAt.toISOString(), finishedAt: finishedAt.toISOString(), durationMs: finishedAt - startedAt };
+}
+
+/**
+ * Creates a Maker (see src/maker.js) for the current settings that prints its progress: a spinner while
+ * planning, one spinner listing every running step, and a line for every finished step. With
+ * --output ndjson every event is printed as a JSON line instead; json and --quiet print no progress.
+ * @param {object} options - Parsed command line options (--recursive and --dag pick the planning mode).
+ * @returns {Maker}
+ */
+function createConsoleMaker(options) {
+  const maker = createMaker({ mode: options.recursive ? "recursive" : options.dag ? "dag" : "flat" });
+  if (output.format === "ndjson") maker.on("event", printEvent);
+  if (output.format !== "text" || output.quiet) return maker;
+
+  // Planning
+  let planSpinner = null;
+  let planVotes = 0;
+  let planNodes = 0;
+  maker.on("plan:started", () => {
+    planVotes = 0;
+    planNodes = 0;
+    planSpinner = ora("Decomposing task...").start();
+  });
+  maker.on("plan:subgoal", () => planNodes++);
+  maker.on("plan:created", ({ plan }) => {
+    if (plan.tree) {
+      planSpinner.succeed(chalk.green(`Plan tree created with ${plan.steps.length} leaf steps.`) + chalk.dim(` (${planNodes} subgoals, ${planVotes} planner votes)`));
+      printPlanTree(plan.tree);
+    } else if (maker.mode === "dag") {
+      planSpinner.succeed(chalk.green(`Step graph created with ${plan.steps.length} steps.`) + chalk.dim(` (${planVotes} planner votes)`));
+      printPlanGraph(plan);
+    } else {
+      planSpinner.succeed(chalk.green(`Plan created with ${plan.steps.length} steps.`) + chalk.dim(` (${planVotes} planner votes)`));
+    }
+  });
+  maker.on("plan:failed", ({ error }) => {
+    if (error instanceof BudgetExceededError) {
+      planSpinner.warn(chalk.yellow(`Stopped: ${error.message}`));
+    } else {
+      planSpinner.fail(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+  // Execution: one spinner lists every running step; finished steps are printed above it
+  const spinner = ora();
+  const running = new Map(); // plan step -> { title, status }
+  let totalSteps = 0;
+  const refresh = () => {
+    if (running.size === 0) return spinner.stop();
+    spinner.text = [...running.values()].map(({ title, status }) => `${title}${status}`).join("\n  ");
+    if (!spinner.isSpinning) spinner.start();
+  };
+  // "Step 3/7" for plan steps, "Step 3 › 17/250 › 1" inside repeat / while / if nodes
+  const stepName = (label) => (label.includes("›") ? `Step ${label}` : `Step ${label}/${totalSteps}`);
+
+  maker.on("run:started", ({ runId, plan, resumed, completedSteps, totalSteps: total, checkpointPath }) => {
+    totalSteps = total;
+    if (resumed) {
+      console.log(chalk.green(`✔ Resuming run ${runId}: ${completedSteps}/${total} steps already completed.`));
+    } else {
+      console.log(chalk.dim(`Run ${runId} (checkpoint: ${checkpointPath})`));
+    }
+    if (CONFIG.TARGET_RELIABILITY) {
+      console.log(chalk.dim(`Targeting ${CONFIG.TARGET_RELIABILITY} whole-task reliability over ${countSteps(plan.steps)} steps`));
+    }
+  });
+  maker.on("step:started", ({ step, label, instruction }) => {
+    running.set(step, { title: `${stepName(label)}: ${instruction}`, status: "" });
+    refresh();
+  });
+
+  // Votes update the planning spinner (step is null) or the step's line
+  const voteStatus = (step, status) => {
+    if (step === null) {
+      planSpinner.text = `Decomposing task... ${status}`;
+    } else if (running.has(step)) {
+      running.get(step).status = ` ${status}`;
+      refresh();
+    }
+  };
+  maker.on("vote:cast", ({ step }) => {
+    if (step === null) planVotes++;
+    voteStatus(step, step === null
+      ? chalk.dim(`(${planVotes} planner votes${options.recursive ? `, ${planNodes} subgoals` : ""})`)
+      : chalk.dim("(Voting...)"));
+  });
+  maker.on("vote:retry", ({ step, delayMs }) => {
+    voteStatus(step, chalk.yellow(`(API busy, retrying in ${(delayMs / 1000).toFixed(1)}s)`));
+  });
+  maker.on("vote:flagged", ({ step, reason }) => {
+    voteStatus(step, chalk.red(`(Flagged${step === null ? " plan" : ""}: ${reason})`));
+  });
+
+  maker.on("step:decided", ({ step, label, kind, instruction, value, metadata, autoK }) => {
+    running.delete(step);
+    if (kind === "condition") {
+      spinner.info(chalk.cyan(`Step ${label}: ${instruction} → ${chalk.bold(value)}${metadata ? "" : chalk.magenta(" (set by reviewer)")}`));
+      return refresh();
+    }
+
+    const valStr = typeof value === 'object' ? JSON.stringify(value).substring(0, 50) : value;
+    // A step whose vote failed has no vote metadata when the reviewer settles it
+    const kInfo = !metadata ? chalk.magenta(" (set by reviewer)")
+      : CONFIG.DEV_MODE ? ` (${metadata.strategy}, margin=${metadata.voteMargin}, cancelled ${metadata.cancelledCalls})` : "";
+    const autoKInfo = autoK ? chalk.dim(` [K=${autoK.k}, p≈${autoK.p.toFixed(3)}]`) : "";
+    spinner.succeed(chalk.green(`Step ${label} Complete: ${chalk.bold(valStr)}${kInfo}${autoKInfo}`));
+
+    if (CONFIG.DEV_MODE) {
+      console.log(chalk.dim(`  Full Result: ${JSON.stringify(value)}`));
+      if (metadata?.flaggedVotes > 0) {
+        const flags = Object.entries(metadata.flags).map(([reason, count]) => `${reason} ×${count}`).join(", ");
+        console.log(chalk.dim(`  Red Flags: ${flags}`));
+      }
+      if (metadata?.variants.length > 1) {
+        const merged = metadata.variants.map(v => `${JSON.stringify(v.value)} ×${v.votes}`).join(", ");
+        console.log(chalk.dim(`  Merged Variants: ${merged}`));
+      }
+    }
+    refresh();
+  });
+  maker.on("step:skipped", ({ step, label }) => {
+    running.delete(step);
+    spinner.info(chalk.yellow(`Step ${label} Skipped`));
+    refresh();
+  });
+  maker.on("step:failed", ({ step, label, kind, instruction, error, state }) => {
+    running.delete(step);
+    if (error instanceof RunStoppedError) {
+      spinner.warn(chalk.yellow(`Step ${label} Stopped: ${error.message}`));
+    } else if (error instanceof BudgetExceededError) {
+      spinner.warn(chalk.yellow(`Step ${label} Stopped: ${error.message}`));
+    } else if (kind === "condition") {
+      spinner.fail(chalk.red(`Step ${label} Failed: could not decide "${instruction}": ${error.message}`));
+    } else {
+      spinner.fail(chalk.red(`Step ${label} Failed: ${error.message}`));
+      if (CONFIG.DEV_MODE) {
+        console.error(chalk.red("\n[DEV MODE] Step Failure Details:"));
+        console.error("Step:", instruction);
+        console.error("State:", JSON.stringify(state, null, 2));
+        console.error("Error:", error);
+        if (error.stack) console.error("Stack:", error.stack);
+      }
+    }
+    refresh();
   });
 
+  if (options.interactive) {
+    maker.review = createReviewer({ pause: () => spinner.stop(), stepName });
+    maker.on("run:intervention", ({ intervention }) => console.log(chalk.magenta(`✎ ${describeIntervention(intervention)}`)));
+  }
+  return maker;
+}
+
+// Answers listed when reviewing a step; the rest can still be picked by number
+const REVIEW_BUCKETS = 5;
+
+/**
+ * Asks at the terminal about the plan and every step of an --interactive run (see Review in
+ * src/maker.js).
+ * @param {object} ui
+ * @param {function} ui.pause - Stops the step spinner before a question.
+ * @param {function} ui.stepName - `(label) => "Step 3/7"`.
+ * @returns {function} - A review function for the Maker.
+ */
+function createReviewer({ pause, stepName }) {
+  const ask = async (question) => {
+    const terminal = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      return (await terminal.question(question)).trim();
+    } finally {
+      terminal.close();
+    }
+  };
+  // Typed values are JSON when they parse ("42", "true", "{...}"), text otherwise
+  const parseValue = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  };
+  const show = (value) => chalk.bold(JSON.stringify(value));
+
+  const reviewPlan = async ({ plan, problem }) => {
+    console.log(chalk.bold("\nReview the plan:"));
+    plan.steps.forEach((step, i) => console.log(`${chalk.dim(`${i + 1}.`)} ${describeStep(step)}`));
+    if (problem) console.log(chalk.red(problem));
+    for (;;) {
+      const answer = await ask(`${chalk.cyan("[Enter]")} run it  ${chalk.cyan("[e <n>]")} edit step n  ${chalk.cyan("[q]")} stop: `);
+      if (answer === "") return { action: "accept" };
+      if (answer === "q") return { action: "stop" };
+      const edit = answer.match(/^e\s*(\d+)$/);
+      if (!edit) continue;
+      const step = Number(edit[1]);
+      console.log(chalk.dim(`Step ${step} now: ${plan.steps[step - 1] ? describeStep(plan.steps[step - 1]) : "(none)"}`));
+      const instruction = await ask("New instruction (empty to keep it): ");
+      if (instruction) return { action: "edit", step, instruction };
+    }
+  };
+
+  const reviewStep = async ({ kind, label, instruction, value, error, buckets, next, problem }) => {
+    const what = kind === "condition" ? `${stepName(label)}: ${instruction}?` : `${stepName(label)}: ${instruction}`;
+    console.log(`\n${chalk.bold(what)}`);
+    console.log(error ? chalk.red(`  No agreement: ${error.message}`) : `  Winner: ${show(value)}`);
+    buckets.slice(0, REVIEW_BUCKETS).forEach((bucket, i) => {
+      const winner = !error && canonicalStringify(bucket.value) === canonicalStringify(value) ? chalk.green(" ← winner") : "";
+      const rejected = bucket.rejected ? chalk.red(` (rejected: ${bucket.rejected})`) : "";
+      console.log(`  ${chalk.dim(`${i + 1}.`)} ${show(bucket.value)} ${chalk.dim(`×${bucket.votes}`)}${winner}${rejected}`);
+    });
+    if (buckets.length > REVIEW_BUCKETS) console.log(chalk.dim(`  ... and ${buckets.length - REVIEW_BUCKETS} more`));
+    if (next) console.log(chalk.dim(`  Next: Step ${next.step}: ${next.instruction}`));
+    if (problem) console.log(chalk.red(`  ${problem}`));
+
+    const choices = [
+      error ? null : `${chalk.cyan("[Enter]")} accept`,
+      buckets.length > 0 ? `${chalk.cyan(buckets.length > 1 ? `[1-${buckets.length}]` : "[1]")} pick` : null,
+      `${chalk.cyan("[v]")} type a value`,
+      next ? `${chalk.cyan("[e]")} edit next` : null,
+      kind === "step" ? `${chalk.cyan("[s]")} skip` : null,
+      `${chalk.cyan("[q]")} stop`,
+    ].filter(Boolean).join("  ");
+    let nextInstruction;
+    for (;;) {
+      const answer = await ask(`${choices}: `);
+      let decision = null;
+      if (answer === "" && !error) decision = { action: "accept" };
+      else if (/^\d+$/.test(answer)) decision = { action: "choose", bucket: Number(answer) };
+      else if (answer === "s" && kind === "step") decision = { action: "skip" };
+      else if (answer === "q") return { action: "stop" };
+      else if (answer === "v") {
+        const typed = await ask(kind === "condition" ? "Value (true or false): " : "Value (JSON, or plain text): ");
+        if (typed) decision = { action: "value", value: parseValue(typed) };
+      } else if (answer === "e" && next) {
+        nextInstruction = (await ask(`New instruction for step ${next.step} (empty to keep it): `)) || nextInstruction;
+        if (nextInstruction) console.log(chalk.dim(`  Step ${next.step} will be: ${nextInstruction}`));
+      }
+      if (decision) return nextInstruction ? { ...decision, instruction: nextInstruction } : decision;
+    }
+  };
+
+  return async (request) => {
+    pause();
+    return request.kind === "plan" ? await reviewPlan(request) : await reviewStep(request);
+  };
+}
+
+/**
+ * @param {object} intervention - A change made while reviewing a run (see Review in src/maker.js).
+ * @returns {string} - One line describing it.
+ */
+function describeIntervention({ action, kind, step, label, instruction, previous, bucket, value }) {
+  const where = kind === "plan" ? "Plan" : `Step ${label}`;
+  switch (action) {
+    case "edit": return `${kind === "plan" ? "Plan step" : "Step"} ${step} changed from "${previous}" to "${instruction}"`;
+    case "choose": return `${where}: picked answer #${bucket}, ${JSON.stringify(value)}`;
+    case "value": return `${where}: set by hand to ${JSON.stringify(value)}`;
+    case "skip": return `${where}: skipped`;
+    case "stop": return `${where}: stopped by you`;
+    default: return `${where}: ${action}`;
+  }
+}
+
+/**
+ * Follows a run's events to record what the JSON output reports beyond the run result: the task, how
+ * long planning took, and every decided or failed step and condition with its vote metadata and duration.
+ * @param {Maker} maker - The Maker, before the run starts.
+ * @returns {object} - `{ task, planningMs, steps }`, filled in as the run goes.
+ */
+function trackRun(maker) {
+  const record = { task: null, planningMs: null, steps: [] };
+  const started = new Map(); // "plan" or "<kind>:<label>" -> start time
+  const since = (key) => Date.now() - started.get(key);
+
+  maker.on("plan:started", ({ task }) => {
+    record.task = task;
+    started.set("plan", Date.now());
+  });
+  maker.on("plan:created", () => {
+    record.planningMs = since("plan");
+  });
+  maker.on("run:started", ({ plan }) => {
+    record.task = plan.task;
+  });
+  maker.on("step:started", ({ label, kind }) => {
+    started.set(`${kind}:${label}`, Date.now());
+  });
+  maker.on("step:decided", ({ step, label, kind, instruction, value, metadata, autoK }) => {
+    record.steps.push({ step, label, kind, instruction, status: "decided", value, durationMs: since(`${kind}:${label}`), metadata, autoK });
+  });
+  maker.on("step:skipped", ({ step, label, instruction }) => {
+    record.steps.push({ step, label, kind: "step", instruction, status: "skipped", durationMs: since(`step:${label}`) });
+  });
+  maker.on("step:failed", ({ step, label, kind, instruction, error }) => {
+    const durationMs = started.has(`${kind}:${label}`) ? since(`${kind}:${label}`) : null;
+    record.steps.push({ step, label, kind, instruction, status: "failed", error: error.message, durationMs });
+  });
+  return record;
+}
+
+/**
+ * Runs a Maker and prints its final state, or where it stopped and how to resume it, and the usage
+ * summary; with --output json / ndjson, a document with the state, plan, per-step metadata and timings.
+ * Exits with the code for the failure if the run failed (see EXIT_CODES).
+ * @param {Maker} maker - From createConsoleMaker.
+ * @param {function} start - `(maker) => Promise` starting the run, e.g. `maker => maker.run(task)`.
+ */
+async function finishRun(maker, start) {
+  const record = trackRun(maker);
+  const startedAt = new Date();
+  let result;
+  let error = null;
+  try {
+    result = await start(maker);
+  } catch (caught) {
+    error = caught;
+    result = caught.result;
+    if (!result) {
+      // Nothing ran, e.g. a completed run given to `maker resume`
+      console.error(chalk.red(error.message));
+      process.exit(EXIT_CODES.error);
+    }
+  }
+  const kind = error ? failureKind(error, result.plan ? "consensus" : "planning") : "ok";
+
+  if (output.format !== "text") {
+    printDocument({
+      runId: result.runId,
+      status: result.status,
+      exitCode: EXIT_CODES[kind],
+      error: error ? { kind, message: error.message } : null,
+      task: record.task,
+      state: result.state,
+      plan: result.plan,
+      completedSteps: result.completedSteps,
+      totalSteps: result.totalSteps,
+      steps: record.steps,
+      usage: result.usage,
+      earlierUsage: result.earlierUsage,
+      interventions: result.interventions,
+      checkpointPath: result.checkpointPath,
+      timings: { ...timings(startedAt), planningMs: record.planningMs },
+    });
+  } else if (error) {
+    const budget = kind === "budget";
+    const progress = result.plan ? `after ${result.completedSteps}/${result.totalSteps} steps` : "while planning";
+    if (output.quiet) {
+      console.error(chalk.red(error.message));
+      if (result.checkpointPath) console.error(`Stopped ${progress}. Resume with: maker resume ${result.runId}`);
+    } else {
+      if (result.checkpointPath) {
+        const reason = budget ? chalk.yellow(`\nBudget reached ${progress}.`) : chalk.red(`\nRun stopped ${progress}.`);
+        console.log(`${reason} Checkpoint saved to ${result.checkpointPath}`);
+        console.log(`Resume with: ${chalk.bold(`maker resume ${result.runId}`)}`);
+      }
+      // A planning failure was already reported by its spinner
+      if (result.plan || budget) printUsageSummary(result.usage, result.stepUsage, result.earlierUsage);
+      else if (error instanceof RunStoppedError) console.log(chalk.yellow(error.message));
+    }
+  } else if (output.quiet) {
+    console.log(JSON.stringify(result.state, null, 2));
+  } else {
+    // Final Output
+    console.log("\n" + chalk.bold.magenta("🎉 Final Result:"));
+    console.log(JSON.stringify(result.state, null, 2));
+    printUsageSummary(result.usage, result.stepUsage, result.earlierUsage);
+    if (result.interventions.length > 0) {
+      const where = result.checkpointPath ? ` (recorded in ${result.checkpointPath})` : "";
+      console.log(chalk.magenta(`✎ ${result.interventions.length} manual intervention${result.interventions.length > 1 ? "s" : ""}${where}`));
+    }
+  }
+
+  if (error) process.exit(EXIT_CODES[kind]);
+  if (output.statePath) {
+    try {
+      fs.writeFileSync(output.statePath, JSON.stringify(result.state, null, 2) + "\n");
+    } catch (caught) {
+      console.error(chalk.red(`Could not write the final state to ${output.statePath}: ${caught.message}`));
+      process.exit(EXIT_CODES.error);
+    }
+    say(chalk.dim(`Final state written to ${output.statePath}`));
+  }
+}
+
+/**
+ * Prints the step tree, numbering nodes by their path ("2.1.3"). Leaves are the executed steps.
+ * @param {object} tree - Root node from decomposeTaskTree.
+ */
+function printPlanTree(tree) {
+  let leaf = 0;
+  const walk = (node, label) => {
+    const indent = "  ".repeat(node.depth);
+    if (node.children.length === 0) {
+      const limited = node.atomic === null ? chalk.yellow(" (depth limit)") : "";
+      console.log(`${indent}${chalk.dim(label)} ${node.instruction} ${chalk.dim(`→ step ${++leaf}`)}${limited}`);
+    } else {
+      console.log(`${indent}${chalk.dim(label)} ${chalk.bold(node.instruction)}`);
+    }
+    node.children.forEach((child, i) => walk(child, `${label}.${i + 1}`));
+  };
+  console.log(chalk.bold(`🌳 ${tree.instruction}`));
+  tree.children.forEach((child, i) => walk(child, `${i + 1}`));
+}
+
+/**
+ * Prints each step of a dependency graph with the steps it waits for.
+ * @param {object} plan - A plan with `dependsOn` steps.
+ */
+function printPlanGraph(plan) {
+  const dependencies = stepDependencies(plan);
+  plan.steps.forEach((step, i) => {
+    const after = dependencies[i].length > 0 ? chalk.dim(` ← ${dependencies[i].map(dep => stepId(plan.steps[dep], dep)).join(", ")}`) : "";
+    const output = step.output ? chalk.dim(` → ${step.output}`) : "";
+    console.log(`${chalk.dim(`${i + 1}.`)} ${chalk.bold(stepId(step, i))}: ${describeStep(step)}${after}${output}`);
+  });
+}
+
+/**
+ * Prints run totals, cost per step and the cost of flagged votes.
+ * @param {object} total - Usage totals of the command (see UsageTracker.summary).
+ * @param {object[]} [stepUsage] - `{ step, instruction, usage }` for every vote; entries of the same plan
+ *                             step (loop iterations, conditions) are added up.
+ * @param {object} [earlier] - Usage totals of earlier sessions of a resumed run (printed separately).
+ */
+function printUsageSummary(total, stepUsage = [], earlier = null) {
+  const perStep = new Map();
+  for (const { step, instruction, usage } of stepUsage) {
+    const entry = perStep.get(step) || { step, instruction, usage: { calls: 0, cost: 0, flaggedCost: 0 } };
+    entry.usage = {
+      calls: entry.usage.calls + usage.calls,
+      cost: entry.usage.cost + usage.cost,
+      flaggedCost: entry.usage.flaggedCost + usage.flaggedCost,
+    };
+    perStep.set(step, entry);
+  }
+  const stepsCost = stepUsage.reduce((sum, entry) => sum + entry.usage.cost, 0);
+  const flaggedCost = stepUsage.reduce((sum, entry) => sum + entry.usage.flaggedCost, 0);
+
+  console.log("\n" + chalk.bold("💰 Usage:"));
+  console.log(`  ${total.calls} calls, ${total.inputTokens.toLocaleString()} input + ${total.outputTokens.toLocaleString()} output tokens, ${chalk.bold(formatCost(total.cost))}`);
+  for (const { step, instruction, usage } of [...perStep.values()].sort((a, b) => a.step - b.step)) {
+    const flagged = usage.flaggedCost > 0 ? chalk.red(` (flagged ${formatCost(usage.flaggedCost)})`) : "";
+    console.log(chalk.dim(`  Step ${step}: ${formatCost(usage.cost)}, ${usage.calls} calls${flagged} - ${instruction}`));
+  }
+  console.log(chalk.dim(`  Planning & other calls: ${formatCost(Math.max(0, total.cost - stepsCost))}`));
+  console.log(`  Spent on flagged votes: ${formatCost(flaggedCost)}`);
+  if (earlier) {
+    const all = addUsage(earlier, total);
+    console.log(chalk.dim(`  Whole run, earlier sessions included: ${all.calls} calls, ${formatCost(all.cost)}`));
+  }
+  if (!priceFor(CONFIG.MODEL_NAME)) {
+    console.log(chalk.dim(`  (no price known for ${CONFIG.MODEL_NAME}; add one with --prices)`));
+  }
+}
+
 program.parse();
\ No newline at end of file
@@ -1,74 +1,58 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { CONFIG } from "./config.js";
-import { RateLimiter } from "./rate-limiter.js";
-
-const genAI = new GoogleGenerativeAI(CONFIG.API_KEY);
-
-// Lazy model getter - allows CONFIG.MODEL_NAME to be changed at runtime
-function getModel() {
-    return genAI.getGenerativeModel({
-        model: CONFIG.MODEL_NAME,
-        generationConfig: { temperature: 0.0 } // Deterministic outputs for consensus
-    });
-}
-
-// Global rate limiter instance
-const rateLimiter = new RateLimiter(CONFIG.MAX_RPM);
+import { getProvider } from "./providers.js";
+import { CassetteMissError } from "./cassette.js";
+import { FLAG_REASONS, redFlag, resolveRedFlagRules, checkRedFlagRules } from "./red-flags.js";
+import { withRetry, ApiError } from "./retry.js";
+import { BudgetExceededError } from "./usage.js";
 
 /**
  * Runs a stateless micro-agent to perform a single step.
  * @param {any} context - The current state or context.
  * @param {string} instruction - The specific instruction for this step.
  * @param {string} [customPrompt] - Optional custom system prompt (overrides default).
- * @returns {Promise<any|null>} - The result of the step, or null if "Red Flagged".
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call (queued or in flight) once it is no longer needed.
+ * @param {boolean} [options.requestConfidence] - Ask the agent to self-report a confidence (0 - 1).
+ * @param {object} [options.redFlags] - Red-flag rules for this step (see red-flags.js).
+ * @param {function} [options.onRetry] - Called before each retry of a transient API error.
+ * @returns {Promise<{result: any, confidence?: number, usage: object}|{flagged: true, reason: string, detail: string, usage: object}|null>}
+ *   - The agent's vote, a red flag with its reason (both with the call's token usage), or null if cancelled.
+ * @throws {ApiError} - Infrastructure failure that retrying could not fix (never counted as a vote).
+ * @throws {BudgetExceededError} - The run's cost or call budget is spent.
  */
-export async function runMicroAgent(context, instruction, customPrompt = null) {
-    const prompt = customPrompt
+export async function runMicroAgent(context, instruction, customPrompt = null, { signal, requestConfidence = false, redFlags, onRetry } = {}) {
+    let prompt = customPrompt
         ? buildCustomPrompt(context, instruction, customPrompt)
         : buildDefaultPrompt(context, instruction);
 
-    try {
-        // Wrap API call with rate limiting
-        const result = await rateLimiter.throttle(async () => {
-            return await getModel().generateContent(prompt);
-        });
-        const text = result.response.text().trim();
-
-        // --- RED FLAGGING ---
-        // Clean up potential markdown formatting
-        const cleanText = text.replace(/```json/g, "").replace(/```/g, "").trim();
-
-        let parsed;
-        try {
-            parsed = JSON.parse(cleanText);
-        } catch (e) {
-            // JSON parse failed -> Red Flag
-            if (CONFIG.DEV_MODE) {
-                console.error('\n[DEV MODE] JSON Parse Error:');
-                console.error('Raw response:', text);
-                console.error('Cleaned response:', cleanText);
-                console.error('Parse error:', e.message);
-                console.error('---\n');
-            }
-            return null;
-        }
+    if (requestConfidence) {
+        prompt += `
+Also include a "confidence" field in the JSON: a number from 0 to 1 for how certain you are that the result is correct.
+`;
+    }
 
-        if (parsed.error) {
-            // Agent explicitly reported error -> Red Flag
-            // This prevents invalid state from propagating to the next step
-            return null;
-        }
+    try {
+        // Provider and model are resolved per call so CONFIG can be changed at runtime
+        // (rate limiting happens inside the provider layer). Transient API errors are retried
+        // with backoff here; replayed failures need no real waiting.
+        const replaying = CONFIG.CASSETTE_MODE === "replay";
+        const result = await withRetry(() => getProvider().generate(prompt, {
+            model: CONFIG.MODEL_NAME,
+            temperature: 0.0, // Deterministic outputs for consensus
+            signal
+        }), { signal, onRetry, ...(replaying && { baseDelayMs: 0, maxDelayMs: 0 }) });
+        // Usage travels with the vote so consensus can account for what each step (and its flagged votes) cost
+        return { ...evaluateResponse(result, context, instruction, redFlags), usage: result.usage };
 
-        // Validate "reasoning first" format - both fields required
-        if (!parsed.reasoning || parsed.result === undefined) {
-            // Missing reasoning or result key -> Red Flag
-            return null;
-        }
+    } catch (error) {
+        // Cancelled because consensus was already reached - not a failure
+        if (signal?.aborted) return null;
 
-        return parsed.result;
+        // Infrastructure failures and diverged replays are not model failures -
+        // surface them instead of flagging a vote
+        if (error instanceof ApiError || error instanceof CassetteMissError || error instanceof BudgetExceededError) throw error;
 
-    } catch (error) {
-        // API error or other failure -> Red Flag
+        // Unusable response (e.g. a blocked candidate) -> Red Flag
         if (CONFIG.DEV_MODE) {
             console.error('\n[DEV MODE] Agent Error Details:');
             console.error('Context:', JSON.stringify(context, null, 2));
@@ -78,10 +62,69 @@ export async function runMicroAgent(context, instruction, customPrompt = null) {
             if (error.stack) console.error('Stack:', error.stack);
             console.error('---\n');
         }
-        return null;
+        return redFlag(FLAG_REASONS.RESPONSE_ERROR, error.message);
     }
 }
 
+/**
+ * Applies the red-flag checks to a provider response.
+ * @param {{text: string, usage?: object}} response - Provider response.
+ * @param {any} context - The state the agent was given.
+ * @param {string} instruction - The step instruction.
+ * @param {object} [redFlags] - Red-flag rules for this step.
+ * @returns {{result: any, confidence?: number}|{flagged: true, reason: string, detail: string}}
+ */
+function evaluateResponse(response, context, instruction, redFlags) {
+    const text = response.text.trim();
+
+    // --- RED FLAGGING ---
+    // Clean up potential markdown formatting
+    const cleanText = text.replace(/```json/g, "").replace(/```/g, "").trim();
+
+    let parsed;
+    try {
+        parsed = JSON.parse(cleanText);
+    } catch (e) {
+        // JSON parse failed -> Red Flag
+        if (CONFIG.DEV_MODE) {
+            console.error('\n[DEV MODE] JSON Parse Error:');
+            console.error('Raw response:', text);
+            console.error('Cleaned response:', cleanText);
+            console.error('Parse error:', e.message);
+            console.error('---\n');
+        }
+        return redFlag(FLAG_REASONS.PARSE_ERROR, e.message);
+    }
+
+    if (parsed === null || typeof parsed !== "object") {
+        return redFlag(FLAG_REASONS.PARSE_ERROR, "Response is not a JSON object");
+    }
+
+    if (parsed.error) {
+        // Agent explicitly reported error -> Red Flag
+        // This prevents invalid state from propagating to the next step
+        return redFlag(FLAG_REASONS.AGENT_ERROR, String(parsed.error));
+    }
+
+    // Validate "reasoning first" format - both fields required
+    if (!parsed.reasoning) {
+        return redFlag(FLAG_REASONS.MISSING_REASONING, 'Response has no "reasoning"');
+    }
+    if (parsed.result === undefined) {
+        return redFlag(FLAG_REASONS.MISSING_RESULT, 'Response has no "result"');
+    }
+
+    // Configurable rules: response length, result schema, custom validators
+    const ruleFlag = checkRedFlagRules(
+        { text, outputTokens: response.usage?.outputTokens, result: parsed.result },
+        resolveRedFlagRules(redFlags),
+        { context, instruction }
+    );
+    if (ruleFlag) return ruleFlag;
+
+    return { result: parsed.result, confidence: parsed.confidence };
+}
+
 /**
  * Builds the default system prompt for standard MAKER operations.
  * @param {any} context - The current state or context.
@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+/**
+ * Record/Replay Cassettes
+ * A cassette is an NDJSON file with one line per model call:
+ *   {"key": "<prompt hash>", "seq": <n>, "prompt": "...", "model": "...", "text": "...", "usage": {...}}
+ *
+ * `seq` is the index of the call among all calls with the same prompt, assigned when the call
+ * is issued (not when it returns). Parallel votes on a step share one prompt, so replay hands the
+ * n-th issued call the n-th recorded response and reproduces the exact vote order of the run.
+ * The prompt text is only stored on the first entry of each key to keep cassettes small.
+ */
+
+/**
+ * Thrown when replay asks for a call the cassette does not contain.
+ */
+export class CassetteMissError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CassetteMissError";
+    }
+}
+
+/**
+ * @param {string} prompt - Full prompt text.
+ * @returns {string} - Stable key for the prompt.
+ */
+export function promptKey(prompt) {
+    return createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+}
+
+function nextSeq(counters, key) {
+    const seq = counters.get(key) || 0;
+    counters.set(key, seq + 1);
+    return seq;
+}
+
+function waitForAbort(signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+    });
+}
+
+/**
+ * Wraps a provider and appends every call to a cassette file.
+ * Entries are appended synchronously so a crashed or killed run still leaves a usable cassette.
+ * @param {object} inner - Provider to record.
+ * @param {string} cassettePath - Cassette file (overwritten).
+ * @returns {object} - Provider implementing `generate()`.
+ */
+export function createRecordingProvider(inner, cassettePath) {
+    fs.mkdirSync(path.dirname(path.resolve(cassettePath)), { recursive: true });
+    fs.writeFileSync(cassettePath, "");
+    const counters = new Map();
+
+    function append(entry) {
+        fs.appendFileSync(cassettePath, JSON.stringify(entry) + "\n");
+    }
+
+    return {
+        name: inner.name,
+        async generate(prompt, options = {}) {
+            const key = promptKey(prompt);
+            const seq = nextSeq(counters, key);
+            const base = { key, seq, model: options.model };
+            if (seq === 0) base.prompt = prompt;
+
+            try {
+                const result = await inner.generate(prompt, options);
+                append({ ...base, text: result.text, usage: result.usage });
+                return result;
+            } catch (error) {
+                append({ ...base, error: { name: error.name, message: error.message, status: error.status } });
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Serves responses from a cassette file without touching the network.
+ * @param {string} cassettePath - Cassette file recorded with createRecordingProvider.
+ * @returns {object} - Provider implementing `generate()`.
+ */
+export function createReplayProvider(cassettePath) {
+    if (!fs.existsSync(cassettePath)) {
+        throw new Error(`Cassette not found: ${cassettePath}`);
+    }
+
+    const entries = new Map();
+    const lines = fs.readFileSync(cassettePath, "utf8").split("\n").filter(line => line.trim());
+    for (const line of lines) {
+        const entry = JSON.parse(line);
+        if (!entries.has(entry.key)) entries.set(entry.key, []);
+        entries.get(entry.key)[entry.seq] = entry;
+    }
+
+    const counters = new Map();
+
+    return {
+        name: "replay",
+        async generate(prompt, { signal } = {}) {
+            const key = promptKey(prompt);
+            const seq = nextSeq(counters, key);
+            const entry = entries.get(key)?.[seq];
+
+            if (!entry) {
+                const recorded = entries.get(key)?.length || 0;
+                throw new CassetteMissError(
+                    `Cassette ${cassettePath} has no response #${seq + 1} for prompt ${key} (${recorded} recorded). ` +
+                    "The run diverged from the recording."
+                );
+            }
+
+            // Recorded as cancelled: stay pending until this run cancels it at the same point
+            if (entry.error?.name === "AbortError") {
+                if (!signal) {
+                    // Nothing could cancel it, so waiting would hang the run
+                    throw new CassetteMissError(
+                        `Cassette ${cassettePath} recorded response #${seq + 1} for prompt ${key} as cancelled, ` +
+                        "but this call cannot be cancelled. The run diverged from the recording " +
+                        "(e.g. replaying a parallel recording without early termination)."
+                    );
+                }
+                return await waitForAbort(signal);
+            }
+
+            if (entry.error) {
+                const error = new Error(entry.error.message);
+                error.name = entry.error.name;
+                error.status = entry.error.status;
+                throw error;
+            }
+
+            return { text: entry.text, usage: entry.usage || { inputTokens: 0, outputTokens: 0 } };
+        },
+    };
+}
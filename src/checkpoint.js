@@ -0,0 +1,108 @@
+import fs from "fs";
+import { join, dirname } from "path";
+import { randomBytes } from "crypto";
+import { CONFIG } from "./config.js";
+
+/**
+ * Run Checkpoints
+ * Every run rewrites its checkpoint after each finished step, so a run that fails, runs out of budget
+ * or is killed can be continued with `maker resume <run-id>`:
+ *
+ *   { version, runId, task, status, reason, plan, settings, completedSteps, completed, state, trace,
+ *     interventions, usage, stepUsage, createdAt, updatedAt }
+ *
+ * status     - "running" | "completed" | "failed" | "budget_exceeded" | "stopped"
+ * plan       - the plan being executed (see plan.js), or null if the run stopped while planning
+ * settings   - the CONFIG values the run was started with (a settings layer on resume, see settings.js)
+ * completed  - indexes of the finished plan steps (completedSteps is their count)
+ * state      - the state after the last finished step (before planning: the starting state given, or null)
+ * trace      - one entry per finished step or condition, in order: { step, label, kind, value?, metadata }.
+ *              Inside repeat / while / if nodes it tells resume which iterations are already done.
+ *              metadata is null for a failed vote that a reviewer settled.
+ * interventions - changes a reviewer made to the run (see Review in maker.js), over every session
+ *
+ * Checkpoints are JSON files named after the run id in CONFIG.RUNS_DIR.
+ */
+
+export const CHECKPOINT_VERSION = 1;
+
+// CONFIG values that shape how a run votes and folds state; kept with the run so a resume behaves the same
+const RUN_SETTINGS = [
+    "PROVIDER", "MODEL_NAME", "VOTE_MARGIN_K", "VOTING", "MAX_ATTEMPTS_PER_STEP", "NORMALIZATION",
+    "MAX_RESPONSE_TOKENS", "RESULT_SCHEMA", "TARGET_RELIABILITY", "CONDITION_VOTING", "MAX_LOOP_ITERATIONS",
+    "STATE_REDUCER", "HISTORY_LENGTH", "INVARIANTS", "MAX_PARALLEL_STEPS",
+];
+
+/**
+ * @returns {object} - The current values of the run settings.
+ */
+export function captureSettings() {
+    return Object.fromEntries(RUN_SETTINGS.map(key => [key, CONFIG[key]]));
+}
+
+/**
+ * @returns {string} - Sortable, unique run id, e.g. "20250101-120000-a1b2".
+ */
+export function createRunId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+    return `${stamp}-${randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * @param {string} runId - Run id.
+ * @returns {string} - Path of the run's checkpoint file.
+ */
+export function checkpointPath(runId) {
+    return join(CONFIG.RUNS_DIR, `${runId}.json`);
+}
+
+/**
+ * Writes a checkpoint atomically (write-then-rename), so a crash never leaves a truncated file.
+ * @param {object} checkpoint - Checkpoint fields; `runId` is required.
+ * @returns {string} - Path written.
+ */
+export function saveCheckpoint(checkpoint) {
+    const path = checkpointPath(checkpoint.runId);
+    fs.mkdirSync(dirname(path), { recursive: true });
+    const data = { version: CHECKPOINT_VERSION, ...checkpoint, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(`${path}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${path}.tmp`, path);
+    return path;
+}
+
+/**
+ * @param {string} runIdOrPath - Run id, or the path of a checkpoint file.
+ * @returns {object} - The checkpoint.
+ * @throws {Error} - If there is no such checkpoint or it can't be read.
+ */
+export function loadCheckpoint(runIdOrPath) {
+    const path = runIdOrPath.endsWith(".json") ? runIdOrPath : checkpointPath(runIdOrPath);
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch (error) {
+        throw new Error(error.code === "ENOENT" ? `No checkpoint for run "${runIdOrPath}" (looked in ${path})` : `Could not read checkpoint ${path}: ${error.message}`);
+    }
+    if (checkpoint.version !== CHECKPOINT_VERSION || !checkpoint.runId) {
+        throw new Error(`${path} is not a run checkpoint`);
+    }
+    return checkpoint;
+}
+
+/**
+ * @returns {object[]} - Every run checkpoint in CONFIG.RUNS_DIR, most recent first.
+ */
+export function listCheckpoints() {
+    if (!fs.existsSync(CONFIG.RUNS_DIR)) return [];
+    return fs.readdirSync(CONFIG.RUNS_DIR)
+        .filter(name => name.endsWith(".json"))
+        .map(name => {
+            try {
+                return loadCheckpoint(join(CONFIG.RUNS_DIR, name));
+            } catch {
+                return null; // Map-reduce progress files and unreadable files are not runs
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { currentScope } from "./scope.js";
 
 // Get the directory of this config file
 const __filename = fileURLToPath(import.meta.url);
@@ -9,18 +10,236 @@ const __dirname = dirname(__filename);
 // Load .env from project root (one level up from src/)
 dotenv.config({ path: join(__dirname, "..", ".env") });
 
-export const CONFIG = {
-  API_KEY: process.env.GEMINI_API_KEY,
+/**
+ * Settings
+ * CONFIG starts from these defaults and the environment: every setting can be set as MAKER_<SETTING>
+ * (e.g. MAKER_VOTE_MARGIN_K=5), some also under the names in ENV_ALIASES. The CLI layers config files,
+ * profiles and flags on top (see settings.js). A Maker's own settings apply only to its runs (see scope.js).
+ */
+export const DEFAULTS = {
+  API_KEY: null, // GEMINI_API_KEY
   MODEL_NAME: "gemini-flash-lite-latest",
+
+  // Model Provider Settings
+  PROVIDER: "gemini", // gemini | openai | ollama | llamacpp
+  OPENAI_BASE_URL: "https://api.openai.com/v1", // Any OpenAI-compatible endpoint
+  OPENAI_API_KEY: null,
+  OLLAMA_BASE_URL: "http://localhost:11434",
+  LLAMACPP_BASE_URL: "http://localhost:8080",
+
+  // Record/Replay Settings
+  CASSETTE_MODE: null, // "record" | "replay" | null (live)
+  CASSETTE_PATH: null, // NDJSON cassette file
+
   VOTE_MARGIN_K: 10, // Votes ahead to win (higher = more confident)
+  VOTING: null, // Voting strategy spec, e.g. "majority:n=7" (null = ahead-by-k with VOTE_MARGIN_K)
   MAX_ATTEMPTS_PER_STEP: 15,
+  PLAN_VOTING: "ahead-by-k:k=2", // Voting strategy for the plan (step count, then each step)
+  PLAN_MAX_SAMPLES: 9, // Candidate plans to sample at most before giving up
+  PLAN_BATCH_SIZE: 3, // Candidate plans sampled in parallel per round
+  PLAN_TEMPERATURE: 0.7, // Sampling temperature for candidate plans (0 would make every sample identical)
+  MAX_PLAN_DEPTH: 3, // Recursive decomposition: deepest level of subgoals (leaves at this depth are not split further)
+  ATOMICITY_VOTING: "majority:n=3", // Voting strategy for "is this subgoal atomic?"
+  CONDITION_VOTING: null, // Voting strategy for while/if conditions in plans (null = same as VOTING)
+  MAX_LOOP_ITERATIONS: 1000, // A "while" loop still true after this many iterations fails the step
+  MAX_RESPONSE_TOKENS: null, // Red-flag overlong responses (null = no limit)
+  RESULT_SCHEMA: null, // JSON Schema every "result" must satisfy (red-flagged otherwise)
+  NORMALIZATION: null, // Answer normalization rules, e.g. "trim,casefold,numbers,tolerance=1e-6"
+  TARGET_RELIABILITY: null, // Whole-task success target; picks K per step automatically
+
+  // State
+  STATE_REDUCER: "merge", // How step results fold into state: merge | deep-merge | replace | value | append:<key> | set:<key>
+  HISTORY_LENGTH: 5, // Recent step results kept in state.history
+  INVARIANTS: [], // Checked against the state after every plan step; a winning answer that breaks one is re-voted (see src/invariants.js)
+
+  // Map-Reduce (maker map)
+  MAP_CHUNK_SIZE: 4000, // Characters of input per map chunk
+  MAP_CHUNK_OVERLAP: 200, // Characters shared by neighbouring chunks, so nothing is lost at a cut
+  REDUCE_FAN_IN: 4, // Partial results combined per reduce vote (the fold is a tree of these)
+
+  // Usage & Budgets
+  MAX_COST: null, // Stop the run before spending more than this many USD (null = no limit)
+  MAX_CALLS: null, // Stop the run before making more model calls than this (null = no limit)
+  MODEL_PRICES: {}, // USD per 1M tokens, e.g. { "my-model": { input: 0.1, output: 0.4 } } (extends/overrides src/usage.js)
+  RUNS_DIR: ".maker/runs", // Where run checkpoints are written
 
   // Speed Optimization Settings
   MAX_RPM: 3500, // Maximum requests per minute (flash-lite: 4000 RPM, using 3500 for safety)
+  MAX_TPM: 3500000, // Maximum input + output tokens per minute (flash-lite: 4M TPM; null = unlimited)
+  MAX_CONCURRENCY: 25, // Maximum requests in flight at once, independent of RPM (null = unlimited)
+  ADAPTIVE_RATE_LIMIT: true, // Halve RPM/concurrency on a 429, then recover gradually on successes
+  RATE_LIMIT_BACKEND: "memory", // "memory" (per process) | "file" (shared by all MAKER processes on this machine)
+  RATE_LIMIT_FILE: null, // Shared window file (null = one per model in the OS temp dir)
   BATCH_SIZE: 50, // Number of agents to run in parallel per batch
   ENABLE_PARALLEL: true, // Enable parallel consensus voting
   EARLY_TERMINATION: true, // Stop voting as soon as K margin is reached
+  MAX_PARALLEL_STEPS: 4, // Plan steps whose dependencies are done run concurrently, up to this many at once
+
+  // Transient API Errors (429 / 5xx / network) - retried with backoff, never counted as red flags
+  API_MAX_RETRIES: 5, // Retries per agent call (separate from MAX_ATTEMPTS_PER_STEP)
+  API_RETRY_BASE_DELAY_MS: 1000, // First backoff step (doubles each retry, with jitter)
+  API_RETRY_MAX_DELAY_MS: 60000, // Backoff cap (a longer Retry-After from the server is still honored)
 
   // Development Settings
-  DEV_MODE: process.env.DEV_MODE === "true", // Enable detailed error logging (set DEV_MODE=true in .env)
+  DEV_MODE: false, // Enable detailed error logging (set DEV_MODE=true in .env)
+};
+
+// Type of every setting, for values from config files, the environment and --set:
+// type, nullable (null allowed), min / max (numbers), values (allowed strings), merge (objects are merged
+// and lists added up across layers instead of replaced), secret (hidden by `maker config show`)
+export const SETTING_TYPES = {
+  API_KEY: { type: "string", nullable: true, secret: true },
+  MODEL_NAME: { type: "string" },
+  PROVIDER: { type: "string" },
+  OPENAI_BASE_URL: { type: "string" },
+  OPENAI_API_KEY: { type: "string", nullable: true, secret: true },
+  OLLAMA_BASE_URL: { type: "string" },
+  LLAMACPP_BASE_URL: { type: "string" },
+  CASSETTE_MODE: { type: "string", nullable: true, values: ["record", "replay"] },
+  CASSETTE_PATH: { type: "string", nullable: true },
+  VOTE_MARGIN_K: { type: "integer", min: 1 },
+  VOTING: { type: "string", nullable: true },
+  MAX_ATTEMPTS_PER_STEP: { type: "integer", min: 1 },
+  PLAN_VOTING: { type: "string" },
+  PLAN_MAX_SAMPLES: { type: "integer", min: 1 },
+  PLAN_BATCH_SIZE: { type: "integer", min: 1 },
+  PLAN_TEMPERATURE: { type: "number", min: 0, max: 2 },
+  MAX_PLAN_DEPTH: { type: "integer", min: 1 },
+  ATOMICITY_VOTING: { type: "string" },
+  CONDITION_VOTING: { type: "string", nullable: true },
+  MAX_LOOP_ITERATIONS: { type: "integer", min: 1 },
+  MAX_RESPONSE_TOKENS: { type: "integer", nullable: true, min: 1 },
+  RESULT_SCHEMA: { type: "object", nullable: true },
+  NORMALIZATION: { type: "string", nullable: true },
+  TARGET_RELIABILITY: { type: "number", nullable: true },
+  STATE_REDUCER: { type: "string" },
+  HISTORY_LENGTH: { type: "integer", min: 0 },
+  INVARIANTS: { type: "array", merge: true },
+  MAP_CHUNK_SIZE: { type: "integer", min: 1 },
+  MAP_CHUNK_OVERLAP: { type: "integer", min: 0 },
+  REDUCE_FAN_IN: { type: "integer", min: 2 },
+  MAX_COST: { type: "number", nullable: true, min: 0 },
+  MAX_CALLS: { type: "integer", nullable: true, min: 1 },
+  MODEL_PRICES: { type: "object", merge: true },
+  RUNS_DIR: { type: "string" },
+  MAX_RPM: { type: "integer", min: 1 },
+  MAX_TPM: { type: "integer", nullable: true, min: 1 },
+  MAX_CONCURRENCY: { type: "integer", nullable: true, min: 1 },
+  ADAPTIVE_RATE_LIMIT: { type: "boolean" },
+  RATE_LIMIT_BACKEND: { type: "string", values: ["memory", "file"] },
+  RATE_LIMIT_FILE: { type: "string", nullable: true },
+  BATCH_SIZE: { type: "integer", min: 1 },
+  ENABLE_PARALLEL: { type: "boolean" },
+  EARLY_TERMINATION: { type: "boolean" },
+  MAX_PARALLEL_STEPS: { type: "integer", min: 1 },
+  API_MAX_RETRIES: { type: "integer", min: 0 },
+  API_RETRY_BASE_DELAY_MS: { type: "integer", min: 0 },
+  API_RETRY_MAX_DELAY_MS: { type: "integer", min: 0 },
+  DEV_MODE: { type: "boolean" },
+};
+
+// Environment variables named other than MAKER_<SETTING>
+export const ENV_ALIASES = {
+  GEMINI_API_KEY: "API_KEY",
+  MAKER_MODEL: "MODEL_NAME",
+  OPENAI_BASE_URL: "OPENAI_BASE_URL",
+  OPENAI_API_KEY: "OPENAI_API_KEY",
+  OLLAMA_BASE_URL: "OLLAMA_BASE_URL",
+  LLAMACPP_BASE_URL: "LLAMACPP_BASE_URL",
+  MAKER_CASSETTE: "CASSETTE_PATH",
+  MAKER_NORMALIZE: "NORMALIZATION",
+  DEV_MODE: "DEV_MODE",
 };
+
+/**
+ * Parses a setting given as text (an environment variable or --set): numbers, true / false, null,
+ * and JSON for objects and lists.
+ * @param {string} key - Setting name.
+ * @param {string} text - The value as text.
+ * @returns {any} - The typed value (not range-checked, see checkSetting).
+ * @throws {Error} - If the text is not a value of the setting's type.
+ */
+export function parseSetting(key, text) {
+  const { type, nullable } = SETTING_TYPES[key];
+  if (nullable && (text === "" || text === "null")) return null;
+  if (type === "integer" || type === "number") {
+    const value = Number(text);
+    if (text.trim() === "" || !Number.isFinite(value)) throw new Error(`"${text}" is not a number`);
+    return value;
+  }
+  if (type === "boolean") {
+    if (["true", "1"].includes(text)) return true;
+    if (["false", "0", ""].includes(text)) return false;
+    throw new Error(`"${text}" is not true or false`);
+  }
+  if (type === "object" || type === "array") {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`invalid JSON (${error.message})`);
+    }
+  }
+  return text;
+}
+
+/**
+ * @param {string} key - Setting name.
+ * @param {any} value - A value for it.
+ * @returns {string|null} - What is wrong with the value for the setting's type and range, or null.
+ */
+export function checkSetting(key, value) {
+  const { type, nullable, min, max, values } = SETTING_TYPES[key];
+  if (value === null || value === undefined) return nullable ? null : "must be set";
+  if (type === "integer" && !Number.isInteger(value)) return "must be an integer";
+  if (type === "number" && !(typeof value === "number" && Number.isFinite(value))) return "must be a number";
+  if (type === "boolean" && typeof value !== "boolean") return "must be true or false";
+  if (type === "string" && typeof value !== "string") return "must be a string";
+  if (type === "array" && !Array.isArray(value)) return "must be a list";
+  if (type === "object" && (typeof value !== "object" || Array.isArray(value))) return "must be an object";
+  if (min !== undefined && value < min) return `must be at least ${min}`;
+  if (max !== undefined && value > max) return `must be at most ${max}`;
+  if (values && !values.includes(value)) return `must be one of ${values.join(", ")}`;
+  return null;
+}
+
+/**
+ * Reads the settings set in the environment: MAKER_<SETTING> wins over an alias (see ENV_ALIASES).
+ * @param {object} [env] - Environment variables.
+ * @returns {{values: object, sources: object, errors: string[]}} - Parsed values, the variable each came
+ *   from, and the variables that could not be parsed.
+ */
+export function readEnvironment(env = process.env) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const names = [
+    ...Object.entries(ENV_ALIASES).map(([name, key]) => [name, key]),
+    ...Object.keys(SETTING_TYPES).map(key => [`MAKER_${key}`, key]),
+  ];
+  for (const [name, key] of names) {
+    if (env[name] === undefined) continue;
+    try {
+      values[key] = parseSetting(key, env[name]);
+      sources[key] = `env ${name}`;
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+  return { values, sources, errors };
+}
+
+// Environment variables that cannot be parsed are reported by the CLI (see settings.js)
+const processSettings = { ...DEFAULTS, ...readEnvironment().values };
+
+// Inside a Maker run, the Maker's settings win (and are what a write inside the run changes)
+export const CONFIG = new Proxy(processSettings, {
+  get(target, key) {
+    const settings = currentScope()?.settings;
+    return settings && Object.hasOwn(settings, key) ? settings[key] : target[key];
+  },
+  set(target, key, value) {
+    const settings = currentScope()?.settings;
+    (settings && Object.hasOwn(settings, key) ? settings : target)[key] = value;
+    return true;
+  },
+});
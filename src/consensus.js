@@ -1,165 +1,292 @@
+import { setMaxListeners } from "events";
 import { runMicroAgent } from "./agent.js";
 import { CONFIG } from "./config.js";
 import { canonicalStringify } from "./utils.js";
+import { VoteTally, resolveStrategy } from "./voting.js";
+import { createNormalizer } from "./normalize.js";
+import { costOf } from "./usage.js";
+import { FLAG_REASONS, redFlag } from "./red-flags.js";
 
 /**
  * Orchestrates multiple micro-agents to reach a consensus on a step.
  * @param {any} context - The current state.
  * @param {string} instruction - The instruction for this step.
- * @param {function} onVote - Callback for UI updates (optional).
+ * @param {function} onVote - Callback for UI updates (optional): onVote("valid"), onVote("flagged", redFlag)
+ *                            or onVote("retry", { error, attempt, delayMs }) for a transient API error.
  * @param {string} [customPrompt] - Optional custom system prompt for agents.
- * @returns {Promise<any>} - The consensus result.
+ * @param {object} [options]
+ * @param {string|object} [options.voting] - Voting strategy for this step (overrides CONFIG.VOTING).
+ * @param {number} [options.maxAttempts] - Attempt budget for this step (overrides CONFIG.MAX_ATTEMPTS_PER_STEP).
+ * @param {string|object} [options.normalization] - Answer normalization for this step (overrides CONFIG.NORMALIZATION).
+ * @param {object} [options.redFlags] - Red-flag rules for this step: maxResponseTokens, resultSchema, validators.
+ * @param {function} [options.verify] - `(value) => null | string`, checks a winning answer (e.g. against state
+ *                                      invariants). A reason rejects the answer: its votes are discarded,
+ *                                      later votes for it are red-flagged, and voting continues.
+ * @returns {Promise<any>} - The consensus result: `{ value, metadata }`. `metadata.buckets` lists every answer
+ *                           voted for (see ranking below); a failure carries the same list in `error.buckets`.
  */
-export async function getConsensusResult(context, instruction, onVote = () => { }, customPrompt = null) {
+export async function getConsensusResult(context, instruction, onVote = () => { }, customPrompt = null, options = {}) {
+    const strategy = resolveStrategy(options.voting ?? CONFIG.VOTING);
+    const normalizer = createNormalizer(options.normalization ?? CONFIG.NORMALIZATION);
+    const election = createElection(strategy, normalizer, onVote, options.maxAttempts ?? CONFIG.MAX_ATTEMPTS_PER_STEP, options.verify);
+    election.agentOptions.redFlags = options.redFlags;
+
     // Use parallel batching if enabled, otherwise fall back to sequential
     if (CONFIG.ENABLE_PARALLEL) {
-        return await getConsensusResultParallel(context, instruction, onVote, customPrompt);
+        return await getConsensusResultParallel(context, instruction, election, customPrompt);
     } else {
-        return await getConsensusResultSequential(context, instruction, onVote, customPrompt);
+        return await getConsensusResultSequential(context, instruction, election, customPrompt);
     }
 }
 
 /**
- * Sequential consensus (original implementation)
+ * Tally/decide engine shared by every execution path.
+ * @param {object} strategy - Voting strategy (see voting.js).
+ * @param {object} normalizer - Answer normalizer (see normalize.js).
+ * @param {function} onVote - UI callback.
+ * @param {number} maxAttempts - Attempt budget.
+ * @param {function} [verify] - Check for winning answers (see getConsensusResult).
  */
-async function getConsensusResultSequential(context, instruction, onVote, customPrompt) {
-    let votes = {};
-    let attempts = 0;
-
-    while (attempts < CONFIG.MAX_ATTEMPTS_PER_STEP) {
-        const result = await runMicroAgent(context, instruction, customPrompt);
-        attempts++;
+function createElection(strategy, normalizer, onVote, maxAttempts, verify) {
+    const tally = new VoteTally();
+    // Bucket key -> { normalized, variants: Map(raw key -> { value, votes }), cost }
+    const buckets = new Map();
+    // Bucket key -> why verify() rejected it; such answers can't win again
+    const rejected = new Map();
+    // Red flags per reason code, e.g. { parse_error: 2, too_long: 1 }
+    const flags = {};
+    let flaggedVotes = 0;
+    let apiRetries = 0;
+    // Tokens and cost of every answered call; flaggedCost is the part spent on discarded votes
+    const usage = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, flaggedCost: 0 };
 
-        if (result === null) {
-            onVote("flagged");
-            continue;
+    function bucketKeyFor(result) {
+        const normalized = normalizer.normalize(result);
+        const key = canonicalStringify(normalized);
+        if (!buckets.has(key) && normalizer.hasEquivalence) {
+            // Custom equivalence: join the first existing bucket the user's functions consider equal
+            for (const [existingKey, bucket] of buckets) {
+                if (normalizer.equivalent(bucket.normalized, normalized)) return existingKey;
+            }
         }
+        if (!buckets.has(key)) buckets.set(key, { normalized, variants: new Map(), cost: 0 });
+        return key;
+    }
+
+    return {
+        maxAttempts: Math.max(maxAttempts, strategy.minAttempts || 0),
+        agentOptions: {
+            requestConfidence: Boolean(strategy.requestsConfidence),
+            // Transient API errors are retried inside the agent and never reach the tally
+            onRetry: (info) => {
+                apiRetries++;
+                onVote("retry", info);
+            }
+        },
+
+        /**
+         * Upper bound on how many more agents are worth launching.
+         */
+        votesNeeded() {
+            return strategy.votesNeeded ? strategy.votesNeeded(tally) : Infinity;
+        },
+
+        /**
+         * Records one agent outcome: a vote, a red flag, or null for a cancelled call.
+         */
+        cast(vote) {
+            if (vote === null) return;
+
+            const cost = costOf(vote.usage);
+            usage.calls++;
+            usage.inputTokens += vote.usage?.inputTokens || 0;
+            usage.outputTokens += vote.usage?.outputTokens || 0;
+            usage.cost += cost;
+
+            const resultKey = vote.flagged ? null : bucketKeyFor(vote.result);
+            if (rejected.has(resultKey)) {
+                vote = redFlag(FLAG_REASONS.INVARIANT, rejected.get(resultKey));
+            }
+
+            if (vote.flagged) {
+                usage.flaggedCost += cost;
+                flaggedVotes++;
+                flags[vote.reason] = (flags[vote.reason] || 0) + 1;
+                onVote("flagged", vote);
+                return;
+            }
+
+            buckets.get(resultKey).cost += cost;
+            const variants = buckets.get(resultKey).variants;
+            const rawKey = canonicalStringify(vote.result);
+            const variant = variants.get(rawKey) || { value: vote.result, votes: 0 };
+            variant.votes++;
+            variants.set(rawKey, variant);
+
+            tally.add(resultKey, strategy.weight ? strategy.weight(vote) : 1);
+            onVote("valid");
+        },
+
+        /**
+         * @param {number} attempts - Agents counted so far.
+         * @returns {object|null} - Consensus result, or null to keep voting.
+         */
+        decide(attempts) {
+            const decision = strategy.decide(tally);
+            if (!decision) return null;
+            if (decision.exhausted) {
+                throw this.fail(`Failed to reach consensus (${strategy.name}): ${decision.exhausted}`);
+            }
+            // The winner is reported in its most common raw form, along with every variant merged into it
+            const variants = [...buckets.get(decision.key).variants.values()].sort((a, b) => b.votes - a.votes);
 
-        const resultKey = canonicalStringify(result);
-        votes[resultKey] = (votes[resultKey] || 0) + 1;
-        onVote("valid");
-
-        const sortedResults = Object.entries(votes).sort((a, b) => b[1] - a[1]);
-        const leader = sortedResults[0];
-        const runnerUp = sortedResults[1];
-
-        if (leader) {
-            const leaderVotes = leader[1];
-            const runnerUpVotes = runnerUp ? runnerUp[1] : 0;
-            const margin = leaderVotes - runnerUpVotes;
-
-            if (margin >= CONFIG.VOTE_MARGIN_K) {
-                return {
-                    value: JSON.parse(leader[0]),
-                    metadata: {
-                        voteMargin: margin,
-                        totalVotes: attempts,
-                        attempts: attempts
-                    }
-                };
+            const violation = verify ? verify(variants[0].value) : null;
+            if (violation) {
+                // Its votes count as flagged from now on; another answer may already have won
+                const votes = tally.buckets.get(decision.key).count;
+                rejected.set(decision.key, violation);
+                tally.exclude(decision.key);
+                flaggedVotes += votes;
+                flags[FLAG_REASONS.INVARIANT] = (flags[FLAG_REASONS.INVARIANT] || 0) + votes;
+                usage.flaggedCost += buckets.get(decision.key).cost;
+                onVote("flagged", redFlag(FLAG_REASONS.INVARIANT, violation));
+                return this.decide(attempts);
             }
+            return {
+                value: variants[0].value,
+                metadata: {
+                    strategy: strategy.name,
+                    variants,
+                    buckets: this.ranking(),
+                    voteMargin: decision.margin,
+                    winnerVotes: tally.buckets.get(decision.key).count,
+                    validVotes: tally.validVotes,
+                    flaggedVotes,
+                    flags: { ...flags },
+                    apiRetries,
+                    usage: { ...usage },
+                    totalVotes: attempts,
+                    attempts: attempts,
+                    cancelledCalls: 0
+                }
+            };
+        },
+
+        /**
+         * @returns {object[]} - Every answer bucket, most votes first: `{ value, votes }`, with `rejected` (the
+         *                       reason) for answers turned down by verify(). The value is the bucket's most
+         *                       common raw form.
+         */
+        ranking() {
+            return [...buckets.entries()]
+                .map(([key, bucket]) => {
+                    const variants = [...bucket.variants.values()].sort((a, b) => b.votes - a.votes);
+                    const votes = variants.reduce((sum, variant) => sum + variant.votes, 0);
+                    return rejected.has(key) ? { value: variants[0]?.value, votes, rejected: rejected.get(key) } : { value: variants[0]?.value, votes };
+                })
+                .filter(bucket => bucket.votes > 0)
+                .sort((a, b) => b.votes - a.votes);
+        },
+
+        /**
+         * @param {string} [message] - Failure reason (defaults to running out of attempts).
+         * @returns {Error} - Error carrying the per-reason flag counts in `error.flags`, the step's `error.usage`
+         *                    and the answers voted for in `error.buckets` (see ranking).
+         */
+        fail(message = `Failed to reach consensus after ${this.maxAttempts} attempts`) {
+            const summary = Object.entries(flags).map(([reason, count]) => `${reason} ×${count}`).join(", ");
+            const lastViolation = [...rejected.values()].at(-1);
+            const error = new Error((summary ? `${message} (flagged: ${summary}).` : `${message}.`)
+                + (lastViolation ? ` Last rejected answer: ${lastViolation}.` : ""));
+            error.flags = { ...flags };
+            error.usage = { ...usage };
+            error.buckets = this.ranking();
+            return error;
         }
+    };
+}
+
+/**
+ * Sequential consensus (original implementation)
+ */
+async function getConsensusResultSequential(context, instruction, election, customPrompt) {
+    let attempts = 0;
+
+    while (attempts < election.maxAttempts) {
+        const vote = await runMicroAgent(context, instruction, customPrompt, election.agentOptions);
+        attempts++;
+
+        election.cast(vote);
+        const decided = election.decide(attempts);
+        if (decided) return decided;
     }
 
-    throw new Error(`Failed to reach consensus after ${CONFIG.MAX_ATTEMPTS_PER_STEP} attempts.`);
+    throw election.fail();
 }
 
 /**
  * Parallel consensus with batch voting (optimized)
  */
-async function getConsensusResultParallel(context, instruction, onVote, customPrompt) {
-    let votes = {};
+async function getConsensusResultParallel(context, instruction, election, customPrompt) {
     let totalAttempts = 0;
 
-    while (totalAttempts < CONFIG.MAX_ATTEMPTS_PER_STEP) {
-        // Determine batch size (don't exceed MAX_ATTEMPTS_PER_STEP)
-        const remainingAttempts = CONFIG.MAX_ATTEMPTS_PER_STEP - totalAttempts;
-        const batchSize = Math.min(CONFIG.BATCH_SIZE, remainingAttempts);
+    while (totalAttempts < election.maxAttempts) {
+        // Determine batch size (don't exceed the attempt budget or what the strategy can still use)
+        const remainingAttempts = election.maxAttempts - totalAttempts;
+        const batchSize = Math.max(1, Math.min(CONFIG.BATCH_SIZE, remainingAttempts, election.votesNeeded()));
 
         // Launch batch of agents in parallel
-        const promises = Array(batchSize).fill(null).map(() =>
-            runMicroAgent(context, instruction, customPrompt)
-        );
+        // Agents still queued or in flight when consensus is reached are cancelled through this controller
+        const controller = new AbortController();
+        // An agent listens on it one stage at a time (queued, backing off, ...), except that fetch keeps
+        // a listener per request until it is garbage collected: at most one per attempt, plus the stage
+        setMaxListeners(batchSize * (CONFIG.API_MAX_RETRIES + 2), controller.signal);
+        let pendingCalls = batchSize;
+        const promises = Array(batchSize).fill(null).map(() => {
+            const promise = runMicroAgent(context, instruction, customPrompt, { ...election.agentOptions, signal: controller.signal });
+            // Also marks rejections as handled: early termination may return before awaiting every agent
+            promise.then(() => pendingCalls--, () => pendingCalls--);
+            return promise;
+        });
 
         // Early termination: Check votes as each agent completes
         if (CONFIG.EARLY_TERMINATION) {
             for (const promise of promises) {
                 totalAttempts++;
-                const result = await promise;
-
-                if (result === null) {
-                    onVote("flagged");
-                    continue;
+                let decided;
+                try {
+                    election.cast(await promise);
+                    // Check for consensus immediately after each vote
+                    decided = election.decide(totalAttempts);
+                } catch (error) {
+                    controller.abort();
+                    throw error;
                 }
 
-                const resultKey = canonicalStringify(result);
-                votes[resultKey] = (votes[resultKey] || 0) + 1;
-                onVote("valid");
-
-                // Check for consensus immediately after each vote
-                const sortedResults = Object.entries(votes).sort((a, b) => b[1] - a[1]);
-                const leader = sortedResults[0];
-                const runnerUp = sortedResults[1];
-
-                if (leader) {
-                    const leaderVotes = leader[1];
-                    const runnerUpVotes = runnerUp ? runnerUp[1] : 0;
-                    const margin = leaderVotes - runnerUpVotes;
-
-                    // Winning Condition: Leader is ahead by K
-                    if (margin >= CONFIG.VOTE_MARGIN_K) {
-                        return {
-                            value: JSON.parse(leader[0]),
-                            metadata: {
-                                voteMargin: margin,
-                                totalVotes: totalAttempts,
-                                attempts: totalAttempts
-                            }
-                        };
-                    }
+                if (decided) {
+                    // Stop the rest of the batch: queued calls are dropped, sent ones aborted
+                    decided.metadata.cancelledCalls = pendingCalls;
+                    controller.abort();
+                    return decided;
                 }
             }
         } else {
             // Standard batch mode: wait for all promises
-            const results = await Promise.all(promises);
-            totalAttempts += batchSize;
-
-            // Tally votes from this batch
-            for (const result of results) {
-                if (result === null) {
-                    onVote("flagged");
-                    continue;
-                }
-
-                const resultKey = canonicalStringify(result);
-                votes[resultKey] = (votes[resultKey] || 0) + 1;
-                onVote("valid");
+            let results;
+            try {
+                results = await Promise.all(promises);
+            } catch (error) {
+                controller.abort();
+                throw error;
             }
+            totalAttempts += batchSize;
 
-            // Check for consensus after each batch
-            const sortedResults = Object.entries(votes).sort((a, b) => b[1] - a[1]);
-            const leader = sortedResults[0];
-            const runnerUp = sortedResults[1];
-
-            if (leader) {
-                const leaderVotes = leader[1];
-                const runnerUpVotes = runnerUp ? runnerUp[1] : 0;
-                const margin = leaderVotes - runnerUpVotes;
-
-                // Winning Condition: Leader is ahead by K
-                if (margin >= CONFIG.VOTE_MARGIN_K) {
-                    return {
-                        value: JSON.parse(leader[0]),
-                        metadata: {
-                            voteMargin: margin,
-                            totalVotes: totalAttempts,
-                            attempts: totalAttempts
-                        }
-                    };
-                }
-            }
+            // Tally votes from this batch, then check for consensus
+            results.forEach(vote => election.cast(vote));
+            const decided = election.decide(totalAttempts);
+            if (decided) return decided;
         }
     }
 
-    throw new Error(`Failed to reach consensus after ${CONFIG.MAX_ATTEMPTS_PER_STEP} attempts.`);
+    throw election.fail();
 }
@@ -0,0 +1,122 @@
+import { CONFIG } from "./config.js";
+import { getConsensusResult } from "./consensus.js";
+import { controlType } from "./plan.js";
+
+/**
+ * Control Flow
+ * Runs plan steps that may include repeat / while / if nodes (see plan.js). Nodes are expanded lazily,
+ * one iteration or branch at a time, so "apply this 250 times" never becomes 1,000 written-out steps.
+ * Every condition is decided by its own consensus vote on the current state.
+ *
+ * The executor supplies two handlers and keeps the state itself:
+ *   step(step, label)             - runs one ordinary step
+ *   condition(text, node, label)  - returns the voted truth of a condition (see evaluateCondition)
+ *
+ * Labels locate a step in the expansion, e.g. "2 › 17/250 › 1" is the first step of the 17th of 250
+ * repetitions of the plan's second step.
+ */
+
+/**
+ * Runs a node: an ordinary step, or a control-flow node and the steps it expands to.
+ * @param {object} node - A validated plan step.
+ * @param {object} handlers - `{ step, condition }`.
+ * @param {string} label - The node's label.
+ * @returns {Promise<void>}
+ * @throws {Error} - A failed step or condition, or a while loop over its iteration limit.
+ */
+export async function runNode(node, handlers, label) {
+    switch (controlType(node)) {
+        case "repeat":
+            for (let k = 1; k <= node.repeat; k++) {
+                await runSteps(node.steps, handlers, `${label} › ${k}/${node.repeat}`);
+            }
+            return;
+
+        case "while": {
+            const maxIterations = node.maxIterations ?? CONFIG.MAX_LOOP_ITERATIONS;
+            for (let k = 1; await handlers.condition(node.while, node, `${label} › while`); k++) {
+                if (k > maxIterations) {
+                    throw new Error(`"while ${node.while}" is still true after ${maxIterations} iterations`);
+                }
+                await runSteps(node.steps, handlers, `${label} › ${k}`);
+            }
+            return;
+        }
+
+        case "if": {
+            const taken = await handlers.condition(node.if, node, `${label} › if`);
+            await runSteps(taken ? node.then : node.else || [], handlers, `${label} › ${taken ? "then" : "else"}`);
+            return;
+        }
+
+        default:
+            await handlers.step(node, label);
+    }
+}
+
+/**
+ * Runs a list of nodes in order.
+ * @param {object[]} steps - Validated plan steps.
+ * @param {object} handlers - See runNode.
+ * @param {string} label - Label of the enclosing node.
+ */
+async function runSteps(steps, handlers, label) {
+    for (let i = 0; i < steps.length; i++) {
+        await runNode(steps[i], handlers, `${label} › ${i + 1}`);
+    }
+}
+
+/**
+ * Votes on whether a condition holds for the current state.
+ * @param {any} context - The current state.
+ * @param {string} condition - The condition, e.g. "The value is below 100".
+ * @param {function} [onVote] - UI callback (see getConsensusResult).
+ * @param {object} [options]
+ * @param {string|object} [options.voting] - Strategy (overrides CONFIG.CONDITION_VOTING / CONFIG.VOTING).
+ * @returns {Promise<{value: boolean, metadata: object}>}
+ */
+export async function evaluateCondition(context, condition, onVote = () => { }, { voting } = {}) {
+    return await getConsensusResult(context, condition, onVote, CONDITION_PROMPT, {
+        voting: voting ?? CONFIG.CONDITION_VOTING,
+        redFlags: { resultSchema: { type: "boolean" } },
+    });
+}
+
+/**
+ * Expected number of executed steps, e.g. for sizing K. A while loop counts one iteration.
+ * @param {object[]} steps - Validated plan steps.
+ * @returns {number}
+ */
+export function countSteps(steps) {
+    return steps.reduce((sum, step) => {
+        switch (controlType(step)) {
+            case "repeat": return sum + step.repeat * countSteps(step.steps);
+            case "while": return sum + countSteps(step.steps);
+            case "if": return sum + Math.max(countSteps(step.then), countSteps(step.else || []));
+            default: return sum + 1;
+        }
+    }, 0);
+}
+
+/**
+ * @param {object} step - A validated plan step.
+ * @returns {string} - One-line description, e.g. "repeat 250× (4 steps)".
+ */
+export function describeStep(step) {
+    switch (controlType(step)) {
+        case "repeat": return `repeat ${step.repeat}× (${step.steps.length} steps)`;
+        case "while": return `while ${step.while}`;
+        case "if": return `if ${step.if}`;
+        default: return step.instruction;
+    }
+}
+
+const CONDITION_PROMPT = `You are a condition checker.
+
+CONTEXT: The current state of the task.
+TASK: The CURRENT INSTRUCTION is a condition. Decide whether it is true for the CURRENT CONTEXT right now.
+Do not perform any step of the task - only judge the condition.
+
+OUTPUT FORMAT:
+Return ONLY a valid JSON object: {"reasoning": "<brief explanation>", "result": true | false}
+`;
@@ -0,0 +1,11 @@
+/**
+ * Public API of the maker-cli package (see maker.js for createMaker and its events).
+ */
+
+export { createMaker, Maker, RunStoppedError } from "./maker.js";
+export { CONFIG, DEFAULTS } from "./config.js";
+export { ConfigError, PROFILES, applySettings, resolveSettings } from "./settings.js";
+export { getConsensusResult } from "./consensus.js";
+export { createPlan, loadPlan, savePlan, validatePlan } from "./plan.js";
+export { listCheckpoints, loadCheckpoint } from "./checkpoint.js";
+export { BudgetExceededError, getUsageTracker } from "./usage.js";
@@ -0,0 +1,109 @@
+import Ajv from "ajv";
+
+/**
+ * State Invariants
+ * Invariants are checked against the state a step's consensus result would produce, before the
+ * result is accepted. A winning answer that breaks one is excluded from the vote and voting goes on
+ * (see the `verify` option of getConsensusResult), so bad state is never passed to the next step.
+ *
+ * An invariant is one of:
+ *
+ *   "Number.isInteger(state.x) && state.x >= 0"   a JavaScript expression over `state` (the new state)
+ *                                                 and `value` (the step's result); truthy passes
+ *   { "name": "...", "check": "<expression>" }    the same, named for messages
+ *   { "name": "...", "schema": { ... } }          a JSON Schema the new state must match
+ *   (state, { value, instruction }) => true | false | string
+ *                                                 a function (library use); anything but `true` fails,
+ *                                                 a string is used as the reason
+ *
+ * Expressions run as ordinary JavaScript in this process: only run plans you trust.
+ */
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiledExpressions = new Map();
+const compiledSchemas = new WeakMap();
+
+function compileExpression(expression) {
+    if (!compiledExpressions.has(expression)) {
+        try {
+            compiledExpressions.set(expression, new Function("state", "value", `"use strict"; return (${expression});`));
+        } catch (error) {
+            throw new Error(`Invalid invariant "${expression}": ${error.message}`);
+        }
+    }
+    return compiledExpressions.get(expression);
+}
+
+function compileSchema(schema) {
+    if (!compiledSchemas.has(schema)) {
+        try {
+            compiledSchemas.set(schema, ajv.compile(schema));
+        } catch (error) {
+            throw new Error(`Invalid invariant schema: ${error.message}`);
+        }
+    }
+    return compiledSchemas.get(schema);
+}
+
+/**
+ * @param {string|object|function} spec - An invariant (see above).
+ * @returns {{name: string, check: function}} - `check(state, { value, instruction })` returns true or
+ *   the reason the state breaks the invariant.
+ * @throws {Error} - If the spec is malformed (syntax errors in expressions are found here).
+ */
+export function resolveInvariant(spec) {
+    if (typeof spec === "function") {
+        return {
+            name: spec.name || "invariant",
+            check: (state, input) => {
+                const verdict = spec(state, input);
+                return verdict === true || (typeof verdict === "string" ? verdict : "returned false");
+            },
+        };
+    }
+
+    const { name, check, schema } = typeof spec === "string" ? { check: spec } : spec ?? {};
+    if (name !== undefined && typeof name !== "string") {
+        throw new Error("Invariant name must be a string");
+    }
+    if (typeof check === "string" && check.trim() && schema === undefined) {
+        const predicate = compileExpression(check);
+        return { name: name ?? check, check: (state, { value }) => Boolean(predicate(state, value)) || "is false" };
+    }
+    if (schema !== null && typeof schema === "object" && check === undefined) {
+        const validate = compileSchema(schema);
+        return {
+            name: name ?? "state schema",
+            check: (state) => validate(state) || `failed: ${ajv.errorsText(validate.errors, { dataVar: "state" })}`,
+        };
+    }
+    throw new Error('An invariant must be an expression string, { "check": "<expression>" } or { "schema": { ... } }');
+}
+
+/**
+ * @param {Array<string|object|function>} [specs] - Invariants.
+ * @returns {object[]} - Resolved invariants (see resolveInvariant).
+ */
+export function resolveInvariants(specs = []) {
+    if (!Array.isArray(specs)) throw new Error("Invariants must be an array");
+    return specs.map(resolveInvariant);
+}
+
+/**
+ * @param {object[]} invariants - Resolved invariants.
+ * @param {object} state - The state to check.
+ * @param {object} input - `{ value, instruction }`: the step result that produced the state.
+ * @returns {string|null} - Why the first broken invariant fails, or null if all hold.
+ */
+export function checkInvariants(invariants, state, input) {
+    for (const { name, check } of invariants) {
+        let verdict;
+        try {
+            verdict = check(state, input);
+        } catch (error) {
+            verdict = `threw ${error.message}`;
+        }
+        if (verdict !== true) return `invariant "${name}" ${verdict}`;
+    }
+    return null;
+}
@@ -0,0 +1,657 @@
+import { EventEmitter } from "events";
+import { CONFIG } from "./config.js";
+import { decomposeTask, decomposeTaskGraph, decomposeTaskTree, planLeaves } from "./planner.js";
+import { getConsensusResult } from "./consensus.js";
+import { ReliabilityController } from "./reliability.js";
+import { BudgetExceededError, UsageTracker, getUsageTracker } from "./usage.js";
+import { captureSettings, createRunId, loadCheckpoint, saveCheckpoint } from "./checkpoint.js";
+import { controlType, createPlan, initialStateFor, stepDependencies, validatePlan } from "./plan.js";
+import { runSchedule } from "./scheduler.js";
+import { countSteps, describeStep, evaluateCondition, runNode } from "./control-flow.js";
+import { applyResult, stepContext } from "./state.js";
+import { checkInvariants, resolveInvariants } from "./invariants.js";
+import { canonicalStringify } from "./utils.js";
+import { currentScope, runInScope } from "./scope.js";
+
+/**
+ * Library API
+ * Plans and executes tasks the way the CLI does, for embedding MAKER in other programs:
+ *
+ *   import { createMaker } from "maker-cli";
+ *
+ *   const maker = createMaker({ provider: "ollama", model: "llama3.1", k: 3 });
+ *   maker.on("step:decided", ({ label, value }) => console.log(label, value));
+ *   const { state } = await maker.run("Start with 0, add 10, multiply by 2");
+ *
+ * Events (every event is also emitted as "event" with its name in `type`, to log them all in one place):
+ *
+ *   plan:started       { task, mode }
+ *   plan:subgoal       { node }                                  recursive planning: a subgoal was planned
+ *   plan:created       { plan }
+ *   plan:failed        { task, error }
+ *   run:started        { runId, plan, resumed, completedSteps, totalSteps, checkpointPath }
+ *   step:started       { runId, step, label, kind, instruction }
+ *   vote:cast          { runId, step, label }                    step and runId are null while planning
+ *   vote:flagged       { runId, step, label, reason, detail }
+ *   vote:retry         { runId, step, label, attempt, delayMs }  a transient API error is being retried
+ *   step:decided       { runId, step, label, kind, instruction, value, metadata, state, autoK }
+ *   step:skipped       { runId, step, label, instruction, state }   skipped by the reviewer
+ *   step:failed        { runId, step, label, kind, instruction, error, state }
+ *   run:intervention   { runId, intervention }                   the reviewer changed something (see below)
+ *   run:finished       a run result (see below), with `error` if it failed
+ *
+ * `step` is the number of the plan step (1-based) and `label` locates the step inside repeat / while / if
+ * nodes (e.g. "2 › 17/250 › 1", see control-flow.js). `kind` is "step", or "condition" for the voted
+ * condition of a while / if node. `autoK` is the K picked for a target reliability, if any.
+ *
+ * A run resolves (or, on failure, rejects with an error carrying `error.result`) with:
+ *
+ *   { runId, status, plan, state, completedSteps, totalSteps, usage, stepUsage, earlierUsage, interventions,
+ *     checkpointPath }
+ *
+ * status        - "completed" | "failed" | "budget_exceeded" | "stopped" (by the reviewer)
+ * usage         - usage totals of this session: `{ calls, inputTokens, outputTokens, cost }`
+ * stepUsage     - `{ step, instruction, usage }` for every vote of this session
+ * earlierUsage  - usage totals of earlier sessions of a resumed run (null otherwise)
+ * interventions - the reviewer's changes over every session of the run, in order
+ *
+ * Review: with a `review` function a person (or a program) steps through the run. It is called with the
+ * plan once it is made (`maker.run` only), and after every step and while / if condition with the outcome
+ * of its vote, including a failed one. Steps then run one at a time. Requests:
+ *
+ *   { runId, kind: "plan", plan, problem }
+ *   { runId, kind: "step" | "condition", step, label, instruction, value, metadata, error, buckets, state,
+ *     next, problem }
+ *
+ * buckets - every answer voted for, most votes first: `{ value, votes, rejected? }` (see consensus.js)
+ * error   - why the vote failed (value and metadata are then undefined)
+ * next    - `{ step, instruction }`: the plan step that runs next, if its instruction can still be edited
+ * problem - why the previous decision was refused (e.g. a value breaking an invariant), or null
+ *
+ * It resolves to a decision:
+ *
+ *   { action: "accept" }                          the plan, or the winning answer
+ *   { action: "choose", bucket: 2 }               another answer (1-based, as in buckets)
+ *   { action: "value", value: 42 }                an answer of the reviewer's own
+ *   { action: "skip" }                            leave the state as it was (steps only)
+ *   { action: "edit", step: 3, instruction }      change a plan step (plans only; asked again afterwards)
+ *   { action: "stop" }                            end the run without this outcome; its checkpoint is kept
+ *
+ * and a step decision may also carry `instruction`, the new instruction of `next`. Everything but
+ * accepting is recorded as an intervention, `{ time, action, step, label, kind, instruction, ... }`, in
+ * the run result and its checkpoint.
+ *
+ * Settings are the Maker's own: the options given to createMaker override CONFIG for its runs only, and
+ * every run (plan, run, runPlan or resume) meters its calls with a new UsageTracker, so budgets are
+ * per run (see scope.js). `maker.usage` is the tracker of the latest run. Makers share the process-wide
+ * RateLimiter.
+ */
+
+// createMaker option -> CONFIG key
+const SETTINGS = {
+    provider: "PROVIDER",
+    model: "MODEL_NAME",
+    voting: "VOTING",
+    k: "VOTE_MARGIN_K",
+    maxAttempts: "MAX_ATTEMPTS_PER_STEP",
+    planVoting: "PLAN_VOTING",
+    maxDepth: "MAX_PLAN_DEPTH",
+    normalization: "NORMALIZATION",
+    maxResponseTokens: "MAX_RESPONSE_TOKENS",
+    resultSchema: "RESULT_SCHEMA",
+    targetReliability: "TARGET_RELIABILITY",
+    reducer: "STATE_REDUCER",
+    historyLength: "HISTORY_LENGTH",
+    invariants: "INVARIANTS",
+    maxParallel: "MAX_PARALLEL_STEPS",
+    maxCost: "MAX_COST",
+    maxCalls: "MAX_CALLS",
+    runsDir: "RUNS_DIR",
+};
+
+const PLAN_MODES = ["flat", "recursive", "dag"];
+
+/**
+ * Raised when the reviewer stops a run (see Review above).
+ */
+export class RunStoppedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "RunStoppedError";
+    }
+}
+
+/**
+ * @param {object} [options]
+ * @param {"flat"|"recursive"|"dag"} [options.mode] - How tasks are decomposed: a list of steps (default),
+ *                                                   a tree of subgoals, or a dependency graph.
+ * @param {boolean} [options.checkpoints] - Write a checkpoint after every step (default true).
+ * @param {function} [options.review] - `async (request) => decision`, to step through runs (see Review above).
+ * @param {any} [options.*] - Settings: provider, model, voting, k, maxAttempts, planVoting, maxDepth,
+ *                            normalization, maxResponseTokens, resultSchema, targetReliability, reducer,
+ *                            historyLength, invariants, maxParallel, maxCost, maxCalls, runsDir.
+ * @returns {Maker}
+ * @throws {Error} - On an unknown option or mode.
+ */
+export function createMaker(options = {}) {
+    return new Maker(options);
+}
+
+export class Maker extends EventEmitter {
+    constructor({ mode = "flat", checkpoints = true, review = null, ...settings } = {}) {
+        super();
+        if (!PLAN_MODES.includes(mode)) {
+            throw new Error(`Unknown mode "${mode}". Available: ${PLAN_MODES.join(", ")}`);
+        }
+        // CONFIG key -> value, applied inside this Maker's runs
+        this.settings = {};
+        for (const [key, value] of Object.entries(settings)) {
+            if (!SETTINGS[key]) {
+                throw new Error(`Unknown option "${key}". Available: mode, checkpoints, review, ${Object.keys(SETTINGS).join(", ")}`);
+            }
+            if (value !== undefined) this.settings[SETTINGS[key]] = value;
+        }
+        this.mode = mode;
+        this.checkpoints = checkpoints;
+        this.review = review;
+        this.usage = null;
+    }
+
+    /**
+     * Runs `fn` in a new scope of this Maker (see scope.js): with its settings, a new UsageTracker and
+     * provider instances of its own. The public methods start one unless they are called inside a run
+     * of this Maker already (run() calls plan(), resume() calls runPlan()).
+     * @param {function} fn - Starts the run.
+     * @returns {Promise<any>} - What `fn` resolves to.
+     */
+    async inScope(fn) {
+        const scope = { owner: this, settings: { ...this.settings }, providers: new Map() };
+        return await runInScope(scope, async () => {
+            // Budgets may be this Maker's settings
+            scope.usage = new UsageTracker({ maxCost: CONFIG.MAX_COST, maxCalls: CONFIG.MAX_CALLS });
+            this.usage = scope.usage;
+            return await fn();
+        });
+    }
+
+    /**
+     * Decomposes a task into a plan.
+     * @param {string} task - The user's request.
+     * @returns {Promise<object>} - A validated plan (see plan.js).
+     */
+    async plan(task) {
+        if (currentScope()?.owner !== this) return await this.inScope(() => this.plan(task));
+        this.emitEvent("plan:started", { task, mode: this.mode });
+        const planOptions = {
+            onVote: this.voteListener(null, null, "plan"),
+            onNode: (node) => this.emitEvent("plan:subgoal", { node }),
+        };
+
+        let plan;
+        try {
+            if (this.mode === "recursive") {
+                const tree = await decomposeTaskTree(task, planOptions);
+                plan = createPlan({ task, steps: planLeaves(tree), tree });
+            } else if (this.mode === "dag") {
+                plan = createPlan({ task, steps: await decomposeTaskGraph(task, planOptions) });
+            } else {
+                plan = createPlan({ task, steps: await decomposeTask(task, planOptions) });
+            }
+        } catch (error) {
+            this.emitEvent("plan:failed", { task, error });
+            throw error;
+        }
+        this.emitEvent("plan:created", { plan });
+        return plan;
+    }
+
+    /**
+     * Plans a task and executes the plan.
+     * @param {string} task - The user's request.
+     * @param {object} [options]
+     * @param {string} [options.runId] - Id of the run's checkpoint (default: a new one).
+     * @param {any} [options.state] - Starting state (default: from the plan, see initialStateFor).
+     * @returns {Promise<object>} - The run result.
+     * @throws {Error} - The failure that stopped the run, with the run result in `error.result`.
+     */
+    async run(task, { runId = createRunId(), state } = {}) {
+        if (currentScope()?.owner !== this) return await this.inScope(() => this.run(task, { runId, state }));
+        let plan;
+        const interventions = [];
+        try {
+            plan = await this.plan(task);
+            if (this.review) plan = await this.reviewPlan(runId, plan, interventions);
+        } catch (error) {
+            // A budget spent while planning still leaves a checkpoint to resume from
+            const result = {
+                runId,
+                status: runStatus(error),
+                plan: null,
+                state: null,
+                completedSteps: 0,
+                totalSteps: null,
+                usage: getUsageTracker().summary(),
+                stepUsage: [],
+                earlierUsage: null,
+                interventions,
+                checkpointPath: null,
+            };
+            if (this.checkpoints && result.status === "budget_exceeded") {
+                result.checkpointPath = saveCheckpoint({
+                    runId,
+                    task,
+                    status: result.status,
+                    reason: error.message,
+                    plan: null,
+                    settings: captureSettings(),
+                    completedSteps: 0,
+                    completed: [],
+                    state: state ?? null, // The starting state, if one was given
+                    trace: [],
+                    interventions,
+                    usage: getUsageTracker().summary(),
+                    stepUsage: [],
+                    createdAt: new Date().toISOString(),
+                });
+            }
+            this.emitEvent("run:finished", { ...result, error });
+            error.result = result;
+            throw error;
+        }
+        return await this.runPlan(plan, { runId, state, interventions });
+    }
+
+    /**
+     * Asks the reviewer about a new plan until it is accepted (see Review above).
+     * @param {string} runId - The run's id.
+     * @param {object} plan - A validated plan.
+     * @param {object[]} interventions - Where the reviewer's edits are recorded.
+     * @returns {Promise<object>} - The accepted plan.
+     * @throws {RunStoppedError}
+     */
+    async reviewPlan(runId, plan, interventions) {
+        let problem = null;
+        for (;;) {
+            const decision = await this.review({ runId, kind: "plan", plan, problem });
+            problem = null;
+            if (decision?.action === "accept") return plan;
+            if (decision?.action === "stop") {
+                this.intervene(runId, interventions, { action: "stop", kind: "plan" });
+                throw new RunStoppedError("Stopped by the reviewer before the first step");
+            }
+            if (decision?.action !== "edit") {
+                problem = `unknown action "${decision?.action}" (plans take accept, edit or stop)`;
+                continue;
+            }
+
+            const index = decision.step - 1;
+            const instruction = typeof decision.instruction === "string" ? decision.instruction.trim() : "";
+            if (!plan.steps[index] || controlType(plan.steps[index])) {
+                problem = `step ${decision.step} is not a plain step of the plan`;
+            } else if (!instruction) {
+                problem = "the new instruction is empty";
+            } else {
+                const previous = plan.steps[index].instruction;
+                plan = validatePlan({ ...plan, steps: plan.steps.map((step, i) => (i === index ? { ...step, instruction } : step)) });
+                this.intervene(runId, interventions, { action: "edit", step: decision.step, label: `${decision.step}`, kind: "plan", instruction, previous });
+            }
+        }
+    }
+
+    /**
+     * Records a change the reviewer made and emits it.
+     * @param {string} runId - The run's id.
+     * @param {object[]} interventions - The run's interventions.
+     * @param {object} intervention - What changed.
+     */
+    intervene(runId, interventions, intervention) {
+        const entry = { time: new Date().toISOString(), ...intervention };
+        interventions.push(entry);
+        this.emitEvent("run:intervention", { runId, intervention: entry });
+    }
+
+    /**
+     * Continues a run that stopped, from its last completed step (with the current settings).
+     * @param {string|object} checkpoint - Run id, or a checkpoint (see checkpoint.js).
+     * @returns {Promise<object>} - The run result.
+     * @throws {Error} - If the run already completed, or the failure that stopped it again.
+     */
+    async resume(checkpoint) {
+        if (currentScope()?.owner !== this) return await this.inScope(() => this.resume(checkpoint));
+        if (typeof checkpoint === "string") checkpoint = loadCheckpoint(checkpoint);
+        if (checkpoint.status === "completed") {
+            throw new Error(`Run ${checkpoint.runId} already completed; nothing to resume`);
+        }
+        // A run stopped while planning starts over from the plan
+        if (!checkpoint.plan) return await this.run(checkpoint.task, { runId: checkpoint.runId, state: checkpoint.state ?? undefined });
+        return await this.runPlan(checkpoint.plan, { runId: checkpoint.runId, resume: checkpoint });
+    }
+
+    /**
+     * Executes a plan with consensus voting. Steps run in dependency order; steps whose dependencies
+     * are done run concurrently (up to CONFIG.MAX_PARALLEL_STEPS). Control-flow nodes (repeat / while / if)
+     * are expanded as they are reached, with voted conditions. Steps may override the worker prompt,
+     * voting, normalization, attempts, red-flag rules, reducer and invariants.
+     * @param {object} plan - A plan (validated here).
+     * @param {object} [options]
+     * @param {string} [options.runId] - Id of the run's checkpoint (default: a new one).
+     * @param {any} [options.state] - Starting state (default: from the plan, see initialStateFor).
+     * @param {object} [options.resume] - Checkpoint of an earlier session of this run to continue from.
+     * @param {object[]} [options.interventions] - Interventions made before the run started (its plan's review).
+     * @returns {Promise<object>} - The run result.
+     * @throws {Error} - The failure that stopped the run, with the run result in `error.result`.
+     */
+    async runPlan(plan, options = {}) {
+        if (currentScope()?.owner !== this) return await this.inScope(() => this.runPlan(plan, options));
+        const { runId = createRunId(), state: initialState, resume = null, interventions: before = [] } = options;
+        plan = validatePlan(plan);
+        const steps = plan.steps;
+        const dependencies = stepDependencies(plan);
+        const stepUsage = []; // This session's votes; earlier sessions' are in the checkpoint
+        const completed = new Set(resume ? resume.completed : []);
+        const trace = resume ? [...resume.trace] : [];
+        const interventions = [...(resume?.interventions ?? before)];
+        let state = resume ? resume.state : initialState !== undefined ? initialState : initialStateFor(plan);
+
+        const settings = captureSettings();
+        const createdAt = resume?.createdAt ?? new Date().toISOString();
+        const checkpoint = (status, reason = null) => {
+            if (!this.checkpoints) return null;
+            return saveCheckpoint({
+                runId,
+                task: plan.task,
+                status,
+                reason,
+                plan,
+                settings,
+                completedSteps: completed.size,
+                completed: [...completed].sort((a, b) => a - b),
+                state,
+                trace,
+                interventions,
+                usage: addUsage(resume?.usage, getUsageTracker().summary()),
+                stepUsage: [...(resume?.stepUsage ?? []), ...stepUsage],
+                createdAt,
+            });
+        };
+        const result = (status, checkpointPath) => ({
+            runId,
+            status,
+            plan,
+            state,
+            completedSteps: completed.size,
+            totalSteps: steps.length,
+            usage: getUsageTracker().summary(),
+            stepUsage,
+            earlierUsage: resume?.usage ?? null,
+            interventions,
+            checkpointPath,
+        });
+
+        // Inside an unfinished repeat / while / if step, the iterations an earlier session finished are
+        // replayed from the trace: their steps are skipped (the state has them) and their conditions reused
+        const replay = new Map(); // top-level step index -> trace entries, in order
+        for (const entry of trace) {
+            if (completed.has(entry.step - 1)) continue;
+            if (!replay.has(entry.step - 1)) replay.set(entry.step - 1, []);
+            replay.get(entry.step - 1).push(entry);
+        }
+        const replayed = (i, label, kind) => {
+            const queue = replay.get(i);
+            if (!queue || queue.length === 0) return null;
+            if (queue[0].label !== label || queue[0].kind !== kind) {
+                replay.delete(i);
+                return null;
+            }
+            return queue.shift();
+        };
+
+        // Reliability-targeted K: re-estimated from the vote distributions after every step
+        const reliability = CONFIG.TARGET_RELIABILITY
+            ? new ReliabilityController({ target: CONFIG.TARGET_RELIABILITY, totalSteps: countSteps(steps) })
+            : null;
+        const planInvariants = resolveInvariants([...CONFIG.INVARIANTS, ...(plan.invariants || [])]);
+
+        this.emitEvent("run:started", { runId, plan, resumed: Boolean(resume), completedSteps: completed.size, totalSteps: steps.length, checkpointPath: checkpoint("running") });
+
+        // Errors already reported by a step:failed event
+        const reported = new WeakSet();
+        const fail = (error, payload) => {
+            if (error.usage) stepUsage.push({ step: payload.step, instruction: describeStep(steps[payload.step - 1]), usage: error.usage });
+            this.emitEvent("step:failed", { runId, ...payload, error, state });
+            reported.add(error);
+            return error;
+        };
+
+        // The reviewer's verdict on a step or condition (see Review above): the value to use, or skipped
+        const settle = async (request, outcome, check) => {
+            const { buckets } = outcome.metadata ?? outcome.error;
+            const record = { step: request.step, label: request.label, kind: request.kind, instruction: request.instruction };
+            if (outcome.error) record.error = outcome.error.message;
+            const decided = outcome.error ? null : outcome.value;
+            let problem = null;
+            for (;;) {
+                const decision = await this.review({ runId, ...request, ...outcome, error: outcome.error ?? null, buckets, state, problem });
+                const action = decision?.action;
+                problem = null;
+
+                let value;
+                if (action === "stop") {
+                    this.intervene(runId, interventions, { ...record, action, decided });
+                    if (outcome.error) throw outcome.error;
+                    const error = new RunStoppedError(`Stopped by the reviewer at step ${request.label}`);
+                    error.usage = outcome.metadata.usage;
+                    throw error;
+                } else if (action === "accept") {
+                    if (outcome.error) problem = "there is no agreed answer to accept";
+                    value = outcome.value;
+                } else if (action === "choose") {
+                    if (!buckets[decision.bucket - 1]) problem = `there is no answer #${decision.bucket}`;
+                    value = buckets[decision.bucket - 1]?.value;
+                } else if (action === "skip") {
+                    if (request.kind === "condition") problem = "a condition cannot be skipped; choose or type true or false";
+                } else if (action === "value") {
+                    value = decision.value;
+                } else {
+                    problem = `unknown action "${action}"`;
+                }
+                if (!problem && action !== "skip" && action !== "accept") problem = check(value);
+                if (!problem && decision.instruction !== undefined) {
+                    if (!request.next) problem = "there is no next instruction to edit";
+                    else if (typeof decision.instruction !== "string" || !decision.instruction.trim()) problem = "the new instruction is empty";
+                }
+                if (problem) continue;
+
+                // Picking the winner is accepting it
+                const changed = action !== "accept" && (outcome.error || action === "skip" || canonicalStringify(value) !== canonicalStringify(decided));
+                if (changed) {
+                    const detail = action === "choose" ? { bucket: decision.bucket, value } : action === "value" ? { value } : {};
+                    this.intervene(runId, interventions, { ...record, action, ...detail, decided });
+                }
+                if (decision.instruction !== undefined) {
+                    const { step } = request.next;
+                    const instruction = decision.instruction.trim();
+                    const previous = steps[step - 1].instruction;
+                    // The plan is part of the checkpoint, so a resumed run keeps the edit
+                    steps[step - 1] = { ...steps[step - 1], instruction };
+                    this.intervene(runId, interventions, { action: "edit", step, label: `${step}`, kind: "step", instruction, previous });
+                }
+                return { value, skipped: action === "skip" };
+            }
+        };
+        // Without agreement a reviewer may still settle a vote (not one stopped by a budget or API errors)
+        const vote = async (run) => {
+            try {
+                return await run();
+            } catch (error) {
+                if (!this.review || !error.buckets) throw error;
+                return { error };
+            }
+        };
+
+        const runStep = async (i) => {
+            const handlers = {
+                step: async (node, label) => {
+                    if (replayed(i, label, "step")) return;
+                    const instruction = node.instruction;
+                    this.emitEvent("step:started", { runId, step: i + 1, label, kind: "step", instruction });
+
+                    try {
+                        const stepOptions = {
+                            voting: node.voting,
+                            normalization: node.normalization,
+                            maxAttempts: node.maxAttempts,
+                            redFlags: node.redFlags,
+                        };
+                        // A step's own voting setting wins over the automatically chosen K
+                        const autoK = reliability && !node.voting ? reliability.next() : null;
+                        if (autoK) {
+                            stepOptions.voting = { strategy: "ahead-by-k", k: autoK.k };
+                            stepOptions.maxAttempts = node.maxAttempts ?? autoK.maxAttempts;
+                        }
+                        const customPrompt = node.workerPrompt ?? plan.workerPrompt ?? null;
+                        const fold = {
+                            // A step's "output" key is shorthand for the "set:<key>" reducer
+                            reducer: node.output ? { strategy: "set", key: node.output } : node.reducer ?? plan.reducer,
+                            historyLength: plan.historyLength,
+                        };
+                        // A winning answer whose new state breaks an invariant is voted down
+                        const invariants = node.invariants ? [...planInvariants, ...resolveInvariants(node.invariants)] : planInvariants;
+                        if (invariants.length > 0) {
+                            stepOptions.verify = (value) => checkInvariants(invariants, applyResult(state, value, fold), { value, instruction });
+                        }
+
+                        const onVote = this.voteListener(runId, i + 1, label);
+                        const outcome = await vote(() => getConsensusResult(stepContext(state, node.inputs), instruction, onVote, customPrompt, stepOptions));
+                        let { value } = outcome;
+                        let skipped = false;
+                        if (this.review) {
+                            // A plain top-level step is followed by the next plan step (steps run one at a time)
+                            const following = label === `${i + 1}` && steps[i + 1] && !controlType(steps[i + 1]) ? steps[i + 1] : null;
+                            const next = following && { step: i + 2, instruction: following.instruction };
+                            const check = (candidate) => (invariants.length > 0 ? checkInvariants(invariants, applyResult(state, candidate, fold), { value: candidate, instruction }) : null);
+                            ({ value, skipped } = await settle({ step: i + 1, label, kind: "step", instruction, next }, outcome, check));
+                        }
+                        const { metadata = null } = outcome;
+                        if (reliability && metadata) reliability.observe(metadata);
+                        stepUsage.push({ step: i + 1, instruction: describeStep(steps[i]), usage: metadata?.usage ?? outcome.error.usage });
+
+                        if (!skipped) state = applyResult(state, value, fold);
+                        trace.push({ step: i + 1, label, kind: "step", metadata: metadata && traceMetadata(metadata) });
+                        checkpoint("running");
+                        if (skipped) {
+                            this.emitEvent("step:skipped", { runId, step: i + 1, label, instruction, state });
+                        } else {
+                            this.emitEvent("step:decided", { runId, step: i + 1, label, kind: "step", instruction, value, metadata, state, autoK });
+                        }
+                    } catch (error) {
+                        throw fail(error, { step: i + 1, label, kind: "step", instruction });
+                    }
+                },
+
+                // while / if conditions: a consensus vote of their own on the current state
+                condition: async (condition, node, label) => {
+                    const earlier = replayed(i, label, "condition");
+                    if (earlier) return earlier.value;
+                    this.emitEvent("step:started", { runId, step: i + 1, label, kind: "condition", instruction: condition });
+
+                    try {
+                        const onVote = this.voteListener(runId, i + 1, label);
+                        const outcome = await vote(() => evaluateCondition(state, condition, onVote, { voting: node.voting }));
+                        let { value } = outcome;
+                        if (this.review) {
+                            const check = (candidate) => (typeof candidate === "boolean" ? null : "a condition is true or false");
+                            ({ value } = await settle({ step: i + 1, label, kind: "condition", instruction: condition, next: null }, outcome, check));
+                        }
+                        const { metadata = null } = outcome;
+                        stepUsage.push({ step: i + 1, instruction: describeStep(steps[i]), usage: metadata?.usage ?? outcome.error.usage });
+                        trace.push({ step: i + 1, label, kind: "condition", value, metadata: metadata && traceMetadata(metadata) });
+                        checkpoint("running");
+                        this.emitEvent("step:decided", { runId, step: i + 1, label, kind: "condition", instruction: condition, value, metadata, state, autoK: null });
+                        return value;
+                    } catch (error) {
+                        throw fail(error, { step: i + 1, label, kind: "condition", instruction: condition });
+                    }
+                },
+            };
+
+            try {
+                await runNode(steps[i], handlers, `${i + 1}`);
+            } catch (error) {
+                // Step and condition failures are already reported; a while loop over its limit is not
+                if (!reported.has(error)) fail(error, { step: i + 1, label: `${i + 1}`, kind: "step", instruction: describeStep(steps[i]) });
+                throw error;
+            }
+            completed.add(i);
+            checkpoint("running");
+        };
+
+        try {
+            // A reviewed run goes one step at a time
+            await runSchedule(dependencies, runStep, { done: completed, maxParallel: this.review ? 1 : undefined });
+        } catch (error) {
+            // Steps that were already running have finished; nothing new was started after the failure
+            const status = runStatus(error);
+            error.result = result(status, checkpoint(status, error.message));
+            this.emitEvent("run:finished", { ...error.result, error });
+            throw error;
+        }
+
+        const finished = result("completed", checkpoint("completed"));
+        this.emitEvent("run:finished", finished);
+        return finished;
+    }
+
+    /**
+     * Emits an event under its own name and as "event".
+     * @param {string} type - Event name, e.g. "step:decided".
+     * @param {object} payload - Event fields.
+     */
+    emitEvent(type, payload) {
+        this.emit(type, payload);
+        this.emit("event", { type, ...payload });
+    }
+
+    /**
+     * @returns {function} - An onVote callback (see getConsensusResult) that emits vote events.
+     */
+    voteListener(runId, step, label) {
+        return (voteType, detail) => {
+            if (voteType === "valid") {
+                this.emitEvent("vote:cast", { runId, step, label });
+            } else if (voteType === "retry") {
+                this.emitEvent("vote:retry", { runId, step, label, attempt: detail.attempt, delayMs: detail.delayMs });
+            } else {
+                this.emitEvent("vote:flagged", { runId, step, label, reason: detail.reason, detail: detail.detail });
+            }
+        };
+    }
+}
+
+/**
+ * @param {Error} error - Why a run ended early.
+ * @returns {string} - The run's status.
+ */
+function runStatus(error) {
+    if (error instanceof BudgetExceededError) return "budget_exceeded";
+    return error instanceof RunStoppedError ? "stopped" : "failed";
+}
+
+/**
+ * The vote metadata kept in a checkpoint's trace (the variants and usage are left out).
+ * @param {object} metadata - From getConsensusResult.
+ * @returns {object}
+ */
+function traceMetadata({ strategy, voteMargin, winnerVotes, validVotes, flaggedVotes, totalVotes, attempts }) {
+    return { strategy, voteMargin, winnerVotes, validVotes, flaggedVotes, totalVotes, attempts };
+}
+
+/**
+ * @param {object} [earlier] - Usage totals of earlier sessions of a run.
+ * @param {object} current - This session's usage totals.
+ * @returns {object} - Both added up.
+ */
+export function addUsage(earlier, current) {
+    if (!earlier) return current;
+    return Object.fromEntries(Object.entries(current).map(([key, value]) => [key, value + (earlier[key] || 0)]));
+}
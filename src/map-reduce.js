@@ -0,0 +1,236 @@
+import fs from "fs";
+import { join, dirname } from "path";
+import { createHash } from "crypto";
+import { CONFIG } from "./config.js";
+import { getConsensusResult } from "./consensus.js";
+import { runSchedule } from "./scheduler.js";
+
+/**
+ * Map-Reduce
+ * Inputs larger than a model's context are split into overlapping chunks. A consensus-voted map
+ * instruction runs on every chunk (in parallel, up to CONFIG.MAX_PARALLEL_STEPS), then the partial
+ * results are folded by consensus-voted reduce steps, CONFIG.REDUCE_FAN_IN at a time, level by level,
+ * until one result is left. No single prompt ever holds more than one chunk or one group of results.
+ *
+ * Every finished map or reduce vote is written to a progress file, so re-running the same job
+ * (same input, instructions and chunking) resumes where it stopped:
+ *
+ *   { version, job, input, map, reduce, chunkSize, overlap, fanIn, chunks,
+ *     mapped: { "<chunk>": result }, reduced: { "<level>": { "<group>": result } },
+ *     status: "running" | "done", result, updatedAt }
+ */
+
+export const PROGRESS_VERSION = 1;
+
+/**
+ * Splits text into chunks of at most `chunkSize` characters, each starting `overlap` characters before
+ * the previous one ended. Cuts prefer a paragraph, line or word boundary in the last quarter of a chunk.
+ * @param {string} text - The input.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] - Overrides CONFIG.MAP_CHUNK_SIZE.
+ * @param {number} [options.overlap] - Overrides CONFIG.MAP_CHUNK_OVERLAP.
+ * @returns {string[]}
+ */
+export function chunkText(text, { chunkSize = CONFIG.MAP_CHUNK_SIZE, overlap = CONFIG.MAP_CHUNK_OVERLAP } = {}) {
+    if (!(chunkSize > 0)) throw new Error("Chunk size must be positive");
+    if (!(overlap >= 0 && overlap < chunkSize / 2)) throw new Error("Chunk overlap must be at least 0 and less than half the chunk size");
+
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+        if (end < text.length) {
+            const from = start + Math.floor(chunkSize * 0.75);
+            for (const separator of ["\n\n", "\n", " "]) {
+                const at = text.lastIndexOf(separator, end - separator.length);
+                if (at >= from) {
+                    end = at + separator.length;
+                    break;
+                }
+            }
+        }
+        chunks.push(text.slice(start, end));
+        if (end >= text.length) break;
+        start = end - overlap;
+    }
+    return chunks;
+}
+
+/**
+ * Runs (or resumes) a map-reduce job.
+ * @param {object} job
+ * @param {string} job.input - The full input text.
+ * @param {string} [job.inputName] - Where the input came from (recorded in the progress file).
+ * @param {string} job.map - Instruction applied to every chunk.
+ * @param {string} [job.reduce] - Instruction that combines partial results. Without one, the map
+ *                                results are returned as a list.
+ * @param {number} [job.chunkSize] - Overrides CONFIG.MAP_CHUNK_SIZE.
+ * @param {number} [job.overlap] - Overrides CONFIG.MAP_CHUNK_OVERLAP.
+ * @param {number} [job.fanIn] - Overrides CONFIG.REDUCE_FAN_IN.
+ * @param {string} [job.progressPath] - Progress file (defaults to one per job in CONFIG.RUNS_DIR).
+ * @param {boolean} [job.fresh] - Ignore saved progress and start over.
+ * @param {object} [callbacks]
+ * @param {function} [callbacks.onVote] - Per-vote UI callback (see getConsensusResult).
+ * @param {function} [callbacks.onProgress] - Called with `{ phase: "map"|"reduce", level, done, total }`.
+ * @param {function} [callbacks.onUsage] - Called with `(phase, usage)` for every map or reduce vote.
+ * @returns {Promise<{result: any, chunks: number, resumed: number, progressPath: string}>} - `resumed`
+ *   counts the votes taken from saved progress.
+ * @throws {Error} - The first failed vote (with `progressPath` set: the votes finished before it are
+ *                   saved there), or a progress file that is corrupt or belongs to a different job.
+ */
+export async function runMapReduce(job, { onVote = () => { }, onProgress = () => { }, onUsage = () => { } } = {}) {
+    const chunkSize = job.chunkSize ?? CONFIG.MAP_CHUNK_SIZE;
+    const overlap = job.overlap ?? CONFIG.MAP_CHUNK_OVERLAP;
+    const fanIn = job.fanIn ?? CONFIG.REDUCE_FAN_IN;
+    if (!(Number.isInteger(fanIn) && fanIn >= 2)) throw new Error("Reduce fan-in must be an integer of at least 2");
+
+    const chunks = chunkText(job.input, { chunkSize, overlap });
+    if (chunks.length === 0) throw new Error("Input is empty");
+
+    const jobId = createHash("sha256")
+        .update(JSON.stringify([job.input, job.map, job.reduce ?? null, chunkSize, overlap, fanIn]))
+        .digest("hex").slice(0, 16);
+    const progressPath = job.progressPath ?? join(CONFIG.RUNS_DIR, `map-${jobId}.json`);
+    const progress = (!job.fresh && loadProgress(progressPath, jobId)) || {
+        version: PROGRESS_VERSION,
+        job: jobId,
+        input: job.inputName ?? null,
+        map: job.map,
+        reduce: job.reduce ?? null,
+        chunkSize,
+        overlap,
+        fanIn,
+        chunks: chunks.length,
+        mapped: {},
+        reduced: {},
+        status: "running",
+    };
+    const resumed = Object.keys(progress.mapped).length
+        + Object.values(progress.reduced).reduce((sum, level) => sum + Object.keys(level).length, 0);
+    const save = () => saveProgress(progressPath, progress);
+
+    if (progress.status === "done") {
+        return { result: progress.result, chunks: chunks.length, resumed, progressPath };
+    }
+    save();
+
+    try {
+        await mapAndReduce(job, chunks, fanIn, progress, { onVote, onProgress, onUsage, save });
+    } catch (error) {
+        // Finished votes are in the progress file
+        error.progressPath = progressPath;
+        throw error;
+    }
+    return { result: progress.result, chunks: chunks.length, resumed, progressPath };
+}
+
+async function mapAndReduce(job, chunks, fanIn, progress, { onVote, onProgress, onUsage, save }) {
+    // 1. Map every chunk
+    await runParallel(chunks.length, progress.mapped, {
+        vote: (i) => getConsensusResult(
+            { chunk: chunks[i], chunk_number: `${i + 1}/${chunks.length}` },
+            job.map, onVote, MAP_PROMPT
+        ),
+        phase: "map",
+        level: 0,
+        save,
+        onProgress,
+        onUsage,
+    });
+    let results = chunks.map((_, i) => progress.mapped[i]);
+
+    // 2. Fold the results, fanIn at a time, until one is left
+    if (job.reduce) {
+        for (let level = 1; results.length > 1; level++) {
+            const groups = [];
+            for (let i = 0; i < results.length; i += fanIn) groups.push(results.slice(i, i + fanIn));
+            progress.reduced[level] ??= {};
+            await runParallel(groups.length, progress.reduced[level], {
+                vote: async (g) => {
+                    // A leftover single result needs no vote
+                    if (groups[g].length === 1) return { value: groups[g][0], metadata: null };
+                    return await getConsensusResult(
+                        { map_instruction: job.map, partial_results: groups[g] },
+                        job.reduce, onVote, REDUCE_PROMPT
+                    );
+                },
+                phase: "reduce",
+                level,
+                save,
+                onProgress,
+                onUsage,
+            });
+            results = groups.map((_, g) => progress.reduced[level][g]);
+        }
+    }
+
+    progress.status = "done";
+    progress.result = job.reduce ? results[0] : results;
+    save();
+}
+
+/**
+ * Runs the votes of one map or reduce level that are not in `saved` yet, saving each result as it lands.
+ */
+async function runParallel(total, saved, { vote, phase, level, save, onProgress, onUsage }) {
+    const pending = [...Array(total).keys()].filter(i => !(i in saved));
+    let done = total - pending.length;
+    onProgress({ phase, level, done, total });
+
+    await runSchedule(pending.map(() => []), async (p) => {
+        const i = pending[p];
+        try {
+            const { value, metadata } = await vote(i);
+            if (metadata) onUsage(phase, metadata.usage);
+            saved[i] = value;
+            save();
+        } catch (error) {
+            if (error.usage) onUsage(phase, error.usage);
+            throw error;
+        }
+        onProgress({ phase, level, done: ++done, total });
+    });
+}
+
+function loadProgress(path, jobId) {
+    if (!fs.existsSync(path)) return null;
+    let progress;
+    try {
+        progress = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch (error) {
+        throw new Error(`Could not read progress file ${path} (${error.message}); start over with --fresh`, { cause: error });
+    }
+    if (progress?.job !== jobId) {
+        throw new Error(`Progress file ${path} belongs to a different job (input, instructions or chunking changed); start over with --fresh`);
+    }
+    return progress;
+}
+
+function saveProgress(path, progress) {
+    fs.mkdirSync(dirname(path), { recursive: true });
+    fs.writeFileSync(`${path}.tmp`, JSON.stringify({ ...progress, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(`${path}.tmp`, path);
+}
+
+const MAP_PROMPT = `You are processing one part of a document that is too large to read at once.
+
+CONTEXT: "chunk" is one consecutive part of the document; "chunk_number" says which part of how many.
+Neighbouring chunks overlap by a few lines, so text at the edges may appear in two chunks.
+TASK: Apply the CURRENT INSTRUCTION to this chunk only. Do not guess about the rest of the document.
+If the chunk contains nothing relevant, return an empty result of the expected type (e.g. [], 0 or "").
+
+OUTPUT FORMAT:
+Return ONLY a valid JSON object: {"reasoning": "<brief explanation>", "result": <your result for this chunk>}
+`;
+
+const REDUCE_PROMPT = `You are combining partial results computed over consecutive parts of a large document.
+
+CONTEXT: "partial_results" are results of "map_instruction" applied to consecutive parts of the document
+(or combinations of such results), in document order. Neighbouring parts overlap slightly, so the same
+item may appear in two neighbouring results - count it once.
+TASK: Combine the partial results into one result as the CURRENT INSTRUCTION says. The combined result
+must have the same form as a single partial result, so it can be combined again.
+
+OUTPUT FORMAT:
+Return ONLY a valid JSON object: {"reasoning": "<brief explanation>", "result": <the combined result>}
+`;
@@ -0,0 +1,132 @@
+import { CONFIG } from "./config.js";
+import { canonicalStringify } from "./utils.js";
+
+/**
+ * Answer Normalization
+ * Maps agent results to a canonical form before they are bucketed, so equivalent answers
+ * (15, 15.0000001, "15", {"value": 15}) vote together instead of splitting the vote.
+ *
+ * Options (all off by default - only object key order is normalized):
+ *   numericTolerance     - Round numbers to this grid (e.g. 1e-6)
+ *   trimStrings          - Strip leading/trailing whitespace
+ *   caseFold             - Compare strings case-insensitively
+ *   coerceNumericStrings - Treat "15" and "15.0" as the number 15
+ *   unwrapKeys           - Single-key objects with one of these keys vote as their value ({"value": 15} -> 15)
+ *   unorderedArrays      - Arrays are compared as sets/multisets (element order ignored)
+ *   equivalence          - Custom (a, b) => boolean functions, called on normalized values,
+ *                          that merge buckets the rules above keep apart
+ */
+
+// Rule names accepted in spec strings ("trim,casefold,numbers,sets,unwrap,tolerance=1e-6")
+const RULES = {
+    trim: { trimStrings: true },
+    casefold: { caseFold: true },
+    numbers: { coerceNumericStrings: true },
+    sets: { unorderedArrays: true },
+    unwrap: { unwrapKeys: ["value", "result"] },
+};
+
+/**
+ * Parses a normalization spec string.
+ * @param {string} spec - Comma separated rules: trim, casefold, numbers, sets, unwrap[=key|key],
+ *                        tolerance=<number>, or "all".
+ * @returns {object} - Normalization options.
+ */
+export function parseNormalizationSpec(spec) {
+    const options = {};
+    for (const rule of spec.split(",").map(part => part.trim()).filter(Boolean)) {
+        const [name, value] = rule.split("=").map(part => part.trim());
+
+        if (name === "all") {
+            Object.values(RULES).forEach(preset => Object.assign(options, preset));
+        } else if (name === "tolerance") {
+            const tolerance = Number(value);
+            if (!(tolerance > 0)) {
+                throw new Error(`Invalid normalization rule "${rule}" (expected tolerance=<positive number>)`);
+            }
+            options.numericTolerance = tolerance;
+        } else if (name === "unwrap" && value) {
+            options.unwrapKeys = value.split("|");
+        } else if (RULES[name]) {
+            Object.assign(options, RULES[name]);
+        } else {
+            throw new Error(`Unknown normalization rule "${name}". Available: ${[...Object.keys(RULES), "tolerance", "all"].join(", ")}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * @param {string|object|null} [normalization] - Spec string or options (defaults to CONFIG.NORMALIZATION).
+ * @returns {object} - Normalization options.
+ */
+export function resolveNormalization(normalization = CONFIG.NORMALIZATION) {
+    if (!normalization) return {};
+    return typeof normalization === "string" ? parseNormalizationSpec(normalization) : normalization;
+}
+
+// Decimal places of a number as written (0.01 -> 2, 2.5e-7 -> 8, 5 -> 0)
+function decimalsOf(number) {
+    const [mantissa, exponent = "0"] = String(number).split("e");
+    const fraction = mantissa.split(".")[1]?.length || 0;
+    return Math.min(100, Math.max(0, fraction - Number(exponent)));
+}
+
+function normalizeNumber(number, options) {
+    let result = number;
+    if (options.numericTolerance > 0) {
+        // Snap to the tolerance grid, then strip the float noise the multiplication leaves behind
+        // by rounding to the tolerance's own decimals (not to significant digits, which would merge
+        // large numbers that are far apart)
+        const snapped = Math.round(result / options.numericTolerance) * options.numericTolerance;
+        result = Number(snapped.toFixed(decimalsOf(options.numericTolerance)));
+    }
+    return Object.is(result, -0) ? 0 : result;
+}
+
+function normalizeValue(value, options) {
+    if (typeof value === "number") return normalizeNumber(value, options);
+
+    if (typeof value === "string") {
+        let text = options.trimStrings ? value.trim() : value;
+        if (options.coerceNumericStrings && text.trim() !== "" && Number.isFinite(Number(text))) {
+            return normalizeNumber(Number(text), options);
+        }
+        if (options.caseFold) text = text.toLowerCase();
+        return text;
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.map(item => normalizeValue(item, options));
+        if (options.unorderedArrays) {
+            items.sort((a, b) => canonicalStringify(a).localeCompare(canonicalStringify(b)));
+        }
+        return items;
+    }
+
+    if (value !== null && typeof value === "object") {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && options.unwrapKeys?.includes(keys[0])) {
+            return normalizeValue(value[keys[0]], options);
+        }
+        return Object.fromEntries(keys.map(key => [key, normalizeValue(value[key], options)]));
+    }
+
+    return value;
+}
+
+/**
+ * Builds the bucketing functions for one election.
+ * @param {string|object|null} [normalization] - Spec string or options (defaults to CONFIG.NORMALIZATION).
+ * @returns {{ normalize: function(any): any, equivalent: function(any, any): boolean, hasEquivalence: boolean }}
+ */
+export function createNormalizer(normalization) {
+    const options = resolveNormalization(normalization);
+    const equivalence = [].concat(options.equivalence || []);
+
+    return {
+        normalize: (value) => normalizeValue(value, options),
+        equivalent: (a, b) => equivalence.some(fn => fn(a, b)),
+        hasEquivalence: equivalence.length > 0,
+    };
+}
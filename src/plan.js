@@ -0,0 +1,330 @@
+import fs from "fs";
+import { dirname } from "path";
+import { resolveStrategy } from "./voting.js";
+import { resolveNormalization } from "./normalize.js";
+import { RESERVED_KEYS, resolveReducer } from "./state.js";
+import { resolveInvariants } from "./invariants.js";
+
+/**
+ * Plan Files
+ * A plan is the output of decomposition, saved so it can be reviewed, fixed or generated by other
+ * tools before any votes are paid for (`maker plan "<task>" -o plan.json`, `maker run --plan plan.json`):
+ *
+ *   {
+ *     "version": 1,
+ *     "task": "Start with 0, add 10, multiply by 2",
+ *     "workerPrompt": "...",        // optional custom system prompt for every step
+ *     "initialState": { ... },      // optional starting state (default: { original_task, history: [] })
+ *     "reducer": "merge",           // optional: how results fold into state (see state.js)
+ *     "historyLength": 5,           // optional: results kept in state.history
+ *     "invariants": ["state.current_value >= 0"],   // optional: checked after every step (see invariants.js)
+ *     "steps": [
+ *       "Add 10",                   // plain instruction, or a step with per-step settings:
+ *       { "instruction": "Multiply by 2", "workerPrompt": "...", "voting": "majority:n=5",
+ *         "normalization": "numbers", "maxAttempts": 20, "reducer": "append:results",
+ *         "invariants": [{ "name": "x is an integer", "check": "Number.isInteger(state.x)" }],
+ *         "redFlags": { "maxResponseTokens": 300, "resultSchema": { ... } } }
+ *     ],
+ *     "tree": { ... }               // optional step tree from recursive decomposition (informational)
+ *   }
+ *
+ * Steps run in order unless some step declares `dependsOn`; then the steps form a dependency graph
+ * and every step whose dependencies are done may run concurrently (see scheduler.js):
+ *
+ *   { "id": "a", "instruction": "Compute 17 * 23", "output": "a" },
+ *   { "id": "b", "instruction": "Compute 41 * 12", "output": "b" },
+ *   { "id": "sum", "instruction": "Add a and b", "dependsOn": ["a", "b"], "inputs": ["a", "b"], "output": "sum" }
+ *
+ * `id` defaults to the step number ("1", "2", ...). `inputs` limits the context a step sees to these
+ * state keys (plus original_task); `output` stores the step's result under that key instead of
+ * merging it into the state.
+ *
+ * Control-flow nodes repeat or choose steps without writing them out. Their conditions are decided by
+ * a consensus vote on the current state, and the executor expands them as it reaches them
+ * (see control-flow.js):
+ *
+ *   { "repeat": 250, "steps": ["Move North", "Move East", "Move South", "Move West"] }
+ *   { "while": "The value is below 100", "steps": ["Double it"], "maxIterations": 20 }
+ *   { "if": "The value is even", "then": ["Add 3"], "else": ["Subtract 1"] }
+ *
+ * Steps inside a control-flow node run in order and can't take part in the dependency graph.
+ */
+
+export const PLAN_VERSION = 1;
+
+// Per-step settings a plan may carry (mirrors the options of getConsensusResult)
+const STEP_KEYS = ["instruction", "workerPrompt", "voting", "normalization", "maxAttempts", "redFlags", "reducer", "invariants", "id", "dependsOn", "inputs", "output"];
+const RED_FLAG_KEYS = ["maxResponseTokens", "resultSchema", "validators"]; // validators: functions, for plans built in code
+// Fields of each control-flow node; `voting` is the strategy for its condition
+const CONTROL_KEYS = {
+    repeat: ["repeat", "steps"],
+    while: ["while", "steps", "maxIterations", "voting"],
+    if: ["if", "then", "else", "voting"],
+};
+// Only top-level steps take part in the dependency graph
+const GRAPH_KEYS = ["id", "dependsOn"];
+
+/**
+ * @param {object} step - A plan step.
+ * @returns {"repeat"|"while"|"if"|null} - The kind of control-flow node, or null for an ordinary step.
+ */
+export function controlType(step) {
+    return Object.keys(CONTROL_KEYS).find(key => step[key] !== undefined) ?? null;
+}
+
+/**
+ * @param {object} fields
+ * @param {string} fields.task - The user's request.
+ * @param {Array<string|object>} fields.steps - Steps in execution order.
+ * @param {object} [fields.tree] - Step tree (recursive decomposition).
+ * @param {string} [fields.workerPrompt] - Custom system prompt for every step.
+ * @param {any} [fields.initialState] - Starting state.
+ * @returns {object} - A validated plan.
+ */
+export function createPlan({ task, steps, tree, workerPrompt, initialState }) {
+    return validatePlan({ version: PLAN_VERSION, task, workerPrompt, initialState, steps, tree });
+}
+
+function validateStep(step, where, nested = false) {
+    if (typeof step === "string") {
+        if (!step.trim()) throw new Error(`${where} is an empty instruction`);
+        return { instruction: step };
+    }
+    if (step === null || typeof step !== "object" || Array.isArray(step)) {
+        throw new Error(`${where} must be an instruction string or an object with an "instruction"`);
+    }
+
+    const type = controlType(step);
+    const allowed = (type ? CONTROL_KEYS[type].concat(GRAPH_KEYS) : STEP_KEYS)
+        .filter(key => !(nested && GRAPH_KEYS.includes(key)));
+    const unknown = Object.keys(step).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where} has unknown field(s) ${unknown.join(", ")} (allowed: ${allowed.join(", ")})`);
+    }
+    if (type) return validateControlNode(step, where, type);
+
+    if (typeof step.instruction !== "string" || !step.instruction.trim()) {
+        throw new Error(`${where}.instruction must be a non-empty string`);
+    }
+    if (step.workerPrompt !== undefined && typeof step.workerPrompt !== "string") {
+        throw new Error(`${where}.workerPrompt must be a string`);
+    }
+    if (step.maxAttempts !== undefined && !(Number.isInteger(step.maxAttempts) && step.maxAttempts > 0)) {
+        throw new Error(`${where}.maxAttempts must be a positive integer`);
+    }
+    try {
+        if (step.voting !== undefined) resolveStrategy(step.voting);
+        if (step.normalization !== undefined) resolveNormalization(step.normalization);
+        if (step.reducer !== undefined) resolveReducer(step.reducer);
+        if (step.invariants !== undefined) resolveInvariants(step.invariants);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+    if (step.reducer !== undefined && step.output !== undefined) {
+        throw new Error(`${where} can't set both "output" and "reducer" (output is the same as reducer "set:<key>")`);
+    }
+    validateGraphFields(step, where);
+    if (step.inputs !== undefined && !isStringArray(step.inputs)) {
+        throw new Error(`${where}.inputs must be an array of strings`);
+    }
+    if (step.output !== undefined && (typeof step.output !== "string" || !step.output || RESERVED_KEYS.includes(step.output))) {
+        throw new Error(`${where}.output must be a state key other than ${RESERVED_KEYS.map(key => `"${key}"`).join(" and ")}`);
+    }
+    if (step.redFlags !== undefined) {
+        const unknownRules = Object.keys(step.redFlags || {}).filter(key => !RED_FLAG_KEYS.includes(key));
+        if (typeof step.redFlags !== "object" || unknownRules.length > 0) {
+            throw new Error(`${where}.redFlags may only set ${RED_FLAG_KEYS.join(", ")}`);
+        }
+    }
+    return { ...step };
+}
+
+function validateControlNode(node, where, type) {
+    if (type === "repeat" && !(Number.isInteger(node.repeat) && node.repeat > 0)) {
+        throw new Error(`${where}.repeat must be a positive integer`);
+    }
+    if (type !== "repeat" && (typeof node[type] !== "string" || !node[type].trim())) {
+        throw new Error(`${where}.${type} must be a condition (non-empty string)`);
+    }
+    if (node.maxIterations !== undefined && !(Number.isInteger(node.maxIterations) && node.maxIterations > 0)) {
+        throw new Error(`${where}.maxIterations must be a positive integer`);
+    }
+    try {
+        if (node.voting !== undefined) resolveStrategy(node.voting);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+    validateGraphFields(node, where);
+
+    const validated = { ...node };
+    for (const body of ["steps", "then", "else"].filter(key => CONTROL_KEYS[type].includes(key))) {
+        if (body === "else" && node.else === undefined) continue;
+        if (!Array.isArray(node[body]) || (body !== "else" && node[body].length === 0)) {
+            throw new Error(`${where}.${body} must be a${body === "else" ? "n" : " non-empty"} array of steps`);
+        }
+        validated[body] = node[body].map((step, i) => validateStep(step, `${where}.${body}[${i}]`, true));
+    }
+    return validated;
+}
+
+function validateGraphFields(step, where) {
+    if (step.id !== undefined && (typeof step.id !== "string" || !step.id.trim())) {
+        throw new Error(`${where}.id must be a non-empty string`);
+    }
+    if (step.dependsOn !== undefined && !isStringArray(step.dependsOn)) {
+        throw new Error(`${where}.dependsOn must be an array of strings`);
+    }
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === "string" && item);
+}
+
+/**
+ * Checks a plan and normalizes every step to object form.
+ * @param {object} plan - Parsed plan file.
+ * @returns {object} - The plan with `steps` as `{ instruction, ...settings }` objects.
+ * @throws {Error} - Describing the first problem found.
+ */
+export function validatePlan(plan) {
+    if (plan === null || typeof plan !== "object" || Array.isArray(plan)) {
+        throw new Error("Plan must be a JSON object");
+    }
+    if (plan.version !== undefined && plan.version !== PLAN_VERSION) {
+        throw new Error(`Unsupported plan version ${plan.version} (expected ${PLAN_VERSION})`);
+    }
+    if (typeof plan.task !== "string") {
+        throw new Error('Plan needs a "task" string (the original request, used for grounding)');
+    }
+    if (plan.workerPrompt !== undefined && plan.workerPrompt !== null && typeof plan.workerPrompt !== "string") {
+        throw new Error('"workerPrompt" must be a string');
+    }
+    try {
+        if (plan.reducer !== undefined) resolveReducer(plan.reducer);
+    } catch (error) {
+        throw new Error(`"reducer": ${error.message}`);
+    }
+    try {
+        if (plan.invariants !== undefined) resolveInvariants(plan.invariants);
+    } catch (error) {
+        throw new Error(`"invariants": ${error.message}`);
+    }
+    if (plan.historyLength !== undefined && !(Number.isInteger(plan.historyLength) && plan.historyLength >= 0)) {
+        throw new Error('"historyLength" must be a non-negative integer');
+    }
+    if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+        throw new Error('Plan needs a non-empty "steps" array');
+    }
+
+    const validated = {
+        ...plan,
+        version: PLAN_VERSION,
+        steps: plan.steps.map((step, i) => validateStep(step, `steps[${i}]`)),
+    };
+    stepDependencies(validated);
+    return validated;
+}
+
+/**
+ * @param {object} step - A validated step.
+ * @param {number} index - Its position in the plan.
+ * @returns {string} - The step's id (its 1-based number unless it names one).
+ */
+export function stepId(step, index) {
+    return step.id ?? String(index + 1);
+}
+
+/**
+ * Resolves which steps each step waits for. Without any `dependsOn` the plan is linear (every step
+ * waits for the one before it); otherwise steps without `dependsOn` can start right away.
+ * @param {object} plan - A plan with object steps.
+ * @returns {number[][]} - For every step, the indexes of the steps it depends on.
+ * @throws {Error} - On duplicate ids, unknown dependencies or a dependency cycle.
+ */
+export function stepDependencies(plan) {
+    const steps = plan.steps;
+    if (!steps.some(step => step.dependsOn)) {
+        return steps.map((_, i) => (i === 0 ? [] : [i - 1]));
+    }
+
+    const indexById = new Map();
+    steps.forEach((step, i) => {
+        const id = stepId(step, i);
+        if (indexById.has(id)) throw new Error(`steps[${i}] reuses id "${id}"`);
+        indexById.set(id, i);
+    });
+    const dependencies = steps.map((step, i) => (step.dependsOn || []).map(id => {
+        if (!indexById.has(id)) throw new Error(`steps[${i}] depends on unknown step "${id}"`);
+        return indexById.get(id);
+    }));
+
+    // Depth-first search for cycles: 1 = on the current path, 2 = finished
+    const marks = new Array(steps.length).fill(0);
+    const visit = (i, path) => {
+        if (marks[i] === 2) return;
+        if (marks[i] === 1) {
+            const cycle = [...path.slice(path.indexOf(i)), i].map(j => stepId(steps[j], j));
+            throw new Error(`Dependency cycle: ${cycle.join(" -> ")}`);
+        }
+        marks[i] = 1;
+        dependencies[i].forEach(dep => visit(dep, [...path, i]));
+        marks[i] = 2;
+    };
+    steps.forEach((_, i) => visit(i, []));
+    return dependencies;
+}
+
+/**
+ * @param {string} path - Plan file.
+ * @returns {object} - The validated plan.
+ * @throws {Error} - If the file can't be read or the plan is invalid.
+ */
+export function loadPlan(path) {
+    let plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch (error) {
+        throw new Error(`Could not read plan ${path}: ${error.message}`);
+    }
+    try {
+        return validatePlan(plan);
+    } catch (error) {
+        throw new Error(`Invalid plan ${path}: ${error.message}`);
+    }
+}
+
+/**
+ * Writes a plan for review and editing. Steps without per-step settings are saved as plain strings
+ * (inside control-flow nodes too).
+ * @param {object} plan - A validated plan.
+ * @param {string} path - Output file.
+ */
+export function savePlan(plan, path) {
+    const compact = (step) => {
+        if (Object.keys(step).length === 1 && step.instruction !== undefined) return step.instruction;
+        const bodies = ["steps", "then", "else"].filter(key => Array.isArray(step[key]));
+        return { ...step, ...Object.fromEntries(bodies.map(key => [key, step[key].map(compact)])) };
+    };
+    const steps = plan.steps.map(compact);
+    const data = Object.fromEntries(
+        Object.entries({ ...plan, steps }).filter(([, value]) => value !== undefined && value !== null)
+    );
+    fs.mkdirSync(dirname(path), { recursive: true });
+    fs.writeFileSync(path, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * @param {object} plan - A validated plan.
+ * @returns {object} - The state the first step sees.
+ */
+export function initialStateFor(plan) {
+    if (plan.initialState === undefined || plan.initialState === null) {
+        // Initial state with history buffer and original task for grounding
+        return { original_task: plan.task, history: [] };
+    }
+    if (typeof plan.initialState === "object" && !Array.isArray(plan.initialState)) {
+        return { ...plan.initialState };
+    }
+    // Primitive starting values are kept the same way step results are
+    return { original_task: plan.task, history: [], current_value: plan.initialState };
+}
@@ -1,35 +1,389 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { CONFIG } from "./config.js";
-
-const genAI = new GoogleGenerativeAI(CONFIG.API_KEY);
-const model = genAI.getGenerativeModel({ model: CONFIG.MODEL_NAME });
+import { getProvider } from "./providers.js";
+import { withRetry } from "./retry.js";
+import { BudgetExceededError } from "./usage.js";
+import { FLAG_REASONS, redFlag } from "./red-flags.js";
+import { VoteTally, resolveStrategy } from "./voting.js";
+import { getConsensusResult } from "./consensus.js";
+import { controlType, validatePlan } from "./plan.js";
+import { canonicalStringify } from "./utils.js";
 
 /**
  * Decomposes a high-level user prompt into a sequence of atomic steps.
+ * The plan is voted on like any other step: candidate plans are sampled at CONFIG.PLAN_TEMPERATURE
+ * in batches until the planning strategy (CONFIG.PLAN_VOTING) agrees first on the number of steps
+ * and then on every step's text, compared after normalization.
  * @param {string} userPrompt - The user's request.
- * @returns {Promise<string[]>} - An array of instruction strings.
+ * @param {object} [options]
+ * @param {function} [options.onVote] - Callback for UI updates: onVote("valid"), onVote("flagged", redFlag)
+ *                                      or onVote("retry", { error, attempt, delayMs }).
+ * @param {string|object} [options.voting] - Planning strategy (overrides CONFIG.PLAN_VOTING).
+ * @param {number} [options.maxSamples] - Candidate plan budget (overrides CONFIG.PLAN_MAX_SAMPLES).
+ * @returns {Promise<Array<string|object>>} - Instruction strings, and control nodes (repeat / while / if)
+ *                                            for repeated or conditional work (see plan.js).
+ */
+export async function decomposeTask(userPrompt, options = {}) {
+    return await votePlan(buildPlannerPrompt(userPrompt), options, FLOW_FORMAT);
+}
+
+/**
+ * Decomposes a user prompt into a dependency graph of steps, so independent steps can run in parallel.
+ * Voted like decomposeTask; two candidate steps agree when their normalized instruction, id,
+ * dependencies, inputs and output all match.
+ * @param {string} userPrompt - The user's request.
+ * @param {object} [options] - See decomposeTask.
+ * @returns {Promise<object[]>} - Steps as `{ id, instruction, dependsOn, inputs, output }` (see plan.js).
+ */
+export async function decomposeTaskGraph(userPrompt, options = {}) {
+    const steps = await votePlan(buildGraphPlannerPrompt(userPrompt), options, GRAPH_FORMAT);
+    // An explicit (possibly empty) dependsOn keeps the plan a graph when saved and reloaded
+    return steps.map(step => ({ ...step, dependsOn: step.dependsOn ?? [] }));
+}
+
+// How candidate plans are checked and compared: instruction strings, control flow or a step graph
+const LIST_FORMAT = {
+    check(steps) {
+        return steps.every(step => typeof step === "string" && step.trim()) ? null : "Plan is not a non-empty JSON array of strings";
+    },
+    key: normalizeStep,
+    raw: step => step.trim(),
+};
+
+// Top-level plans may also use repeat / while / if nodes
+const FLOW_FORMAT = {
+    check(steps) {
+        if (!steps.every(step => (typeof step === "string" && step.trim()) || (isObject(step) && controlType(step)))) {
+            return "Plan is not a non-empty JSON array of strings and control nodes";
+        }
+        try {
+            validatePlan({ task: "", steps });
+            return null;
+        } catch (error) {
+            return `Invalid control node: ${error.message}`;
+        }
+    },
+    key: step => (typeof step === "string" ? normalizeStep(step) : canonicalStringify(normalizeControlNode(step))),
+    raw: step => (typeof step === "string" ? step.trim() : canonicalStringify(step)),
+};
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Control node with every instruction and condition normalized, for comparing candidate plans
+function normalizeControlNode(node) {
+    const normalized = { ...node };
+    for (const key of ["while", "if"]) {
+        if (typeof node[key] === "string") normalized[key] = normalizeStep(node[key]);
+    }
+    for (const key of ["steps", "then", "else"]) {
+        if (Array.isArray(node[key])) {
+            normalized[key] = node[key].map(step => (isObject(step) ? normalizeControlNode(step) : normalizeStep(String(step))));
+        }
+    }
+    if (typeof node.instruction === "string") normalized.instruction = normalizeStep(node.instruction);
+    return normalized;
+}
+
+const GRAPH_FORMAT = {
+    check(steps) {
+        if (!steps.every(isObject)) {
+            return "Plan is not a JSON array of step objects";
+        }
+        try {
+            validatePlan({ task: "", steps: steps.map(step => ({ dependsOn: [], ...step })) });
+            return null;
+        } catch (error) {
+            return `Invalid step graph: ${error.message}`;
+        }
+    },
+    key: step => canonicalStringify({
+        id: step.id,
+        instruction: normalizeStep(step.instruction),
+        dependsOn: [...(step.dependsOn || [])].sort(),
+        inputs: [...(step.inputs || [])].sort(),
+        output: step.output,
+    }),
+    raw: step => canonicalStringify({ ...step, instruction: step.instruction.trim() }),
+};
+
+/**
+ * Recursively decomposes a task into a tree of subgoals.
+ * The task is split into subgoals (a voted plan), each subgoal is judged atomic or not by a consensus
+ * vote, and non-atomic subgoals are split again, until every leaf is atomic or at the depth limit.
+ * Siblings are judged and expanded concurrently; the tree keeps the planned order.
+ *
+ *   node = { instruction, depth, atomic: true | false | null (not judged), children: node[] }
+ *
+ * @param {string} userPrompt - The user's request (the root node).
+ * @param {object} [options] - decomposeTask options, plus:
+ * @param {number} [options.maxDepth] - Deepest level that may be created (overrides CONFIG.MAX_PLAN_DEPTH).
+ * @param {function} [options.onNode] - Called with each node once it is planned (UI progress).
+ * @returns {Promise<object>} - The root node.
+ */
+export async function decomposeTaskTree(userPrompt, { maxDepth = CONFIG.MAX_PLAN_DEPTH, onNode = () => { }, ...options } = {}) {
+    const root = { instruction: userPrompt, depth: 0, atomic: false, children: [] };
+    await expandNode(root, [], userPrompt, { maxDepth, onNode, ...options });
+    return root;
+}
+
+async function expandNode(node, ancestors, task, options) {
+    const subgoals = await votePlan(buildSubgoalPrompt(task, [...ancestors, node.instruction]), options);
+
+    // A goal that splits into just itself is as small as the planner can make it
+    if (subgoals.length === 1 && node.depth > 0) {
+        node.atomic = true;
+        return;
+    }
+
+    node.children = subgoals.map(instruction => ({ instruction, depth: node.depth + 1, atomic: null, children: [] }));
+    await Promise.all(node.children.map(async (child) => {
+        if (child.depth < options.maxDepth) {
+            child.atomic = await isAtomic(task, node.instruction, child.instruction, options.onVote);
+        }
+        options.onNode(child);
+        if (child.atomic === false) {
+            await expandNode(child, [...ancestors, node.instruction], task, options);
+        }
+    }));
+}
+
+/**
+ * @param {object} tree - Root node from decomposeTaskTree.
+ * @returns {string[]} - Leaf instructions in execution order.
+ */
+export function planLeaves(tree) {
+    if (tree.children.length === 0) return [tree.instruction];
+    return tree.children.flatMap(planLeaves);
+}
+
+/**
+ * Votes on whether a subgoal can be executed as a single step.
+ * @returns {Promise<boolean>}
+ */
+async function isAtomic(task, parentGoal, goal, onVote = () => { }) {
+    try {
+        const { value } = await getConsensusResult(
+            { original_task: task, parent_goal: parentGoal },
+            goal,
+            onVote,
+            ATOMICITY_PROMPT,
+            { voting: CONFIG.ATOMICITY_VOTING, redFlags: { resultSchema: { type: "boolean" } } }
+        );
+        return value;
+    } catch (error) {
+        if (error instanceof BudgetExceededError) throw error;
+        throw new Error(`Failed to decompose task: could not decide whether "${goal}" is atomic: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Samples candidate plans for a planner prompt and votes on them.
+ * @param {string} prompt - Planner prompt.
+ * @param {object} options - See decomposeTask.
+ * @param {object} [format] - LIST_FORMAT, FLOW_FORMAT or GRAPH_FORMAT.
+ * @returns {Promise<Array<string|object>>} - The agreed steps.
  */
-export async function decomposeTask(userPrompt) {
-    const prompt = `
+async function votePlan(prompt, { onVote = () => { }, voting, maxSamples } = {}, format = LIST_FORMAT) {
+    const strategy = resolveStrategy(voting ?? CONFIG.PLAN_VOTING);
+    const sampleBudget = Math.max(maxSamples ?? CONFIG.PLAN_MAX_SAMPLES, strategy.minAttempts || 0);
+
+    const plans = [];
+    const flags = {};
+    let samples = 0;
+
+    try {
+        while (samples < sampleBudget) {
+            const batchSize = Math.max(1, Math.min(CONFIG.PLAN_BATCH_SIZE, sampleBudget - samples));
+            const batch = await Promise.all(Array(batchSize).fill(null).map(() => samplePlan(prompt, onVote, format)));
+            samples += batchSize;
+
+            for (const plan of batch) {
+                if (plan.flagged) {
+                    flags[plan.reason] = (flags[plan.reason] || 0) + 1;
+                    onVote("flagged", plan);
+                } else {
+                    plans.push(plan);
+                    onVote("valid");
+                }
+            }
+
+            const decided = decidePlan(plans, strategy, format);
+            if (decided) return decided;
+        }
+    } catch (error) {
+        if (error instanceof BudgetExceededError) throw error;
+        throw new Error("Failed to decompose task: " + error.message, { cause: error });
+    }
+
+    const summary = Object.entries(flags).map(([reason, count]) => `${reason} ×${count}`).join(", ");
+    throw new Error(`Failed to decompose task: planners did not agree after ${samples} plans${summary ? ` (flagged: ${summary})` : ""}.`);
+}
+
+/**
+ * Samples one candidate plan.
+ * @returns {Promise<{steps: Array<string|object>}|{flagged: true, reason: string, detail: string}>}
+ */
+async function samplePlan(prompt, onVote, format) {
+    // Transient API errors (429 / 5xx / network) are retried with backoff
+    const replaying = CONFIG.CASSETTE_MODE === "replay";
+    const result = await withRetry(() => getProvider().generate(prompt, {
+        model: CONFIG.MODEL_NAME,
+        temperature: CONFIG.PLAN_TEMPERATURE // Diverse samples, so agreement means something
+    }), { onRetry: (info) => onVote("retry", info), ...(replaying && { baseDelayMs: 0, maxDelayMs: 0 }) });
+
+    let steps;
+    try {
+        const text = result.text.trim();
+        const cleanText = text.replace(/```json/g, "").replace(/```/g, "").trim();
+        steps = JSON.parse(cleanText);
+    } catch (e) {
+        // Unparseable plan (or an unusable response, e.g. a blocked candidate) -> Red Flag
+        return redFlag(e instanceof SyntaxError ? FLAG_REASONS.PARSE_ERROR : FLAG_REASONS.RESPONSE_ERROR, e.message);
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return redFlag(FLAG_REASONS.PARSE_ERROR, "Plan is not a non-empty JSON array");
+    }
+    const problem = format.check(steps);
+    if (problem) return redFlag(FLAG_REASONS.PARSE_ERROR, problem);
+    return { steps };
+}
+
+/**
+ * Canonical form of a step for voting: case, whitespace and trailing punctuation don't matter.
+ * @param {string} step - Step instruction.
+ * @returns {string}
+ */
+export function normalizeStep(step) {
+    return step.trim().replace(/\s+/g, " ").replace(/[.;,]+$/, "").toLowerCase();
+}
+
+/**
+ * Runs the plan elections over the plans sampled so far.
+ * @param {object[]} plans - Valid candidate plans.
+ * @param {object} strategy - Voting strategy.
+ * @param {object} format - LIST_FORMAT, FLOW_FORMAT or GRAPH_FORMAT.
+ * @returns {Array<string|object>|null} - The agreed plan, or null if more samples are needed.
+ * @throws {Error} - If the strategy rules out agreement.
+ */
+function decidePlan(plans, strategy, format) {
+    // 1. Step count
+    const lengths = new VoteTally();
+    plans.forEach(plan => lengths.add(String(plan.steps.length)));
+    const length = strategy.decide(lengths);
+    if (!length) return null;
+    if (length.exhausted) throw new Error(`planners disagree on the number of steps: ${length.exhausted}`);
+
+    // 2. Each step, among the plans with the agreed length
+    const candidates = plans.filter(plan => String(plan.steps.length) === length.key);
+    const steps = [];
+    for (let i = 0; i < candidates[0].steps.length; i++) {
+        const tally = new VoteTally();
+        const variants = new Map(); // normalized -> Map(raw -> { step, votes })
+        for (const plan of candidates) {
+            const step = plan.steps[i];
+            const key = format.key(step);
+            const raw = format.raw(step);
+            tally.add(key);
+            if (!variants.has(key)) variants.set(key, new Map());
+            const variant = variants.get(key).get(raw) || { step, votes: 0 };
+            variant.votes++;
+            variants.get(key).set(raw, variant);
+        }
+
+        const decision = strategy.decide(tally);
+        if (!decision) return null;
+        if (decision.exhausted) throw new Error(`planners disagree on step ${i + 1}: ${decision.exhausted}`);
+
+        // The winner is reported in its most common raw form
+        const [winner] = [...variants.get(decision.key).values()].sort((a, b) => b.votes - a.votes);
+        steps.push(typeof winner.step === "string" ? winner.step.trim() : winner.step);
+    }
+    return steps;
+}
+
+/**
+ * Builds the planner prompt.
+ * @param {string} userPrompt - The user's request.
+ * @returns {string} - The formatted prompt.
+ */
+function buildPlannerPrompt(userPrompt) {
+    return `
     You are an expert planner.
     Task: Break down the following user request into a linear sequence of atomic, logical steps that a stateless agent can execute one by one.
     
     User Request: "${userPrompt}"
     
     Rules:
-    1. Return ONLY a valid JSON array of strings.
+    1. Return ONLY a valid JSON array of strings (or control nodes, see rule 5).
     2. Each string must be a clear, self-contained instruction.
     3. Do not include markdown formatting.
     4. Example: ["Initialize variable x to 0", "Add 5 to x", "Multiply x by 2"]
+    5. For repeated or conditional work, put a control node in the array instead of writing the steps out:
+       {"repeat": N, "steps": [...]}, {"while": "<condition>", "steps": [...]} or {"if": "<condition>", "then": [...], "else": [...]}
+       Example: "Start with 0 and add 5, 250 times" -> ["Start with 0", {"repeat": 250, "steps": ["Add 5"]}]
     `;
+}
 
-    try {
-        const result = await model.generateContent(prompt);
-        const text = result.response.text().trim();
-        const cleanText = text.replace(/```json/g, "").replace(/```/g, "").trim();
+/**
+ * Builds the planner prompt for a dependency graph of steps.
+ * @param {string} userPrompt - The user's request.
+ * @returns {string} - The formatted prompt.
+ */
+function buildGraphPlannerPrompt(userPrompt) {
+    return `
+    You are an expert planner.
+    Task: Break down the following user request into atomic, logical steps that stateless agents can execute.
+    Steps that do not depend on each other will run at the same time, so only add the dependencies a step really needs.
+    
+    User Request: "${userPrompt}"
+    
+    Rules:
+    1. Return ONLY a valid JSON array of step objects: {"id": string, "instruction": string, "dependsOn": [ids], "inputs": [keys], "output": key}.
+    2. "id" is a short unique name. "dependsOn" lists the ids of the steps that must finish first ([] if none).
+    3. Each step's result is stored under its "output" key; "inputs" lists the keys the step reads (outputs of the steps it depends on).
+    4. Each instruction must be clear and self-contained, referring to its inputs by key.
+    5. Do not include markdown formatting.
+    6. Example: [{"id": "a", "instruction": "Compute 17 * 23", "dependsOn": [], "inputs": [], "output": "a"}, {"id": "b", "instruction": "Compute 41 * 12", "dependsOn": [], "inputs": [], "output": "b"}, {"id": "sum", "instruction": "Add a and b", "dependsOn": ["a", "b"], "inputs": ["a", "b"], "output": "sum"}]
+    `;
+}
 
-        return JSON.parse(cleanText);
-    } catch (error) {
-        throw new Error("Failed to decompose task: " + error.message);
-    }
+/**
+ * Builds the planner prompt for one level of recursive decomposition.
+ * @param {string} userPrompt - The user's request.
+ * @param {string[]} path - Goals from the root task down to the goal being split.
+ * @returns {string} - The formatted prompt.
+ */
+function buildSubgoalPrompt(userPrompt, path) {
+    const goal = path[path.length - 1];
+    // Goals between the root request and this one, so the planner knows where it sits
+    const parents = path.slice(1, -1).map((parent, i) => `\n    ${"  ".repeat(i)}- ${parent}`).join("");
+    return `
+    You are an expert planner.
+    Task: Break down the goal below into a short sequence (2-7) of subgoals that, done in order, achieve it.
+    Subgoals may still be large; they will be broken down further if needed.
+    
+    Overall Request: "${userPrompt}"${parents ? `\n    This goal is part of:${parents}` : ""}
+    Goal to break down: "${goal}"
+    
+    Rules:
+    1. Return ONLY a valid JSON array of strings.
+    2. Each string must be a clear, self-contained instruction.
+    3. Cover only this goal - not the rest of the overall request.
+    4. Do not include markdown formatting.
+    5. Example: ["Initialize variable x to 0", "Add 5 to x", "Multiply x by 2"]
+    `;
 }
+
+const ATOMICITY_PROMPT = `You are a planning judge.
+
+CONTEXT: The overall task ("original_task") and the goal this step belongs to ("parent_goal").
+TASK: Decide whether the CURRENT INSTRUCTION is atomic.
+
+A step is ATOMIC if a single stateless agent can complete it reliably in one short response:
+one operation, one small result, no need to plan or track intermediate results.
+A step is NOT atomic if it bundles several operations, loops over many items, or needs its own plan.
+
+OUTPUT FORMAT:
+Return ONLY a valid JSON object: {"reasoning": "<brief explanation>", "result": true | false}
+`;
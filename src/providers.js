@@ -0,0 +1,278 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { CONFIG } from "./config.js";
+import { createRecordingProvider, createReplayProvider } from "./cassette.js";
+import { getSharedRateLimiter } from "./rate-limiter.js";
+import { currentScope } from "./scope.js";
+import { createMeteredProvider, estimateUsage, getUsageTracker } from "./usage.js";
+
+/**
+ * Model Provider Layer
+ * Every backend exposes the same shape so the agent and planner never talk to an SDK directly:
+ *
+ *   provider.generate(prompt, { model, temperature, signal })
+ *     -> Promise<{ text: string, usage: { inputTokens: number, outputTokens: number } }>
+ *
+ * Usage counts are 0 when a backend does not report them.
+ * Aborting `signal` rejects with an AbortError whether the call is still queued or already sent.
+ */
+
+/**
+ * HTTP error raised by the fetch-based providers.
+ * Mirrors the `status` field of the Gemini SDK's fetch error so callers can treat both alike.
+ */
+export class ProviderHttpError extends Error {
+    /**
+     * @param {string} message - Human readable error message.
+     * @param {number} status - HTTP status code.
+     * @param {Headers} [headers] - Response headers (e.g. for Retry-After).
+     */
+    constructor(message, status, headers = null) {
+        super(message);
+        this.name = "ProviderHttpError";
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+/**
+ * POSTs a JSON body and returns the parsed JSON response.
+ * @param {string} url - Endpoint URL.
+ * @param {object} body - Request payload.
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra request headers.
+ * @param {AbortSignal} [options.signal] - Abort signal for the request.
+ * @returns {Promise<any>} - Parsed response body.
+ */
+async function postJson(url, body, { headers = {}, signal } = {}) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal,
+    });
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => "");
+        throw new ProviderHttpError(
+            `Error fetching from ${url}: [${response.status} ${response.statusText}] ${detail}`.trim(),
+            response.status,
+            response.headers
+        );
+    }
+
+    return await response.json();
+}
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, "");
+}
+
+/**
+ * Google Gemini via the official SDK.
+ * @param {object} options
+ * @param {string} options.apiKey - Gemini API key.
+ */
+export function createGeminiProvider({ apiKey }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: "gemini",
+        async generate(prompt, { model, temperature, signal } = {}) {
+            const generationConfig = temperature === undefined ? undefined : { temperature };
+            let result;
+            try {
+                result = await genAI
+                    .getGenerativeModel({ model, generationConfig })
+                    .generateContent(prompt, { signal });
+            } catch (error) {
+                // The SDK wraps aborted fetches in a generic error - surface the abort itself
+                if (signal?.aborted) throw signal.reason;
+                throw error;
+            }
+            const usage = result.response.usageMetadata || {};
+
+            return {
+                text: result.response.text(),
+                usage: {
+                    inputTokens: usage.promptTokenCount || 0,
+                    outputTokens: usage.candidatesTokenCount || 0,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, OpenRouter, vLLM, llama.cpp's /v1, ...).
+ * @param {object} options
+ * @param {string} options.baseUrl - API base URL, e.g. "https://api.openai.com/v1".
+ * @param {string} [options.apiKey] - Bearer token (omit for local servers).
+ */
+export function createOpenAIProvider({ baseUrl, apiKey }) {
+    const endpoint = `${trimSlash(baseUrl)}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        name: "openai",
+        async generate(prompt, { model, temperature, signal } = {}) {
+            const data = await postJson(endpoint, {
+                model,
+                messages: [{ role: "user", content: prompt }],
+                temperature,
+            }, { headers, signal });
+            const usage = data.usage || {};
+
+            return {
+                text: data.choices?.[0]?.message?.content ?? "",
+                usage: {
+                    inputTokens: usage.prompt_tokens || 0,
+                    outputTokens: usage.completion_tokens || 0,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Local Ollama server (POST /api/generate).
+ * @param {object} options
+ * @param {string} options.baseUrl - Server URL, e.g. "http://localhost:11434".
+ */
+export function createOllamaProvider({ baseUrl }) {
+    const endpoint = `${trimSlash(baseUrl)}/api/generate`;
+
+    return {
+        name: "ollama",
+        async generate(prompt, { model, temperature, signal } = {}) {
+            const data = await postJson(endpoint, {
+                model,
+                prompt,
+                stream: false,
+                options: temperature === undefined ? {} : { temperature },
+            }, { signal });
+
+            return {
+                text: data.response ?? "",
+                usage: {
+                    inputTokens: data.prompt_eval_count || 0,
+                    outputTokens: data.eval_count || 0,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Local llama.cpp server (POST /completion).
+ * The server hosts a single model, so the `model` option is ignored.
+ * @param {object} options
+ * @param {string} options.baseUrl - Server URL, e.g. "http://localhost:8080".
+ */
+export function createLlamaCppProvider({ baseUrl }) {
+    const endpoint = `${trimSlash(baseUrl)}/completion`;
+
+    return {
+        name: "llamacpp",
+        async generate(prompt, { temperature, signal } = {}) {
+            const data = await postJson(endpoint, { prompt, temperature }, { signal });
+
+            return {
+                text: data.content ?? "",
+                usage: {
+                    inputTokens: data.tokens_evaluated || 0,
+                    outputTokens: data.tokens_predicted || 0,
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Routes every call through a RateLimiter.
+ * Calls are registered in launch order, so wrappers above this one (e.g. the cassette recorder)
+ * also see calls that are cancelled while still queued. `options.onSend`, if given, is called when
+ * a call leaves the queue (the usage meter only counts calls that were sent).
+ * @param {object} inner - Provider to throttle.
+ * @param {RateLimiter} limiter - Limiter shared by all callers.
+ * @returns {object} - Provider implementing `generate()`.
+ */
+export function createThrottledProvider(inner, limiter) {
+    const estimateTokens = (prompt) => {
+        const { inputTokens, outputTokens } = estimateUsage(prompt);
+        return inputTokens + outputTokens;
+    };
+
+    return {
+        name: inner.name,
+        async generate(prompt, options = {}) {
+            return await limiter.throttle(() => {
+                options.onSend?.();
+                return inner.generate(prompt, options);
+            }, {
+                signal: options.signal,
+                estimatedTokens: estimateTokens(prompt),
+                countTokens: ({ usage }) => (usage?.inputTokens || 0) + (usage?.outputTokens || 0),
+            });
+        },
+    };
+}
+
+// Built-in provider factories, keyed by the name used in CONFIG.PROVIDER / --provider
+const factories = {
+    gemini: () => createGeminiProvider({ apiKey: CONFIG.API_KEY }),
+    openai: () => createOpenAIProvider({ baseUrl: CONFIG.OPENAI_BASE_URL, apiKey: CONFIG.OPENAI_API_KEY }),
+    ollama: () => createOllamaProvider({ baseUrl: CONFIG.OLLAMA_BASE_URL }),
+    llamacpp: () => createLlamaCppProvider({ baseUrl: CONFIG.LLAMACPP_BASE_URL }),
+};
+
+// Process-wide instances; a Maker run keeps its own in its scope (see scope.js)
+const sharedInstances = new Map();
+
+/**
+ * Registers a custom provider factory. Instances made by an earlier factory of that name are not used again.
+ * @param {string} name - Provider name to select it with.
+ * @param {function(): object} factory - Returns an object implementing `generate()`.
+ */
+export function registerProvider(name, factory) {
+    factories[name] = factory;
+}
+
+/**
+ * @returns {string[]} - Names of all registered providers.
+ */
+export function listProviders() {
+    return Object.keys(factories);
+}
+
+/**
+ * Returns the (cached) provider instance: the current Maker run's own (see scope.js), or the process-wide one.
+ * Resolved lazily so CONFIG.PROVIDER can be changed at runtime (e.g. by --provider).
+ * Backends are rate limited through the shared RateLimiter. When CONFIG.CASSETTE_MODE is "record"
+ * the provider is also wrapped to save every call to CONFIG.CASSETTE_PATH; in "replay" mode
+ * responses come from the cassette and neither a backend nor rate limiting is involved.
+ * Either way the outermost layer meters usage and enforces the run's cost/call budgets.
+ * @param {string} [name] - Provider name (defaults to CONFIG.PROVIDER).
+ * @returns {object} - Provider implementing `generate()`.
+ */
+export function getProvider(name = CONFIG.PROVIDER) {
+    const mode = CONFIG.CASSETTE_MODE;
+    const cacheKey = mode ? `${name}:${mode}:${CONFIG.CASSETTE_PATH}` : name;
+    const instances = currentScope()?.providers ?? sharedInstances;
+    const cached = instances.get(cacheKey);
+
+    if (!cached || cached.factory !== factories[name]) {
+        let provider;
+        if (mode === "replay") {
+            provider = createReplayProvider(CONFIG.CASSETTE_PATH);
+        } else {
+            const factory = factories[name];
+            if (!factory) {
+                throw new Error(`Unknown provider "${name}". Available: ${listProviders().join(", ")}`);
+            }
+            provider = createThrottledProvider(factory(), getSharedRateLimiter());
+            if (mode === "record") provider = createRecordingProvider(provider, CONFIG.CASSETTE_PATH);
+        }
+        instances.set(cacheKey, { factory: factories[name], provider: createMeteredProvider(provider, getUsageTracker()) });
+    }
+    return instances.get(cacheKey).provider;
+}
@@ -0,0 +1,271 @@
+import { randomBytes } from "crypto";
+import fs from "fs";
+import os from "os";
+import { dirname, join } from "path";
+
+/**
+ * Rate-Limit Window Stores
+ * Keep the sliding one-minute window of reservations a RateLimiter draws from. Each reservation
+ * is one request plus its token count: { id, time, tokens }.
+ *
+ *   MemoryWindowStore - Per process (default)
+ *   FileWindowStore   - Shared by every MAKER process on the machine through a lock-protected JSON
+ *                       file, so concurrent runners and CLI invocations stay within one account quota
+ */
+
+export const WINDOW_MS = 60000;
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 2000; // A lock older than this belongs to a crashed process
+
+/**
+ * @param {object[]} entries - Reservations in the current window, oldest first.
+ * @param {number} tokens - Tokens the next request wants to reserve.
+ * @param {object} limits - `{ maxRpm, maxTpm }` (maxTpm null = unlimited).
+ * @param {number} now - Current time.
+ * @returns {number} - Milliseconds until the request fits (0 = now).
+ */
+function getWindowWait(entries, tokens, { maxRpm, maxTpm }, now) {
+    if (entries.length >= maxRpm) {
+        // Find the oldest reservation in the window to know when it expires
+        return WINDOW_MS - (now - entries[entries.length - maxRpm].time) + 100; // +100ms buffer
+    }
+
+    if (maxTpm) {
+        let used = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+        // A single oversized request may still run on an empty window instead of blocking forever
+        if (used > 0 && used + tokens > maxTpm) {
+            for (const entry of entries) {
+                used -= entry.tokens;
+                if (used + tokens <= maxTpm) return WINDOW_MS - (now - entry.time) + 100;
+            }
+        }
+    }
+
+    return 0;
+}
+
+function prune(entries, now) {
+    return entries.filter(entry => now - entry.time < WINDOW_MS);
+}
+
+let nextId = 0;
+
+/**
+ * In-process window.
+ */
+export class MemoryWindowStore {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Books a request if it fits in the window.
+     * @param {number} tokens - Tokens to reserve.
+     * @param {object} limits - `{ maxRpm, maxTpm }`.
+     * @returns {{waitMs: number, id?: string}} - `waitMs` 0 and the reservation id when booked.
+     */
+    acquire(tokens, limits) {
+        const now = Date.now();
+        this.entries = prune(this.entries, now);
+        const waitMs = getWindowWait(this.entries, tokens, limits, now);
+        if (waitMs > 0) return { waitMs };
+
+        const id = String(nextId++);
+        this.entries.push({ id, time: now, tokens });
+        return { waitMs: 0, id };
+    }
+
+    /**
+     * Replaces a reservation's estimate with the tokens actually used.
+     */
+    settle(id, tokens) {
+        const entry = this.entries.find(candidate => candidate.id === id);
+        if (entry) entry.tokens = tokens;
+    }
+
+    /**
+     * Drops a reservation that was never used (its call was cancelled before it was sent).
+     */
+    release(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+    }
+
+    /**
+     * @returns {number} - Requests made in the current window.
+     */
+    requestCount() {
+        this.entries = prune(this.entries, Date.now());
+        return this.entries.length;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Window shared across processes through a JSON file.
+ * Every read-modify-write happens under an exclusive lock file (`<path>.lock`, created with O_EXCL);
+ * the critical section is a few milliseconds of synchronous I/O. Waiting for the lock is asynchronous,
+ * so a busy lock never blocks the event loop, and the methods that take it return promises.
+ *
+ * The lock file holds its owner's token (pid and a random part). A lock is only ever removed after it
+ * has been renamed aside (atomic: of several processes, one gets the file) and checked there: the
+ * stale lock that was looked at, or, on unlock, our own. Anything else is put back, so a process never
+ * deletes a lock another one has just taken.
+ */
+export class FileWindowStore {
+    /**
+     * @param {string} path - Window file. Processes using the same file share one budget.
+     * @param {object} [options]
+     * @param {number} [options.lockTimeoutMs] - Give up waiting for the lock after this long.
+     */
+    constructor(path, { lockTimeoutMs = LOCK_TIMEOUT_MS } = {}) {
+        this.path = path;
+        this.lockPath = `${path}.lock`;
+        this.lockTimeoutMs = lockTimeoutMs;
+        this.token = null; // Of the lock we hold
+        fs.mkdirSync(dirname(path), { recursive: true });
+    }
+
+    /**
+     * @throws {Error} - If the lock is still held by another process after the timeout.
+     */
+    async lock() {
+        const deadline = Date.now() + this.lockTimeoutMs;
+        const token = `${process.pid}-${randomBytes(6).toString("hex")}`;
+        const isStale = (file) => Date.now() - fs.statSync(file).mtimeMs > STALE_LOCK_MS;
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockPath, token, { flag: "wx" });
+                this.token = token;
+                return;
+            } catch (error) {
+                if (error.code !== "EEXIST") throw error;
+            }
+
+            try {
+                // Left behind by a crashed process (re-checked once moved aside: it may be a new lock by now)
+                if (isStale(this.lockPath)) {
+                    this.removeLock(isStale);
+                    continue;
+                }
+            } catch {
+                continue; // Released between our attempts
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for rate-limit lock ${this.lockPath}`);
+            }
+            await sleep(2);
+        }
+    }
+
+    unlock() {
+        const token = this.token;
+        this.token = null;
+        // Not ours any more if we stalled past STALE_LOCK_MS and another process took it over
+        this.removeLock(file => fs.readFileSync(file, "utf8") === token);
+    }
+
+    /**
+     * Moves the lock file aside and deletes it if `removable(file)` says so, otherwise puts it back.
+     * @param {function(string): boolean} removable - Checks the moved file.
+     * @returns {boolean} - True if the lock was removed.
+     */
+    removeLock(removable) {
+        const aside = `${this.lockPath}.${process.pid}-${randomBytes(6).toString("hex")}`;
+        try {
+            fs.renameSync(this.lockPath, aside);
+        } catch {
+            return false; // Already gone
+        }
+        let remove = false;
+        try {
+            remove = removable(aside);
+        } finally {
+            if (!remove) {
+                try {
+                    // link() fails if a new lock was taken in the meantime; that one is kept
+                    fs.linkSync(aside, this.lockPath);
+                } catch {
+                    // The lock is lost to its owner, who no longer deletes anything on unlock
+                }
+            }
+            fs.rmSync(aside, { force: true });
+        }
+        return remove;
+    }
+
+    read() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.path, "utf8"));
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return []; // Missing or half-written by a crashed process: start a fresh window
+        }
+    }
+
+    write(entries) {
+        // Write-then-rename so lock-free readers never see a partial file
+        const tmpPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(entries));
+        fs.renameSync(tmpPath, this.path);
+    }
+
+    async update(fn) {
+        await this.lock();
+        try {
+            const entries = prune(this.read(), Date.now());
+            const result = fn(entries);
+            this.write(entries);
+            return result;
+        } finally {
+            this.unlock();
+        }
+    }
+
+    /** @see MemoryWindowStore#acquire */
+    async acquire(tokens, limits) {
+        return this.update((entries) => {
+            const now = Date.now();
+            const waitMs = getWindowWait(entries, tokens, limits, now);
+            if (waitMs > 0) return { waitMs };
+
+            const id = `${process.pid}-${nextId++}`;
+            entries.push({ id, time: now, tokens });
+            return { waitMs: 0, id };
+        });
+    }
+
+    /** @see MemoryWindowStore#settle */
+    async settle(id, tokens) {
+        await this.update((entries) => {
+            const entry = entries.find(candidate => candidate.id === id);
+            if (entry) entry.tokens = tokens;
+        });
+    }
+
+    /** @see MemoryWindowStore#release */
+    async release(id) {
+        await this.update((entries) => {
+            const index = entries.findIndex(entry => entry.id === id);
+            if (index !== -1) entries.splice(index, 1);
+        });
+    }
+
+    /** @see MemoryWindowStore#requestCount */
+    requestCount() {
+        return prune(this.read(), Date.now()).length;
+    }
+}
+
+/**
+ * Default location of the shared window. Quotas are per model, so each model gets its own file.
+ * @param {string} model - Model name.
+ * @returns {string} - File path in the OS temp directory.
+ */
+export function defaultWindowFile(model) {
+    return join(os.tmpdir(), `maker-rate-limit-${model.replace(/[^\w.-]/g, "_")}.json`);
+}
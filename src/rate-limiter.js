@@ -1,28 +1,81 @@
+import { AsyncResource } from "async_hooks";
+import { CONFIG } from "./config.js";
+import { getRetryAfterMs } from "./retry.js";
+import { MemoryWindowStore, FileWindowStore, defaultWindowFile } from "./rate-limit-store.js";
+
 /**
  * Queue-based Rate Limiter for API requests
- * Ensures we stay within the specified requests-per-minute limit
- * while allowing concurrent batch processing
+ * Ensures we stay within the requests-per-minute and tokens-per-minute limits and caps how many
+ * requests are in flight at once, while allowing concurrent batch processing.
+ *
+ * Tokens are reserved from an estimate when a request starts and corrected with the provider's
+ * reported usage when it finishes. A 429 halves the effective RPM/concurrency (and pauses the
+ * queue for any Retry-After hint); every success then creeps the limits back up.
+ *
+ * The RPM/TPM window lives in a store (see rate-limit-store.js): in memory by default, or in a
+ * shared file so several processes draw from one budget. Concurrency and backoff stay per process.
  */
 export class RateLimiter {
     /**
-     * @param {number} maxRpm - Maximum allowed requests per minute
+     * @param {number|object} limits - Maximum requests per minute, or an options object:
+     * @param {number} limits.maxRpm - Maximum allowed requests per minute.
+     * @param {number} [limits.maxTpm] - Maximum input + output tokens per minute (null = unlimited).
+     * @param {number} [limits.maxConcurrency] - Maximum requests in flight (null = unlimited).
+     * @param {boolean} [limits.adaptive] - Back off on 429s and recover on successes.
+     * @param {object} [limits.store] - Window store (defaults to a MemoryWindowStore).
      */
-    constructor(maxRpm) {
+    constructor(limits) {
+        const { maxRpm, maxTpm = null, maxConcurrency = null, adaptive = false, store = new MemoryWindowStore() } =
+            typeof limits === "number" ? { maxRpm: limits } : limits;
+
         this.maxRpm = maxRpm;
+        this.maxTpm = maxTpm;
+        this.maxConcurrency = maxConcurrency;
+        this.adaptive = adaptive;
+
         this.queue = [];
         this.processing = false;
-        this.requestTimestamps = [];
+        this.store = store;
+        this.inFlight = 0;
+        this.backoffFactor = 1; // Share of the configured limits currently in use (adaptive mode)
+        this.pausedUntil = 0;
+        this.wake = null;
     }
 
     /**
-     * Throttles the execution of a function to ensure RPM limit is not exceeded.
+     * Throttles the execution of a function to ensure the limits are not exceeded.
      * @param {Function} fn - The async function to execute (e.g., API call).
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Aborting drops the task if it is still queued.
+     * @param {number} [options.estimatedTokens] - Tokens to reserve against the TPM limit up front.
+     * @param {function(any): number} [options.countTokens] - Actual tokens used, read from fn's result.
      * @returns {Promise<any>} - The result of the function.
      */
-    async throttle(fn) {
+    async throttle(fn, { signal, estimatedTokens = 0, countTokens = null } = {}) {
         return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            // The call runs in its caller's async context (e.g. its Maker run, see scope.js), not the queue's
+            const task = { fn: AsyncResource.bind(fn), resolve, reject, signal, estimatedTokens, countTokens, onAbort: null };
+
+            // Cancelled while waiting: drop from the queue so it never uses an RPM slot
+            if (signal) {
+                task.onAbort = () => {
+                    const index = this.queue.indexOf(task);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(signal.reason);
+                        this.notify();
+                    }
+                };
+                signal.addEventListener("abort", task.onAbort, { once: true });
+            }
+
             // Push the task to the queue
-            this.queue.push({ fn, resolve, reject });
+            this.queue.push(task);
             // Try to process the queue
             this.processQueue();
         });
@@ -32,34 +85,111 @@ export class RateLimiter {
         if (this.processing) return;
         this.processing = true;
 
-        while (this.queue.length > 0) {
-            const now = Date.now();
-
-            // 1. Clean up timestamps older than 1 minute
-            this.requestTimestamps = this.requestTimestamps.filter(t => now - t < 60000);
-
-            // 2. Check if we have capacity
-            if (this.requestTimestamps.length < this.maxRpm) {
-                // GO: We have capacity
-                const task = this.queue.shift();
-                this.requestTimestamps.push(Date.now());
-
-                // Run the task (don't await it here, or we block concurrency)
-                task.fn()
-                    .then(task.resolve)
-                    .catch(task.reject);
-            } else {
-                // STOP: We hit the limit. Calculate wait time.
-                // Find the oldest timestamp in the window to know when it expires
-                const oldestCall = this.requestTimestamps[0];
-                const timeToWait = 60000 - (now - oldestCall) + 100; // +100ms buffer
-
-                // Wait, then try again
-                await new Promise(resolve => setTimeout(resolve, timeToWait));
+        try {
+            while (this.queue.length > 0) {
+                const task = this.queue[0];
+                const { waitMs: timeToWait, id } = await this.reserve(task.estimatedTokens);
+
+                if (this.queue[0] !== task) {
+                    // Cancelled while the slot was being booked: give the slot back (a failed release
+                    // only leaves it to expire with the window)
+                    if (id !== undefined) await Promise.resolve(this.store.release(id)).catch(() => { });
+                    continue;
+                }
+                if (timeToWait === 0) {
+                    // GO: We have capacity (and the window slot is booked)
+                    this.queue.shift();
+                    this.dispatch(task, id);
+                } else {
+                    // STOP: Wait for the window to slide, or for an in-flight request to finish
+                    await new Promise(resolve => {
+                        const timer = Number.isFinite(timeToWait) ? setTimeout(resolve, timeToWait) : null;
+                        this.wake = () => {
+                            clearTimeout(timer);
+                            resolve();
+                        };
+                    });
+                    this.wake = null;
+                }
             }
+        } catch (error) {
+            // The window store failed (e.g. the shared lock timed out): fail the queued calls
+            // instead of leaving them waiting for a queue that no longer runs
+            for (const task of this.queue.splice(0)) {
+                if (task.onAbort) task.signal.removeEventListener("abort", task.onAbort);
+                task.reject(error);
+            }
+        } finally {
+            this.processing = false;
         }
+    }
 
-        this.processing = false;
+    /**
+     * Starts a task whose window reservation has been booked.
+     */
+    dispatch(task, reservationId) {
+        this.inFlight++;
+        if (task.onAbort) task.signal.removeEventListener("abort", task.onAbort);
+
+        // Run the task (don't await it here, or we block concurrency)
+        task.fn()
+            .then((result) => {
+                // Replace the estimate with what the provider actually reported
+                const actual = task.countTokens ? task.countTokens(result) : 0;
+                // A failed correction only leaves the estimate in the window
+                if (actual > 0) Promise.resolve(this.store.settle(reservationId, actual)).catch(() => { });
+                this.recordSuccess();
+                task.resolve(result);
+            })
+            .catch((error) => {
+                if (error?.status === 429) this.recordRateLimited(error);
+                task.reject(error);
+            })
+            .finally(() => {
+                this.inFlight--;
+                this.notify();
+            });
+    }
+
+    notify() {
+        if (this.wake) this.wake();
+    }
+
+    /**
+     * Limits currently in force (reduced after 429s in adaptive mode).
+     */
+    get effectiveRpm() {
+        return Math.max(1, Math.floor(this.maxRpm * this.backoffFactor));
+    }
+
+    get effectiveConcurrency() {
+        return this.maxConcurrency ? Math.max(1, Math.floor(this.maxConcurrency * this.backoffFactor)) : Infinity;
+    }
+
+    /**
+     * Books a window slot for the next request if every limit allows it.
+     * @param {number} tokens - Tokens the request wants to reserve.
+     * @returns {Promise<{waitMs: number, id?: string}>} - `waitMs` 0 with the reservation id when booked;
+     *                                                     otherwise how long to wait (Infinity = until a request finishes).
+     */
+    async reserve(tokens = 0) {
+        const now = Date.now();
+        if (this.pausedUntil > now) return { waitMs: this.pausedUntil - now };
+        if (this.inFlight >= this.effectiveConcurrency) return { waitMs: Infinity };
+        return await this.store.acquire(tokens, { maxRpm: this.effectiveRpm, maxTpm: this.maxTpm });
+    }
+
+    recordSuccess() {
+        if (this.adaptive && this.backoffFactor < 1) {
+            this.backoffFactor = Math.min(1, this.backoffFactor + 0.02);
+        }
+    }
+
+    recordRateLimited(error) {
+        if (!this.adaptive) return;
+        this.backoffFactor = Math.max(0.05, this.backoffFactor / 2);
+        const retryAfter = getRetryAfterMs(error);
+        if (retryAfter) this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
     }
 
     /**
@@ -67,9 +197,7 @@ export class RateLimiter {
      * @returns {number} - Number of requests available
      */
     getAvailableRequests() {
-        const now = Date.now();
-        this.requestTimestamps = this.requestTimestamps.filter(t => now - t < 60000);
-        return Math.max(0, this.maxRpm - this.requestTimestamps.length);
+        return Math.max(0, this.effectiveRpm - this.store.requestCount());
     }
 
     /**
@@ -81,3 +209,27 @@ export class RateLimiter {
         return this.getAvailableRequests() >= count;
     }
 }
+
+let sharedLimiter = null;
+
+/**
+ * Process-wide limiter shared by every model call.
+ * Created on first use so CLI overrides of the CONFIG limits (e.g. --high) take effect.
+ * With CONFIG.RATE_LIMIT_BACKEND "file" the RPM/TPM window is also shared with other processes.
+ * @returns {RateLimiter}
+ */
+export function getSharedRateLimiter() {
+    if (!sharedLimiter) {
+        const store = CONFIG.RATE_LIMIT_BACKEND === "file"
+            ? new FileWindowStore(CONFIG.RATE_LIMIT_FILE || defaultWindowFile(CONFIG.MODEL_NAME))
+            : new MemoryWindowStore();
+        sharedLimiter = new RateLimiter({
+            maxRpm: CONFIG.MAX_RPM,
+            maxTpm: CONFIG.MAX_TPM,
+            maxConcurrency: CONFIG.MAX_CONCURRENCY,
+            adaptive: CONFIG.ADAPTIVE_RATE_LIMIT,
+            store,
+        });
+    }
+    return sharedLimiter;
+}
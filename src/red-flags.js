@@ -0,0 +1,99 @@
+import Ajv from "ajv";
+import { CONFIG } from "./config.js";
+
+/**
+ * Red-Flag Outcomes
+ * A flagged agent call is discarded instead of voting. Every flag carries a reason code so
+ * callers can tell a malformed response from a rule violation:
+ *
+ *   { flagged: true, reason: FLAG_REASONS.*, detail: "<human readable>" }
+ */
+export const FLAG_REASONS = {
+    PARSE_ERROR: "parse_error", // Response is not valid JSON
+    AGENT_ERROR: "agent_error", // Agent answered {"error": ...}
+    MISSING_REASONING: "missing_reasoning", // No "reasoning" field
+    MISSING_RESULT: "missing_result", // No "result" field
+    TOO_LONG: "too_long", // Response exceeded the maximum length (overlong outputs correlate with confusion)
+    SCHEMA_VIOLATION: "schema_violation", // "result" does not match the configured JSON Schema
+    VALIDATOR: "validator", // A custom validator rejected the result
+    RESPONSE_ERROR: "response_error", // The provider returned an unusable response (e.g. a blocked candidate)
+    INVARIANT: "invariant_violation", // The answer won, but the state it produces breaks an invariant (see invariants.js)
+};
+
+/**
+ * @param {string} reason - One of FLAG_REASONS.
+ * @param {string} [detail] - Human readable explanation.
+ * @returns {{flagged: true, reason: string, detail: string}}
+ */
+export function redFlag(reason, detail = "") {
+    return { flagged: true, reason, detail };
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiledSchemas = new WeakMap();
+
+function compileSchema(schema) {
+    if (!compiledSchemas.has(schema)) {
+        compiledSchemas.set(schema, ajv.compile(schema));
+    }
+    return compiledSchemas.get(schema);
+}
+
+/**
+ * Merges per-step red-flag rules over the run-wide defaults.
+ * @param {object} [rules]
+ * @param {number} [rules.maxResponseTokens] - Flag responses longer than this (output tokens).
+ * @param {object} [rules.resultSchema] - JSON Schema the "result" field must satisfy.
+ * @param {function[]} [rules.validators] - `(result, { context, instruction }) => true | false | string`;
+ *                                          anything but `true` flags the vote (a string is used as detail).
+ * @returns {object} - Effective rules.
+ */
+export function resolveRedFlagRules(rules = {}) {
+    return {
+        maxResponseTokens: rules.maxResponseTokens ?? CONFIG.MAX_RESPONSE_TOKENS,
+        resultSchema: rules.resultSchema ?? CONFIG.RESULT_SCHEMA,
+        validators: [].concat(rules.validators || []),
+    };
+}
+
+/**
+ * Applies the configurable rules to a well-formed response.
+ * @param {object} response
+ * @param {string} response.text - Raw response text.
+ * @param {number} [response.outputTokens] - Output tokens reported by the provider.
+ * @param {any} response.result - Parsed "result" field.
+ * @param {object} rules - Effective rules (see resolveRedFlagRules).
+ * @param {object} input - `{ context, instruction }` handed to custom validators.
+ * @returns {object|null} - A red flag, or null if the response passes.
+ */
+export function checkRedFlagRules({ text, outputTokens, result }, rules, input) {
+    if (rules.maxResponseTokens) {
+        // Providers that don't report usage fall back to the usual ~4 characters per token
+        const tokens = outputTokens || Math.ceil(text.length / 4);
+        if (tokens > rules.maxResponseTokens) {
+            return redFlag(FLAG_REASONS.TOO_LONG, `${tokens} tokens > ${rules.maxResponseTokens}`);
+        }
+    }
+
+    if (rules.resultSchema) {
+        const validate = compileSchema(rules.resultSchema);
+        if (!validate(result)) {
+            return redFlag(FLAG_REASONS.SCHEMA_VIOLATION, ajv.errorsText(validate.errors, { dataVar: "result" }));
+        }
+    }
+
+    for (const validator of rules.validators) {
+        let verdict;
+        try {
+            verdict = validator(result, input);
+        } catch (error) {
+            verdict = error.message;
+        }
+        if (verdict !== true) {
+            const name = validator.name || "validator";
+            return redFlag(FLAG_REASONS.VALIDATOR, typeof verdict === "string" ? verdict : `${name} rejected the result`);
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,102 @@
+import { CONFIG } from "./config.js";
+
+/**
+ * Reliability-Targeted K Selection
+ *
+ * With First-to-Ahead-by-K, a step whose agents vote correctly with probability p (among valid
+ * votes) is decided correctly with probability 1 / (1 + ((1 - p) / p)^K). Requiring all s steps of
+ * a plan to succeed with probability t gives the MAKER paper's scaling relation:
+ *
+ *   K_min = ceil( ln(t^(-1/s) - 1) / ln((1 - p) / p) )
+ *
+ * p is not known up front, so it is estimated from the vote distributions of decided steps
+ * (winner votes / valid votes, smoothed with a Beta prior) and K is recomputed before every step.
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.target - Target whole-task success probability (0 - 1).
+ * @param {number} options.steps - Plan length.
+ * @param {number} options.p - Per-vote probability of the correct answer.
+ * @param {number} [options.maxK] - Upper bound (also used when p <= 0.5 and no K suffices).
+ * @returns {number} - Smallest K meeting the target.
+ */
+export function minimumK({ target, steps, p, maxK = 50 }) {
+    if (p >= 1) return 1;
+    if (p <= 0.5) return maxK;
+
+    const perStepFailure = Math.pow(target, -1 / Math.max(1, steps)) - 1;
+    const k = Math.ceil(Math.log(perStepFailure) / Math.log((1 - p) / p));
+    return Math.min(maxK, Math.max(1, k));
+}
+
+/**
+ * Tracks observed agent accuracy over a run and picks K for each step.
+ */
+export class ReliabilityController {
+    /**
+     * @param {object} options
+     * @param {number} options.target - Target whole-task success probability, e.g. 0.99.
+     * @param {number} options.totalSteps - Plan length.
+     * @param {number} [options.priorSuccess] - Prior guess for p before any votes are seen.
+     * @param {number} [options.priorWeight] - How many votes the prior is worth.
+     * @param {number} [options.maxK] - Upper bound for K.
+     */
+    constructor({ target, totalSteps, priorSuccess = 0.9, priorWeight = 10, maxK = 50 }) {
+        if (!(target > 0 && target < 1)) {
+            throw new Error(`Target reliability must be between 0 and 1 (exclusive), got ${target}`);
+        }
+        this.target = target;
+        this.totalSteps = totalSteps;
+        this.maxK = maxK;
+
+        // Beta(alpha, beta) prior on p
+        this.alpha = priorSuccess * priorWeight;
+        this.beta = (1 - priorSuccess) * priorWeight;
+
+        this.validVotes = 0;
+        this.flaggedVotes = 0;
+    }
+
+    /**
+     * Estimated probability that a single valid vote is correct.
+     */
+    get p() {
+        return this.alpha / (this.alpha + this.beta);
+    }
+
+    /**
+     * Observed share of agent calls that were red-flagged.
+     */
+    get flagRate() {
+        const total = this.validVotes + this.flaggedVotes;
+        return total === 0 ? 0 : this.flaggedVotes / total;
+    }
+
+    /**
+     * @returns {{k: number, maxAttempts: number, p: number, flagRate: number}} - Settings for the next step.
+     */
+    next() {
+        const p = this.p;
+        const k = minimumK({ target: this.target, steps: this.totalSteps, p, maxK: this.maxK });
+
+        // Expected valid votes for a margin of K is about K / (2p - 1); flagged votes are extra
+        // attempts on top. Budget twice that, and never less than the configured floor.
+        const drift = Math.max(2 * p - 1, 0.05);
+        const expectedAttempts = k / drift / Math.max(1 - this.flagRate, 0.05);
+        const maxAttempts = Math.max(CONFIG.MAX_ATTEMPTS_PER_STEP, Math.ceil(2 * expectedAttempts));
+
+        return { k, maxAttempts, p, flagRate: this.flagRate };
+    }
+
+    /**
+     * Updates the estimates with a decided step's vote metadata.
+     * @param {object} metadata - Consensus metadata (winnerVotes, validVotes, flaggedVotes).
+     */
+    observe({ winnerVotes = 0, validVotes = 0, flaggedVotes = 0 }) {
+        this.alpha += winnerVotes;
+        this.beta += validVotes - winnerVotes;
+        this.validVotes += validVotes;
+        this.flaggedVotes += flaggedVotes;
+    }
+}
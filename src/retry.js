@@ -0,0 +1,130 @@
+import { CONFIG } from "./config.js";
+
+/**
+ * Infrastructure Error Handling
+ * Quota blips (429), server errors (5xx) and network failures say nothing about the model's answer,
+ * so they are retried with exponential backoff instead of being counted as red-flag votes.
+ * Once the retry budget is spent (or the error is permanent, e.g. a bad API key) the call fails
+ * with an ApiError, which fails the step rather than silently eating its vote budget.
+ */
+
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR = /fetch failed|network|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE|UND_ERR/i;
+
+/**
+ * Raised when a model call fails for infrastructure reasons and retrying did not help.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable error message.
+     * @param {object} [details]
+     * @param {Error} [details.cause] - The last underlying error.
+     * @param {number} [details.status] - HTTP status, if any.
+     * @param {number} [details.retries] - Retries made before giving up.
+     */
+    constructor(message, { cause, status, retries = 0 } = {}) {
+        super(message, { cause });
+        this.name = "ApiError";
+        this.status = status;
+        this.retries = retries;
+    }
+}
+
+function isNetworkError(error) {
+    return error.name === "TimeoutError" || NETWORK_ERROR.test(`${error.code || ""} ${error.message || ""}`);
+}
+
+/**
+ * @param {Error} error - Error thrown by a provider.
+ * @returns {boolean} - True for HTTP and network failures (as opposed to an unusable model response).
+ */
+export function isInfrastructureError(error) {
+    return typeof error.status === "number" || isNetworkError(error);
+}
+
+/**
+ * @param {Error} error - Error thrown by a provider.
+ * @returns {boolean} - True if retrying may succeed.
+ */
+export function isTransientError(error) {
+    if (typeof error.status === "number") return TRANSIENT_STATUSES.has(error.status);
+    return isNetworkError(error);
+}
+
+/**
+ * Reads a server-provided retry hint: the Retry-After header (seconds or HTTP date) of
+ * fetch-based providers, or the RetryInfo detail Gemini attaches to 429s ("retryDelay": "12s").
+ * @param {Error} error - Error thrown by a provider.
+ * @returns {number|null} - Milliseconds to wait, or null if there is no hint.
+ */
+export function getRetryAfterMs(error) {
+    const header = error.headers?.get?.("retry-after");
+    if (header) {
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const retryInfo = (error.errorDetails || []).find(detail => String(detail["@type"]).endsWith("RetryInfo"));
+    const delay = parseFloat(retryInfo?.retryDelay);
+    return Number.isFinite(delay) ? delay * 1000 : null;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs `fn`, retrying transient infrastructure errors with exponential backoff and full jitter.
+ * @param {function(): Promise<any>} fn - The call to make.
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retry budget (defaults to CONFIG.API_MAX_RETRIES).
+ * @param {number} [options.baseDelayMs] - First backoff step (defaults to CONFIG.API_RETRY_BASE_DELAY_MS).
+ * @param {number} [options.maxDelayMs] - Backoff cap (defaults to CONFIG.API_RETRY_MAX_DELAY_MS).
+ * @param {AbortSignal} [options.signal] - Cancels the call, including any backoff wait.
+ * @param {function} [options.onRetry] - Called as onRetry({ error, attempt, delayMs }) before each wait.
+ * @returns {Promise<any>} - Result of `fn`.
+ * @throws {ApiError} - When the error is permanent or the budget is spent. Other errors are rethrown as is.
+ */
+export async function withRetry(fn, {
+    retries = CONFIG.API_MAX_RETRIES,
+    baseDelayMs = CONFIG.API_RETRY_BASE_DELAY_MS,
+    maxDelayMs = CONFIG.API_RETRY_MAX_DELAY_MS,
+    signal,
+    onRetry = () => { },
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (signal?.aborted || !isInfrastructureError(error)) throw error;
+
+            if (!isTransientError(error) || attempt >= retries) {
+                const reason = isTransientError(error) ? `gave up after ${attempt} retries` : "not retryable";
+                throw new ApiError(`API request failed (${reason}): ${error.message}`, {
+                    cause: error,
+                    status: error.status,
+                    retries: attempt,
+                });
+            }
+
+            // Full jitter keeps parallel voters from retrying in lockstep; a server hint wins if longer
+            const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delayMs = Math.max(backoff, getRetryAfterMs(error) ?? 0);
+            onRetry({ error, attempt: attempt + 1, delayMs });
+            await sleep(delayMs, signal);
+        }
+    }
+}
@@ -0,0 +1,51 @@
+import { CONFIG } from "./config.js";
+
+/**
+ * Step Scheduler
+ * Runs plan steps in dependency order: every step whose dependencies are done is started right away,
+ * up to `maxParallel` at once, so independent branches of a plan overlap. All of their model calls go
+ * through the same provider chain, so they share the global RateLimiter and usage budgets.
+ *
+ * A linear plan (each step depending on the one before) runs exactly one step at a time.
+ */
+
+/**
+ * @param {number[][]} dependencies - For every step, the indexes of the steps it waits for (see plan.js).
+ * @param {function} runStep - async (index) => void. A rejection fails the schedule.
+ * @param {object} [options]
+ * @param {number} [options.maxParallel] - Most steps running at once (overrides CONFIG.MAX_PARALLEL_STEPS).
+ * @param {Iterable<number>} [options.done] - Indexes of steps that already finished (e.g. in a resumed run).
+ * @returns {Promise<void>} - Resolves when every step is done.
+ * @throws {Error} - The first step failure. No new steps are started after a failure, and the
+ *                   schedule settles only once the steps already running have finished.
+ */
+export function runSchedule(dependencies, runStep, { maxParallel = CONFIG.MAX_PARALLEL_STEPS, done = [] } = {}) {
+    const finished = new Set(done);
+    const started = new Set(finished);
+    let running = 0;
+    let failure = null;
+
+    return new Promise((resolve, reject) => {
+        const launch = () => {
+            if (failure) {
+                if (running === 0) reject(failure.error);
+                return;
+            }
+            if (finished.size === dependencies.length) return resolve();
+
+            for (let i = 0; i < dependencies.length && running < Math.max(1, maxParallel); i++) {
+                if (started.has(i) || !dependencies[i].every(dep => finished.has(dep))) continue;
+                started.add(i);
+                running++;
+                Promise.resolve()
+                    .then(() => runStep(i))
+                    .then(() => finished.add(i), (error) => { failure ??= { error }; })
+                    .finally(() => {
+                        running--;
+                        launch();
+                    });
+            }
+        };
+        launch();
+    });
+}
@@ -0,0 +1,36 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Run Scopes
+ * Every Maker run executes inside a scope of its own, so Makers in the same process never see each
+ * other's settings or budgets. A scope is a plain object:
+ *
+ *   { owner, settings, usage, providers }
+ *
+ * owner     - the Maker whose run it is
+ * settings  - CONFIG values that override the process-wide ones (see config.js)
+ * usage     - the run's UsageTracker (see usage.js)
+ * providers - the run's provider instances (see providers.js)
+ *
+ * A scope follows everything started inside it (awaited calls, timers, event listeners). Outside any
+ * scope, CONFIG, the usage tracker and the providers are the process-wide ones. The RateLimiter is
+ * process-wide either way: every run uses the same API quota.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @param {object} scope - See above.
+ * @param {function} fn - Runs inside the scope.
+ * @returns {any} - What `fn` returns.
+ */
+export function runInScope(scope, fn) {
+    return storage.run(scope, fn);
+}
+
+/**
+ * @returns {object|null} - The scope of the current run, or null outside of one.
+ */
+export function currentScope() {
+    return storage.getStore() ?? null;
+}
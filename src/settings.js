@@ -0,0 +1,262 @@
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { CONFIG, DEFAULTS, SETTING_TYPES, checkSetting, readEnvironment } from "./config.js";
+import { listProviders } from "./providers.js";
+import { resolveStrategy } from "./voting.js";
+import { parseNormalizationSpec } from "./normalize.js";
+import { resolveReducer } from "./state.js";
+import { resolveInvariant } from "./invariants.js";
+import { priceFor } from "./usage.js";
+
+/**
+ * Layered Settings
+ * The CLI builds CONFIG from layers, each overriding the ones before:
+ *
+ *   1. defaults         src/config.js
+ *   2. config file      --config <file>, MAKER_CONFIG, or the first of ./maker.config.json, ./.makerrc,
+ *                       ~/.makerrc
+ *   3. profile          --profile <name>, MAKER_PROFILE, or the file's "profile"
+ *   4. environment      MAKER_<SETTING> (and the aliases in src/config.js)
+ *   5. run settings     `maker resume`: the settings the run was started with
+ *   6. flags            --k, --model, ..., --set <SETTING>=<value>
+ *
+ * A config file is JSON with settings at the top level and named profiles:
+ *
+ *   {
+ *     "VOTE_MARGIN_K": 5,
+ *     "profile": "lite",
+ *     "profiles": { "cheap-local": { "PROVIDER": "ollama", "MODEL_NAME": "llama3.1", "VOTE_MARGIN_K": 3 } }
+ *   }
+ *
+ * File profiles with the name of a built-in one (see PROFILES) replace it. Object settings (MODEL_PRICES)
+ * are merged and lists (INVARIANTS) added up across layers, except that run settings replace them.
+ */
+
+export const CONFIG_FILES = ["maker.config.json", ".makerrc"];
+
+// Built-in profiles
+export const PROFILES = {
+    // Cheap and fast: the lite model with a small margin
+    lite: { MODEL_NAME: "gemini-flash-lite-latest", VOTE_MARGIN_K: 3, MAX_ATTEMPTS_PER_STEP: 8 },
+    // The larger model (what --high selects), within its lower rate limits
+    high: { MODEL_NAME: "gemini-flash-latest", MAX_RPM: 500, MAX_TPM: 800000 },
+    // More votes per step, stricter planning and red-flagging of rambling answers
+    paranoid: {
+        VOTE_MARGIN_K: 15,
+        MAX_ATTEMPTS_PER_STEP: 40,
+        PLAN_VOTING: "ahead-by-k:k=3",
+        PLAN_MAX_SAMPLES: 15,
+        ATOMICITY_VOTING: "majority:n=5",
+        MAX_RESPONSE_TOKENS: 750,
+    },
+};
+
+/**
+ * Raised for an unreadable config file, an unknown profile or invalid settings; the message lists
+ * every problem and where the value came from.
+ */
+export class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ConfigError";
+    }
+}
+
+// Setting checks beyond type and range: specs are parsed the way the run would parse them
+const SPEC_CHECKS = {
+    PROVIDER: (value) => {
+        if (!listProviders().includes(value)) throw new Error(`unknown provider; available: ${listProviders().join(", ")}`);
+    },
+    VOTING: resolveStrategy,
+    PLAN_VOTING: resolveStrategy,
+    ATOMICITY_VOTING: resolveStrategy,
+    CONDITION_VOTING: resolveStrategy,
+    NORMALIZATION: parseNormalizationSpec,
+    STATE_REDUCER: resolveReducer,
+    INVARIANTS: (invariants) => invariants.forEach(resolveInvariant),
+};
+
+/**
+ * @param {string} [cwd] - Directory to look in.
+ * @returns {string|null} - The config file to use when none is given (see above), or null.
+ */
+export function findConfigFile(cwd = process.cwd()) {
+    const candidates = [...CONFIG_FILES.map(name => join(cwd, name)), join(os.homedir(), ".makerrc")];
+    return candidates.find(path => fs.existsSync(path)) ?? null;
+}
+
+/**
+ * Reads and checks the shape of a config file (values are validated with the merged settings).
+ * @param {string} path - JSON config file.
+ * @returns {{settings: object, profile: string|null, profiles: object}}
+ * @throws {ConfigError}
+ */
+export function loadConfigFile(path) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch (error) {
+        throw new ConfigError(`Could not read config file ${path}: ${error.message}`);
+    }
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        throw new ConfigError(`Config file ${path} must hold a JSON object`);
+    }
+
+    const { profile = null, profiles = {}, ...settings } = data;
+    if (profile !== null && typeof profile !== "string") {
+        throw new ConfigError(`"profile" in ${path} must be a profile name`);
+    }
+    if (profiles === null || typeof profiles !== "object" || Array.isArray(profiles)) {
+        throw new ConfigError(`"profiles" in ${path} must map profile names to settings`);
+    }
+    checkKeys(settings, path);
+    for (const [name, values] of Object.entries(profiles)) {
+        if (values === null || typeof values !== "object" || Array.isArray(values)) {
+            throw new ConfigError(`Profile "${name}" in ${path} must be an object of settings`);
+        }
+        checkKeys(values, `profile "${name}" in ${path}`);
+    }
+    return { settings, profile, profiles };
+}
+
+function checkKeys(settings, where) {
+    const unknown = Object.keys(settings).filter(key => !(key in SETTING_TYPES));
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown setting${unknown.length > 1 ? "s" : ""} ${unknown.map(key => `"${key}"`).join(", ")} in ${where}`);
+    }
+}
+
+/**
+ * Merges the layers (see above) and validates the result.
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Config file (default: MAKER_CONFIG, then findConfigFile()).
+ * @param {string} [options.profile] - Profile name (default: MAKER_PROFILE, then the file's "profile").
+ * @param {object} [options.run] - Settings of the run being resumed (see checkpoint.js).
+ * @param {string} [options.runSource] - How to name the run layer as a source, e.g. "run 20250101-...".
+ * @param {Array<{source: string, values: object}>} [options.layers] - Command line layers, lowest first.
+ * @param {object} [options.env] - Environment variables.
+ * @param {string} [options.cwd] - Where to look for a config file.
+ * @returns {{values: object, sources: object, file: string|null, profile: string|null}} - Every setting
+ *   with the layer it came from ("default", a file path, "profile <name>", "env <VAR>", a flag, ...).
+ * @throws {ConfigError}
+ */
+export function resolveSettings({ configPath, profile, run = null, runSource = "run", layers = [], env = process.env, cwd } = {}) {
+    const values = { ...DEFAULTS };
+    const sources = Object.fromEntries(Object.keys(DEFAULTS).map(key => [key, "default"]));
+    const apply = (settings, source, { replace = false } = {}) => {
+        for (const [key, value] of Object.entries(settings)) {
+            if (value === undefined) continue;
+            const { merge, type } = SETTING_TYPES[key];
+            const combine = merge && !replace && sources[key] !== "default" && values[key] !== null;
+            if (combine && type === "array" && Array.isArray(value) && Array.isArray(values[key])) {
+                values[key] = [...values[key], ...value];
+            } else if (combine && type === "object" && isObject(value) && isObject(values[key])) {
+                values[key] = { ...values[key], ...value };
+            } else {
+                values[key] = value;
+                sources[key] = source;
+                continue;
+            }
+            sources[key] = `${sources[key]} + ${source}`;
+        }
+    };
+
+    const file = configPath ?? env.MAKER_CONFIG ?? findConfigFile(cwd);
+    const config = file ? loadConfigFile(file) : { settings: {}, profile: null, profiles: {} };
+    apply(config.settings, file);
+
+    const profileName = profile ?? env.MAKER_PROFILE ?? config.profile;
+    if (profileName) {
+        const fromFile = profileName in config.profiles;
+        const settings = fromFile ? config.profiles[profileName] : PROFILES[profileName];
+        if (!settings) {
+            const available = [...new Set([...Object.keys(PROFILES), ...Object.keys(config.profiles)])];
+            throw new ConfigError(`Unknown profile "${profileName}". Available: ${available.join(", ")}`);
+        }
+        apply(settings, `profile ${profileName}${fromFile ? ` (${file})` : ""}`);
+    }
+
+    const environment = readEnvironment(env);
+    if (environment.errors.length > 0) {
+        throw new ConfigError(`Invalid environment variable${environment.errors.length > 1 ? "s" : ""}:\n  ${environment.errors.join("\n  ")}`);
+    }
+    for (const [key, value] of Object.entries(environment.values)) {
+        apply({ [key]: value }, environment.sources[key]);
+    }
+
+    if (run) {
+        const saved = Object.fromEntries(Object.entries(run).filter(([key]) => key in SETTING_TYPES));
+        apply(saved, runSource, { replace: true });
+    }
+    for (const layer of layers) {
+        checkKeys(layer.values, layer.source);
+        apply(layer.values, layer.source);
+    }
+
+    validateSettings(values, sources);
+    return { values, sources, file: file ?? null, profile: profileName ?? null };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {object} values - Merged settings.
+ * @param {object} sources - Where each came from.
+ * @throws {ConfigError} - Listing every invalid setting.
+ */
+export function validateSettings(values, sources = {}) {
+    const problems = [];
+    const invalid = new Set();
+    const report = (key, problem) => {
+        const value = typeof values[key] === "number" ? String(values[key]) : JSON.stringify(values[key]);
+        problems.push(`${key} = ${value} (from ${sources[key] ?? "?"}): ${problem}`);
+        invalid.add(key);
+    };
+
+    for (const key of Object.keys(SETTING_TYPES)) {
+        const problem = checkSetting(key, values[key]);
+        if (problem) {
+            report(key, problem);
+        } else if (SPEC_CHECKS[key] && values[key] !== null) {
+            try {
+                SPEC_CHECKS[key](values[key]);
+            } catch (error) {
+                report(key, error.message);
+            }
+        }
+    }
+
+    // Settings that only make sense together (checked once each of them is valid on its own)
+    const valid = (...keys) => keys.every(key => !invalid.has(key));
+    if (values.TARGET_RELIABILITY !== null && valid("TARGET_RELIABILITY")) {
+        if (!(values.TARGET_RELIABILITY > 0 && values.TARGET_RELIABILITY < 1)) {
+            report("TARGET_RELIABILITY", "must be a probability between 0 and 1 (e.g. 0.99)");
+        } else if (values.VOTING && valid("VOTING") && resolveStrategy(values.VOTING).name !== "ahead-by-k") {
+            report("TARGET_RELIABILITY", `only works with the ahead-by-k voting strategy (VOTING is "${values.VOTING}")`);
+        }
+    }
+    if (values.MAX_COST !== null && valid("MAX_COST", "MODEL_PRICES") && !(values.MODEL_PRICES[values.MODEL_NAME] ?? priceFor(values.MODEL_NAME))) {
+        report("MAX_COST", `no price known for model "${values.MODEL_NAME}"; add it to MODEL_PRICES (or use --prices)`);
+    }
+    if (values.CASSETTE_MODE !== null && valid("CASSETTE_MODE") && !values.CASSETTE_PATH) {
+        report("CASSETTE_MODE", "needs CASSETTE_PATH");
+    }
+    if (valid("MAP_CHUNK_OVERLAP", "MAP_CHUNK_SIZE") && values.MAP_CHUNK_OVERLAP * 2 >= values.MAP_CHUNK_SIZE) {
+        report("MAP_CHUNK_OVERLAP", `must be less than half of MAP_CHUNK_SIZE (${values.MAP_CHUNK_SIZE})`);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+    }
+}
+
+/**
+ * Replaces CONFIG's values with resolved settings.
+ * @param {{values: object}} settings - From resolveSettings.
+ */
+export function applySettings({ values }) {
+    Object.assign(CONFIG, values);
+}
@@ -0,0 +1,129 @@
+import { CONFIG } from "./config.js";
+
+/**
+ * State Management
+ * After every step the consensus result is folded into the state by a reducer:
+ *
+ *   merge       - object results are shallow-merged into the state, anything else is stored as
+ *                 "current_value" (the default)
+ *   deep-merge  - like merge, but nested objects are merged too (arrays are replaced)
+ *   replace     - the result becomes the new state (a non-object result becomes { current_value })
+ *   append:<key> - the result is appended to the array at state[key]
+ *   set:<key>   - the result is stored at state[key]
+ *   value       - the result itself is the state, whatever its type (for chains of bare values,
+ *                 like the lite tests); there are no reserved keys
+ *
+ * A reducer may also be a function `(state, value) => newState`. Whatever the reducer returns,
+ * the reserved keys are restored afterwards, so a step can never overwrite the grounding context:
+ * "original_task" keeps its value and "history" holds the last CONFIG.HISTORY_LENGTH results.
+ */
+
+export const RESERVED_KEYS = ["original_task", "history"];
+
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        merged[key] = isPlainObject(value) && isPlainObject(target[key]) ? deepMerge(target[key], value) : value;
+    }
+    return merged;
+}
+
+const reducers = {
+    merge: () => (state, value) => (isPlainObject(value) ? { ...state, ...value } : { ...state, current_value: value }),
+    "deep-merge": () => (state, value) => (isPlainObject(value) ? deepMerge(state, value) : { ...state, current_value: value }),
+    replace: () => (state, value) => (isPlainObject(value) ? { ...value } : { current_value: value }),
+    append: ({ key }) => (state, value) => {
+        const existing = state[key] === undefined ? [] : state[key];
+        return { ...state, [key]: [...(Array.isArray(existing) ? existing : [existing]), value] };
+    },
+    set: ({ key }) => (state, value) => ({ ...state, [key]: value }),
+    value: () => (state, value) => value,
+};
+
+/**
+ * @returns {string[]} - Names of the built-in reducers.
+ */
+export function listReducers() {
+    return Object.keys(reducers);
+}
+
+/**
+ * Resolves a reducer from a spec string ("merge", "append:items"), an options object
+ * ({ strategy: "append", key: "items" }) or a function.
+ * @param {string|object|function|null} [spec] - Reducer spec (defaults to CONFIG.STATE_REDUCER, then merge).
+ * @returns {{name: string, reduce: function}}
+ */
+export function resolveReducer(spec = CONFIG.STATE_REDUCER) {
+    if (!spec) return { name: "merge", reduce: reducers.merge() };
+    if (typeof spec === "function") return { name: spec.name || "custom", reduce: spec };
+    if (typeof spec.reduce === "function") return spec;
+
+    const { strategy: name, key } = typeof spec === "string" ? parseReducerSpec(spec) : spec;
+    const factory = reducers[name];
+    if (!factory) {
+        throw new Error(`Unknown state reducer "${name}". Available: ${listReducers().join(", ")} (or a function)`);
+    }
+    if (["append", "set"].includes(name)) {
+        if (typeof key !== "string" || !key) throw new Error(`State reducer "${name}" needs a key (e.g. "${name}:items")`);
+        if (RESERVED_KEYS.includes(key)) throw new Error(`State reducer "${name}" can't write the reserved key "${key}"`);
+    }
+    return { name: key ? `${name}:${key}` : name, reduce: factory({ key }) };
+}
+
+/**
+ * @param {string} spec - "<name>[:<key>]".
+ * @returns {{strategy: string, key?: string}}
+ */
+function parseReducerSpec(spec) {
+    const at = spec.indexOf(":");
+    if (at === -1) return { strategy: spec.trim() };
+    return { strategy: spec.slice(0, at).trim(), key: spec.slice(at + 1).trim() };
+}
+
+/**
+ * Folds a step's result into the state.
+ * @param {object} state - Current state.
+ * @param {any} value - The step's consensus result.
+ * @param {object} [options]
+ * @param {string|object|function} [options.reducer] - Reducer spec (see resolveReducer).
+ * @param {number} [options.historyLength] - Results kept in "history" (overrides CONFIG.HISTORY_LENGTH).
+ * @returns {object} - The new state.
+ * @throws {Error} - If a custom reducer doesn't return an object.
+ */
+export function applyResult(state, value, { reducer, historyLength = CONFIG.HISTORY_LENGTH } = {}) {
+    const { name, reduce } = resolveReducer(reducer);
+    if (name === "value") return value;
+
+    const next = reduce(state, value);
+    if (!isPlainObject(next)) {
+        throw new Error("State reducer must return an object");
+    }
+
+    // Reserved keys keep their place and value, whatever the reducer did
+    const reserved = Object.fromEntries(RESERVED_KEYS.filter(key => key in state).map(key => [key, state[key]]));
+    const dropped = Object.fromEntries(Object.entries(reserved).filter(([key]) => !(key in next)));
+    const history = historyLength > 0 ? [...(state.history || []), value].slice(-historyLength) : [];
+    return { ...dropped, ...next, ...reserved, history };
+}
+
+/**
+ * The context a step votes on: the whole state, or only the given `inputs` (plus original_task).
+ * @param {object} state - Current state.
+ * @param {string[]} [inputs] - State keys the step reads.
+ * @returns {object}
+ * @throws {Error} - If an input is missing from the state.
+ */
+export function stepContext(state, inputs) {
+    if (!inputs) return state;
+    const missing = inputs.filter(key => !(key in state));
+    if (missing.length > 0) {
+        throw new Error(`Input ${missing.map(key => `"${key}"`).join(", ")} not found in state`);
+    }
+    const context = state.original_task !== undefined ? { original_task: state.original_task } : {};
+    inputs.forEach(key => { context[key] = state[key]; });
+    return context;
+}
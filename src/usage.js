@@ -0,0 +1,244 @@
+import { CONFIG } from "./config.js";
+import { currentScope } from "./scope.js";
+
+/**
+ * Usage & Cost Accounting
+ * Every model call passes through a metered provider that counts tokens and cost for the run and
+ * enforces the CONFIG.MAX_COST / CONFIG.MAX_CALLS budgets before the call is sent. Votes also carry
+ * their own usage, so consensus metadata can report the cost of each step and of its flagged votes.
+ */
+
+// USD per 1M tokens. Approximate list prices - override or extend with CONFIG.MODEL_PRICES / --prices.
+export const DEFAULT_PRICES = {
+    "gemini-flash-lite-latest": { input: 0.10, output: 0.40 },
+    "gemini-flash-latest": { input: 0.30, output: 2.50 },
+    "gemini-2.5-flash-lite": { input: 0.10, output: 0.40 },
+    "gemini-2.5-flash": { input: 0.30, output: 2.50 },
+    "gemini-2.5-pro": { input: 1.25, output: 10.00 },
+    "gpt-4o-mini": { input: 0.15, output: 0.60 },
+    "gpt-4o": { input: 2.50, output: 10.00 },
+    "gpt-4.1-mini": { input: 0.40, output: 1.60 },
+    "gpt-4.1": { input: 2.00, output: 8.00 },
+};
+
+// Output tokens assumed per call until the provider reports real usage
+const ESTIMATED_OUTPUT_TOKENS = 300;
+
+/**
+ * Raised before a call that would take the run over its cost or call budget.
+ */
+export class BudgetExceededError extends Error {
+    /**
+     * @param {string} message - Human readable error message.
+     * @param {object} details
+     * @param {string} details.budget - "cost" or "calls".
+     * @param {number} details.limit - The configured budget.
+     * @param {number} details.spent - Amount used when the run was stopped.
+     */
+    constructor(message, { budget, limit, spent }) {
+        super(message);
+        this.name = "BudgetExceededError";
+        this.budget = budget;
+        this.limit = limit;
+        this.spent = spent;
+    }
+}
+
+/**
+ * Rough token counts for a call that has not been made yet (~4 characters per token).
+ * @param {string} prompt - The prompt text.
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export function estimateUsage(prompt) {
+    return {
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: CONFIG.MAX_RESPONSE_TOKENS || ESTIMATED_OUTPUT_TOKENS,
+    };
+}
+
+/**
+ * @param {string} model - Model name.
+ * @returns {{input: number, output: number}|null} - USD per 1M tokens, or null if the model has no price.
+ */
+export function priceFor(model) {
+    return CONFIG.MODEL_PRICES?.[model] ?? DEFAULT_PRICES[model] ?? null;
+}
+
+/**
+ * @param {{inputTokens?: number, outputTokens?: number}} [usage] - Token counts.
+ * @param {string} [model] - Model name (defaults to CONFIG.MODEL_NAME).
+ * @returns {number} - Cost in USD (0 for models without a price).
+ */
+export function costOf(usage, model = CONFIG.MODEL_NAME) {
+    const price = priceFor(model);
+    if (!usage || !price) return 0;
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * @param {number} usd - Amount in USD.
+ * @returns {string} - e.g. "$0.0123".
+ */
+export function formatCost(usd) {
+    return `$${usd.toFixed(usd >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * Run-wide token and cost totals with optional hard budgets.
+ * Budget is reserved when a call is issued (its estimated cost, and a place under the call limit),
+ * so a parallel batch cannot overshoot the budget while earlier calls are still in flight. A call
+ * that only fits once those calls settle waits for them instead of stopping the run early.
+ * Calls are counted when they are sent: one cancelled while still queued (e.g. in the rate limiter)
+ * gives its place back and never counts toward the call budget.
+ */
+export class UsageTracker {
+    /**
+     * @param {object} [budgets]
+     * @param {number} [budgets.maxCost] - Stop before spending more than this many USD.
+     * @param {number} [budgets.maxCalls] - Stop before making more than this many model calls.
+     */
+    constructor({ maxCost = null, maxCalls = null } = {}) {
+        this.maxCost = maxCost;
+        this.maxCalls = maxCalls;
+        this.calls = 0; // Sent
+        this.queuedCalls = 0; // Reserved, not sent yet
+        this.pendingCalls = 0; // Reserved, not settled yet (queued or in flight)
+        this.inputTokens = 0;
+        this.outputTokens = 0;
+        this.cost = 0;
+        this.reservedCost = 0;
+        this.waiters = [];
+    }
+
+    /**
+     * Reserves budget for a call about to be made.
+     * @param {number} estimatedCost - Expected cost of the call.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting for budget (rejects with the abort reason).
+     * @returns {Promise<void>} - Resolves once the call fits in the budget.
+     * @throws {BudgetExceededError} - If the call would exceed a budget.
+     */
+    async reserve(estimatedCost, { signal } = {}) {
+        for (;;) {
+            const callsLeft = this.maxCalls == null || this.calls + this.queuedCalls < this.maxCalls;
+            const costLeft = this.maxCost == null || this.cost + this.reservedCost + estimatedCost <= this.maxCost;
+            if ((callsLeft && costLeft) || this.pendingCalls === 0) break;
+            // Pending calls may still be dropped unsent or cost less than reserved
+            await this.waitForSettle(signal);
+        }
+        if (this.maxCalls != null && this.calls >= this.maxCalls) {
+            throw new BudgetExceededError(`Call budget reached (${this.calls}/${this.maxCalls} calls)`, {
+                budget: "calls", limit: this.maxCalls, spent: this.calls,
+            });
+        }
+        if (this.maxCost != null && this.cost + estimatedCost > this.maxCost) {
+            throw new BudgetExceededError(`Cost budget reached (${formatCost(this.cost)} of ${formatCost(this.maxCost)} spent)`, {
+                budget: "cost", limit: this.maxCost, spent: this.cost,
+            });
+        }
+        this.queuedCalls++;
+        this.pendingCalls++;
+        this.reservedCost += estimatedCost;
+    }
+
+    waitForSettle(signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const onAbort = () => {
+                const index = this.waiters.indexOf(wake);
+                if (index !== -1) this.waiters.splice(index, 1);
+                reject(signal.reason);
+            };
+            const wake = () => {
+                signal?.removeEventListener("abort", onAbort);
+                resolve();
+            };
+            this.waiters.push(wake);
+            signal?.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Counts a reserved call that has been sent.
+     */
+    send() {
+        this.queuedCalls--;
+        this.calls++;
+    }
+
+    /**
+     * Settles a reservation with what the call actually used (zero usage for failed calls).
+     * @param {number} estimatedCost - The cost reserved for the call.
+     * @param {object} [usage] - Tokens the call used.
+     * @param {string} [model] - Model name.
+     * @param {boolean} [sent] - False for a call dropped before it was sent (see send).
+     */
+    settle(estimatedCost, usage, model, sent = true) {
+        if (!sent) this.queuedCalls--;
+        this.pendingCalls--;
+        this.reservedCost = Math.max(0, this.reservedCost - estimatedCost);
+        this.inputTokens += usage?.inputTokens || 0;
+        this.outputTokens += usage?.outputTokens || 0;
+        this.cost += costOf(usage, model);
+        this.waiters.splice(0).forEach(wake => wake());
+    }
+
+    /**
+     * @returns {{calls: number, inputTokens: number, outputTokens: number, cost: number}}
+     */
+    summary() {
+        return { calls: this.calls, inputTokens: this.inputTokens, outputTokens: this.outputTokens, cost: this.cost };
+    }
+}
+
+/**
+ * Counts every call against a UsageTracker, refusing calls once a budget is reached.
+ * Layers below that hold calls back (the rate limiter) report when a call goes out through
+ * `options.onSend`; otherwise a call counts as sent unless it was cancelled.
+ * @param {object} inner - Provider to meter.
+ * @param {UsageTracker} tracker - Run-wide tracker.
+ * @returns {object} - Provider implementing `generate()`.
+ */
+export function createMeteredProvider(inner, tracker) {
+    return {
+        name: inner.name,
+        async generate(prompt, options = {}) {
+            const estimatedCost = costOf(estimateUsage(prompt), options.model);
+            await tracker.reserve(estimatedCost, { signal: options.signal });
+            let sent = false;
+            const onSend = () => {
+                if (sent) return;
+                sent = true;
+                tracker.send();
+            };
+            let usage;
+            try {
+                const result = await inner.generate(prompt, { ...options, onSend });
+                onSend();
+                usage = result.usage;
+                return result;
+            } catch (error) {
+                if (!options.signal?.aborted) onSend();
+                throw error;
+            } finally {
+                tracker.settle(estimatedCost, usage, options.model, sent);
+            }
+        },
+    };
+}
+
+let sharedTracker = null;
+
+/**
+ * The current run's tracker inside a Maker run (see scope.js), the process-wide one otherwise.
+ * The process-wide tracker is created on first use so CLI budgets (--max-cost, --max-calls) take effect.
+ * @returns {UsageTracker}
+ */
+export function getUsageTracker() {
+    const scope = currentScope();
+    if (scope?.usage) return scope.usage;
+    if (!sharedTracker) {
+        sharedTracker = new UsageTracker({ maxCost: CONFIG.MAX_COST, maxCalls: CONFIG.MAX_CALLS });
+    }
+    return sharedTracker;
+}
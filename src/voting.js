@@ -0,0 +1,217 @@
+import { CONFIG } from "./config.js";
+
+/**
+ * Voting Strategies
+ * A strategy looks at the current tally and decides whether a bucket has won:
+ *
+ *   strategy.decide(tally) -> { key, margin }   winner found
+ *                           | { exhausted: reason } no winner is possible anymore
+ *                           | null              keep voting
+ *
+ * Optional members:
+ *   strategy.weight(vote)        - weight of a single vote (default 1)
+ *   strategy.votesNeeded(tally)  - upper bound on useful additional valid votes (caps batch size)
+ *   strategy.minAttempts         - attempts needed at minimum (raises MAX_ATTEMPTS_PER_STEP)
+ *   strategy.requestsConfidence  - agents are asked to report a confidence with their answer
+ */
+
+/**
+ * Running tally of votes per bucket, shared by every consensus execution path.
+ */
+export class VoteTally {
+    constructor() {
+        this.buckets = new Map();
+        this.validVotes = 0;
+    }
+
+    /**
+     * @param {string} key - Bucket key (canonical form of the answer).
+     * @param {number} [weight] - Vote weight.
+     */
+    add(key, weight = 1) {
+        const bucket = this.buckets.get(key) || { key, count: 0, weight: 0 };
+        bucket.count += 1;
+        bucket.weight += weight;
+        this.buckets.set(key, bucket);
+        this.validVotes += 1;
+    }
+
+    /**
+     * Drops a bucket and its votes, e.g. a winner that was rejected after the vote.
+     * @param {string} key - Bucket key.
+     */
+    exclude(key) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) return;
+        this.buckets.delete(key);
+        this.validVotes -= bucket.count;
+    }
+
+    /**
+     * @param {"count"|"weight"} [by] - Field to rank buckets by.
+     * @returns {object[]} - Buckets, leader first.
+     */
+    ranked(by = "count") {
+        return [...this.buckets.values()].sort((a, b) => b[by] - a[by]);
+    }
+}
+
+/**
+ * First-to-Ahead-by-K (the MAKER paper's rule): the leader must be K votes ahead of the runner-up.
+ * @param {object} [options]
+ * @param {number} [options.k] - Required margin (defaults to CONFIG.VOTE_MARGIN_K at decision time).
+ */
+export function aheadByK({ k } = {}) {
+    return {
+        name: "ahead-by-k",
+        decide(tally) {
+            const [leader, runnerUp] = tally.ranked();
+            if (!leader) return null;
+            const margin = leader.count - (runnerUp ? runnerUp.count : 0);
+            return margin >= (k ?? CONFIG.VOTE_MARGIN_K) ? { key: leader.key, margin } : null;
+        },
+    };
+}
+
+/**
+ * Plain majority of N: the first answer to collect more than N/2 of N valid votes wins.
+ * @param {object} options
+ * @param {number} options.n - Number of valid votes in the election.
+ */
+export function majority({ n }) {
+    return {
+        name: "majority",
+        minAttempts: n,
+        votesNeeded: (tally) => Math.max(0, n - tally.validVotes),
+        decide(tally) {
+            const [leader, runnerUp] = tally.ranked();
+            if (leader && leader.count > n / 2) {
+                return { key: leader.key, margin: leader.count - (runnerUp ? runnerUp.count : 0) };
+            }
+            return tally.validVotes >= n ? { exhausted: `no answer won a majority of ${n} votes` } : null;
+        },
+    };
+}
+
+/**
+ * Supermajority: an answer needs at least `threshold` of N valid votes.
+ * @param {object} options
+ * @param {number} options.n - Number of valid votes in the election.
+ * @param {number} [options.threshold] - Required share of the N votes (0.5 - 1).
+ */
+export function supermajority({ n, threshold = 2 / 3 }) {
+    const needed = Math.ceil(threshold * n);
+    return {
+        name: "supermajority",
+        minAttempts: n,
+        votesNeeded: (tally) => Math.max(0, n - tally.validVotes),
+        decide(tally) {
+            const [leader, runnerUp] = tally.ranked();
+            if (leader && leader.count >= needed) {
+                return { key: leader.key, margin: leader.count - (runnerUp ? runnerUp.count : 0) };
+            }
+            // Stop early once even the remaining votes cannot lift the leader over the bar
+            const remaining = n - tally.validVotes;
+            if ((leader ? leader.count : 0) + remaining < needed) {
+                return { exhausted: `no answer can reach ${needed} of ${n} votes` };
+            }
+            return null;
+        },
+    };
+}
+
+/**
+ * Unanimity of N: N valid votes, all identical.
+ * @param {object} options
+ * @param {number} options.n - Number of valid votes in the election.
+ */
+export function unanimity({ n }) {
+    return {
+        name: "unanimity",
+        minAttempts: n,
+        votesNeeded: (tally) => Math.max(0, n - tally.validVotes),
+        decide(tally) {
+            if (tally.buckets.size > 1) return { exhausted: "agents disagreed" };
+            const [leader] = tally.ranked();
+            return leader && leader.count >= n ? { key: leader.key, margin: leader.count } : null;
+        },
+    };
+}
+
+/**
+ * Confidence-weighted voting: each vote counts with the agent's self-reported confidence (0 - 1),
+ * and the leader must be ahead of the runner-up by a weighted margin of K.
+ * @param {object} [options]
+ * @param {number} [options.k] - Required weighted margin (defaults to CONFIG.VOTE_MARGIN_K).
+ */
+export function confidenceWeighted({ k } = {}) {
+    return {
+        name: "confidence",
+        requestsConfidence: true,
+        weight(vote) {
+            const confidence = Number(vote.confidence);
+            // Agents that omit a confidence count as fully confident, like plain votes
+            return Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 1;
+        },
+        decide(tally) {
+            const [leader, runnerUp] = tally.ranked("weight");
+            if (!leader) return null;
+            const margin = leader.weight - (runnerUp ? runnerUp.weight : 0);
+            return margin >= (k ?? CONFIG.VOTE_MARGIN_K) ? { key: leader.key, margin } : null;
+        },
+    };
+}
+
+// Built-in strategies, keyed by the name used in voting specs
+const strategies = {
+    "ahead-by-k": aheadByK,
+    majority,
+    supermajority,
+    unanimity,
+    confidence: confidenceWeighted,
+};
+
+/**
+ * @returns {string[]} - Names of the built-in strategies.
+ */
+export function listStrategies() {
+    return Object.keys(strategies);
+}
+
+/**
+ * Parses a voting spec string such as "majority:n=7" or "supermajority:n=10,threshold=0.8".
+ * @param {string} spec - "<name>[:key=value,...]".
+ * @returns {object} - `{ strategy, ...options }`.
+ */
+export function parseVotingSpec(spec) {
+    const [name, params = ""] = spec.split(":");
+    const options = { strategy: name.trim() };
+    for (const pair of params.split(",").filter(Boolean)) {
+        const [key, value] = pair.split("=").map(part => part.trim());
+        if (!key || value === undefined || !Number.isFinite(Number(value))) {
+            throw new Error(`Invalid voting option "${pair}" in "${spec}" (expected key=<number>)`);
+        }
+        options[key] = Number(value);
+    }
+    return options;
+}
+
+/**
+ * Resolves a strategy from a spec string, an options object or a ready-made strategy.
+ * @param {string|object|null} [voting] - Voting spec (defaults to CONFIG.VOTING, then ahead-by-K).
+ * @returns {object} - Strategy implementing `decide()`.
+ */
+export function resolveStrategy(voting = CONFIG.VOTING) {
+    if (!voting) return aheadByK();
+    if (typeof voting.decide === "function") return voting;
+
+    const { strategy: name, ...options } = typeof voting === "string" ? parseVotingSpec(voting) : voting;
+    const factory = strategies[name];
+    if (!factory) {
+        throw new Error(`Unknown voting strategy "${name}". Available: ${listStrategies().join(", ")}`);
+    }
+    if (["majority", "supermajority", "unanimity"].includes(name) && !(options.n >= 1)) {
+        throw new Error(`Voting strategy "${name}" requires n >= 1 (e.g. "${name}:n=5")`);
+    }
+    return factory(options);
+}
@@ -0,0 +1,44 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tests } from '../suite.js';
+import { liteTests } from '../lite-suite.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Recorded Runs
+ * Each case runs one task through createMaker; record-cassettes.js records it into
+ * `<name>.ndjson` next to this file and replay.test.js replays it offline.
+ * A cassette only replays with the settings it was recorded with, so each case carries its own.
+ */
+export const cases = [
+    {
+        name: 'test10',
+        settings: { k: 2, maxAttempts: 4 },
+        run: (maker) => maker.run(tests.test10.prompt),
+        expected: (result) => result.state.current_value === tests.test10.expected,
+    },
+    {
+        name: 'drunkWalker8',
+        settings: { k: 2, maxAttempts: 4 },
+        run: (maker) => {
+            const test = liteTests.drunkWalker;
+            const plan = {
+                task: test.name,
+                workerPrompt: test.workerPrompt,
+                reducer: 'value',
+                steps: test.generateSteps(8).map(instruction => ({ instruction, redFlags: test.redFlags })),
+            };
+            return maker.runPlan(plan, { state: test.initialState });
+        },
+        expected: (result) => JSON.stringify(result.state) === JSON.stringify(liteTests.drunkWalker.expectedResult(8)),
+    },
+];
+
+/**
+ * @param {string} name - Case name.
+ * @returns {string} - The case's cassette file.
+ */
+export function cassettePath(name) {
+    return path.join(__dirname, `${name}.ndjson`);
+}
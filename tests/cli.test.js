@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BIN = path.join(__dirname, '..', 'bin', 'maker.js');
+const FAKE_MODEL = path.join(__dirname, 'use-fake-model.js');
+
+/**
+ * Runs the CLI against the fake model (see fake-model.js) in a directory of its own.
+ * @returns {Promise<{code: number, stdout: string, stderr: string, dir: string}>}
+ */
+function maker(args, { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cli-')), input } = {}) {
+    return new Promise((resolve) => {
+        const child = execFile(process.execPath, ['--import', FAKE_MODEL, BIN, '--provider', 'fake', '--k', '1', ...args], {
+            cwd: dir,
+            env: { ...process.env, CI: '1', NO_COLOR: '1' },
+            timeout: 60000,
+        }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr, dir }));
+        child.stdin.end(input ?? '');
+    });
+}
+
+test('plan writes its file to -o / --plan-out while --output picks the format', async () => {
+    const { code, stdout, dir } = await maker(['--output', 'json', 'plan', 'Start with 2. Add 3', '-o', 'plans/plan.json']);
+    assert.equal(code, 0);
+    const document = JSON.parse(stdout);
+    assert.equal(document.status, 'completed');
+    assert.equal(document.planPath, 'plans/plan.json');
+    assert.ok(document.usage.calls > 0);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'plans', 'plan.json'), 'utf8')).steps, ['Start with 2', 'Add 3']);
+
+    const missing = await maker(['plan', 'Start with 2']);
+    assert.notEqual(missing.code, 0);
+    assert.match(missing.stderr, /required option '-o, --plan-out <file>' not specified/);
+
+    const long = await maker(['plan', 'Start with 2', '--plan-out', 'plan.json'], { dir });
+    assert.equal(long.code, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'plan.json')));
+});
+
+test('map writes its result to -o / --result-file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cli-'));
+    fs.writeFileSync(path.join(dir, 'input.txt'), 'one two three four five six seven eight nine ten');
+    const args = ['--json', 'map', '--input', 'input.txt', '--map', 'Count the words', '--reduce', 'Add up the counts', '--chunk-size', '20', '--overlap', '0'];
+
+    const { code, stdout } = await maker([...args, '--result-file', 'count.json'], { dir });
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).result, 10);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'count.json'), 'utf8')), 10);
+    assert.equal((await maker([...args, '-o', 'short.json'], { dir })).code, 0);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'short.json'), 'utf8')), 10);
+});
+
+test('config show prints every setting with where it came from', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cli-'));
+    fs.writeFileSync(path.join(dir, 'maker.config.json'), JSON.stringify({ BATCH_SIZE: 5, profiles: { mine: { MAX_RPM: 60 } } }));
+    const { code, stdout } = await maker(['--profile', 'mine', '--set', 'HISTORY_LENGTH=2', '--json', 'config', 'show'], { dir });
+    assert.equal(code, 0);
+    const { file, profile, settings } = JSON.parse(stdout);
+    assert.equal(file, path.join(dir, 'maker.config.json'));
+    assert.equal(profile, 'mine');
+    assert.deepEqual(settings.BATCH_SIZE, { value: 5, source: file });
+    assert.deepEqual(settings.MAX_RPM, { value: 60, source: `profile mine (${file})` });
+    assert.deepEqual(settings.HISTORY_LENGTH, { value: 2, source: '--set' });
+    assert.deepEqual(settings.VOTE_MARGIN_K, { value: 1, source: '--k' });
+
+    const invalid = await maker(['--set', 'BATCH_SIZE=0', 'config', 'show'], { dir });
+    assert.notEqual(invalid.code, 0);
+    assert.match(invalid.stderr, /BATCH_SIZE = 0 \(from --set\): must be at least 1/);
+});
+
+test('the task comes from --prompt-file or stdin, the state from --state, and --out keeps the result', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cli-'));
+    fs.writeFileSync(path.join(dir, 'task.txt'), 'Start with 2. Add 3\n');
+
+    const first = await maker(['--quiet', '--prompt-file', 'task.txt', '--out', 'first.json'], { dir });
+    assert.equal(first.code, 0);
+    assert.deepEqual(JSON.parse(first.stdout).history, [2, 5]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'first.json'), 'utf8')), JSON.parse(first.stdout));
+
+    // Chained: the state of one run is where the next starts
+    const second = await maker(['--quiet', '--state', '-', 'Multiply by 2'], { dir, input: first.stdout });
+    assert.equal(second.code, 0);
+    assert.deepEqual(JSON.parse(second.stdout).history, [2, 5, 10]);
+
+    const piped = await maker(['--json', '--state', 'first.json'], { dir, input: 'Subtract 1' });
+    assert.equal(piped.code, 0);
+    assert.equal(JSON.parse(piped.stdout).state.current_value, 4);
+
+    // A plain value becomes current_value
+    fs.writeFileSync(path.join(dir, 'seven.json'), '7');
+    const seeded = await maker(['--quiet', '--state', 'seven.json', 'Add 1'], { dir });
+    assert.deepEqual(JSON.parse(seeded.stdout), { original_task: 'Add 1', history: [8], current_value: 8 });
+});
+
+test('task and state inputs are checked', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cli-'));
+    fs.writeFileSync(path.join(dir, 'task.txt'), 'Add 1');
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{"history": ');
+    const failures = [
+        [['--prompt-file', 'task.txt', 'Add 2'], /either as an argument or with --prompt-file, not both/],
+        [['--prompt-file', '-', '--state', '-'], /The task and --state cannot both be read from stdin/],
+        [['--quiet'], /The task is empty \(read from stdin\)/],
+        [['--prompt-file', 'missing.txt'], /Could not read the task from missing\.txt/],
+        [['--state', 'broken.json', 'Add 1'], /Could not parse state from broken\.json/],
+    ];
+    for (const [args, message] of failures) {
+        const { code, stderr } = await maker(args, { dir, input: '' });
+        assert.equal(code, 1, args.join(' '));
+        assert.match(stderr, message);
+    }
+});
@@ -0,0 +1,94 @@
+import { CONFIG } from "../src/config.js";
+import { registerProvider } from "../src/providers.js";
+
+/**
+ * Fake Model
+ * A deterministic stand-in for a real model, used to record the cassettes in tests/cassettes
+ * (see record-cassettes.js) and behind the CLI tests (see use-fake-model.js). It understands just enough
+ * of MAKER's prompts for those tasks: the flat planner, arithmetic steps ("Start with 0", "Add 5",
+ * "Subtract 2", "Multiply by 3"), drunkWalker moves ("Move North") and map-reduce over text (the words
+ * of a chunk are counted, partial counts added up). Unit tests script their own answers (useScriptedModel).
+ */
+
+const MOVES = { North: [0, 1], East: [1, 0], South: [0, -1], West: [-1, 0] };
+
+/**
+ * @param {string} prompt - Full prompt text.
+ * @returns {any} - The answer's JSON.
+ */
+export function answer(prompt) {
+    const request = prompt.match(/User Request: "(.*)"/);
+    if (request) {
+        return request[1].split(".").map(step => step.trim()).filter(Boolean);
+    }
+
+    const step = parseStepPrompt(prompt);
+    if (!step) return { error: "unknown prompt" };
+    const { context, instruction } = step;
+
+    if (Array.isArray(context.partial_results)) {
+        return { reasoning: "partial counts added up", result: context.partial_results.reduce((sum, n) => sum + n, 0) };
+    }
+    if (typeof context.chunk === "string") {
+        return { reasoning: `words of chunk ${context.chunk_number}`, result: context.chunk.split(/\s+/).filter(Boolean).length };
+    }
+
+    const move = instruction.match(/^Move (\w+)/);
+    if (move) {
+        const [dx, dy] = MOVES[move[1]];
+        return { reasoning: `${instruction} from (${context.x}, ${context.y})`, result: { x: context.x + dx, y: context.y + dy } };
+    }
+
+    const [, operation, operand] = instruction.match(/^(Start with|Add|Subtract|Multiply by) (-?\d+)/) || [];
+    if (!operation) return { error: `unknown instruction "${instruction}"` };
+    const n = Number(operand);
+    const value = context.current_value ?? 0;
+    const result = { "Start with": n, "Add": value + n, "Subtract": value - n, "Multiply by": value * n }[operation];
+    return { reasoning: `${instruction} applied to ${value}`, result };
+}
+
+/**
+ * @param {string} prompt - A worker prompt (default or custom).
+ * @returns {{context: any, instruction: string}|null} - What the step is about, or null for other prompts.
+ */
+export function parseStepPrompt(prompt) {
+    const step = prompt.match(/(?:CONTEXT DATA|CURRENT CONTEXT):\n([\s\S]*?)\n\nCURRENT INSTRUCTION:\n(.*)/);
+    return step ? { context: JSON.parse(step[1]), instruction: step[2].trim() } : null;
+}
+
+/**
+ * @returns {object} - Provider implementing `generate()`, with token counts estimated from the text.
+ */
+export function createFakeProvider() {
+    return createScriptedProvider(answer, "fake");
+}
+
+/**
+ * A provider answering from a function, for tests that need particular answers, errors or delays.
+ * @param {function(string, object): any} respond - `(prompt, options) => answer`, may be async and may throw.
+ *                                                 Strings are sent as they are, anything else as JSON.
+ * @param {string} [name] - Provider name.
+ * @returns {object} - Provider implementing `generate()`, with token counts estimated from the text.
+ */
+export function createScriptedProvider(respond, name = "scripted") {
+    return {
+        name,
+        async generate(prompt, options = {}) {
+            const answer = await respond(prompt, options);
+            const text = typeof answer === "string" ? answer : JSON.stringify(answer);
+            return {
+                text,
+                usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) },
+            };
+        },
+    };
+}
+
+/**
+ * Routes every model call of this process to `respond` (see createScriptedProvider).
+ * @param {function(string, object): any} respond - `(prompt, options) => answer`.
+ */
+export function useScriptedModel(respond) {
+    registerProvider("scripted", () => createScriptedProvider(respond));
+    CONFIG.PROVIDER = "scripted";
+}
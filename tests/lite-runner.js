@@ -5,10 +5,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
-import { getConsensusResult } from '../src/consensus.js';
+import { createMaker } from '../src/maker.js';
 import { liteTests } from './lite-suite.js';
 import { canonicalStringify } from '../src/utils.js';
 import { CONFIG } from '../src/config.js';
+import { PROFILES } from '../src/settings.js';
+import { formatCost } from '../src/usage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -58,53 +60,76 @@ async function runLiteTest(testName, stepCount) {
         const steps = test.generateSteps(stepCount);
         log(`Generated ${steps.length} steps`);
 
-        // 2. Initialize state
+        // 2. Build the plan: the state is the bare step result (the "value" reducer)
+        // Per-test (or per-step) voting strategy and normalization; command line flags win
+        const plan = {
+            task: test.name,
+            workerPrompt: test.workerPrompt, // CUSTOM PROMPT HERE
+            reducer: 'value',
+            invariants: test.invariants,
+            steps: steps.map((instruction, i) => ({
+                instruction,
+                // Reliability-targeted K (--target-reliability) is picked for steps without their own voting
+                voting: targetReliability ? undefined : votingSpec ?? (typeof test.voting === 'function' ? test.voting(i) : test.voting),
+                normalization: normalizeSpec ?? test.normalization,
+                redFlags: test.redFlags,
+            })),
+        };
         let state = test.initialState;
         log(`Initial State: ${JSON.stringify(state)}`);
+        if (targetReliability) log(`Target Reliability: ${targetReliability}`);
         log('');
 
-        // 3. Execute each step with consensus voting
-        for (let i = 0; i < steps.length; i++) {
-            const step = steps[i];
-            const stepSpinner = ora(`Step ${i + 1}/${steps.length}: ${step}`).start();
+        // 3. Execute each step with consensus voting, logging as the run goes
+        const maker = createMaker({ checkpoints: false, targetReliability: targetReliability ?? undefined });
+        let stepSpinner = null;
+        let stepTitle = '';
 
-            log(`Step ${i + 1}: ${step}`);
+        maker.on('step:started', ({ step, instruction }) => {
+            stepTitle = `Step ${step}/${steps.length}: ${instruction}`;
+            stepSpinner = ora(stepTitle).start();
+            log(`Step ${step}: ${instruction}`);
             log(`  Input: ${JSON.stringify(state)}`);
-
-            try {
-                // Call consensus with custom worker prompt
-                const { value, metadata } = await getConsensusResult(
-                    state,
-                    step,
-                    (voteType) => {
-                        if (voteType === 'valid') {
-                            stepSpinner.text = `Step ${i + 1}/${steps.length}: ${step} ${chalk.dim('(Voting...)')}`;
-                        } else {
-                            stepSpinner.text = `Step ${i + 1}/${steps.length}: ${step} ${chalk.red('(Flagged)')}`;
-                        }
-                    },
-                    test.workerPrompt // CUSTOM PROMPT HERE
-                );
-
-                state = value;
-                log(`  Output: ${JSON.stringify(value)}`);
-
-                const valStr = typeof value === 'object' ? JSON.stringify(value).substring(0, 50) : value;
-                const kInfo = CONFIG.DEV_MODE ? ` (K=${metadata?.voteMargin ?? '?'})` : "";
-                stepSpinner.succeed(chalk.green(`Step ${i + 1} Complete: ${chalk.bold(valStr)}${kInfo}`));
-
-            } catch (error) {
-                log(`  ERROR: ${error.message}`);
-                stepSpinner.fail(chalk.red(`Step ${i + 1} Failed: ${error.message}`));
-                throw error;
+        });
+        maker.on('vote:cast', () => {
+            stepSpinner.text = `${stepTitle} ${chalk.dim('(Voting...)')}`;
+        });
+        maker.on('vote:retry', ({ delayMs }) => {
+            stepSpinner.text = `${stepTitle} ${chalk.yellow(`(API busy, retrying in ${(delayMs / 1000).toFixed(1)}s)`)}`;
+        });
+        maker.on('vote:flagged', ({ reason }) => {
+            stepSpinner.text = `${stepTitle} ${chalk.red(`(Flagged: ${reason})`)}`;
+        });
+        maker.on('step:decided', ({ step, value, metadata, autoK }) => {
+            state = value;
+            if (autoK) log(`  K: ${autoK.k} (p≈${autoK.p.toFixed(4)}, flag rate ${autoK.flagRate.toFixed(4)}, max attempts ${autoK.maxAttempts})`);
+            log(`  Output: ${JSON.stringify(value)}`);
+            log(`  Votes: ${metadata.totalVotes}, Cancelled: ${metadata.cancelledCalls}, API Retries: ${metadata.apiRetries}`);
+            log(`  Cost: ${formatCost(metadata.usage.cost)} (flagged ${formatCost(metadata.usage.flaggedCost)}), Tokens: ${metadata.usage.inputTokens} in / ${metadata.usage.outputTokens} out`);
+            if (metadata.flaggedVotes > 0) {
+                log(`  Red Flags: ${Object.entries(metadata.flags).map(([reason, count]) => `${reason} x${count}`).join(', ')}`);
+            }
+            if (metadata.variants.length > 1) {
+                log(`  Merged Variants: ${metadata.variants.map(v => `${JSON.stringify(v.value)} x${v.votes}`).join(', ')}`);
             }
-        }
+
+            const valStr = typeof value === 'object' ? JSON.stringify(value).substring(0, 50) : value;
+            const kInfo = CONFIG.DEV_MODE ? ` (${metadata?.strategy}, margin=${metadata?.voteMargin ?? '?'})` : "";
+            stepSpinner.succeed(chalk.green(`Step ${step} Complete: ${chalk.bold(valStr)}${kInfo}`));
+        });
+        maker.on('step:failed', ({ step, error }) => {
+            log(`  ERROR: ${error.message}`);
+            stepSpinner.fail(chalk.red(`Step ${step} Failed: ${error.message}`));
+        });
+
+        await maker.runPlan(plan, { state: test.initialState });
 
         // 4. Validate result
         const expected = test.expectedResult(stepCount);
         const success = compareResults(state, expected);
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        const usage = maker.usage.summary();
 
         // 5. Display summary
         console.log();
@@ -117,6 +142,7 @@ async function runLiteTest(testName, stepCount) {
         console.log(`Actual:       ${JSON.stringify(state)}`);
         console.log(`Status:       ${success ? chalk.green('✅ PASSED') : chalk.red('❌ FAILED')}`);
         console.log(`Duration:     ${duration}s`);
+        console.log(`Cost:         ${formatCost(usage.cost)} (${usage.calls} calls, ${usage.inputTokens} in / ${usage.outputTokens} out tokens)`);
         console.log(`Log File:     ${logFile}`);
         console.log(chalk.dim('='.repeat(60)));
 
@@ -128,6 +154,7 @@ async function runLiteTest(testName, stepCount) {
         log(`Actual:   ${JSON.stringify(state)}`);
         log(`Status:   ${success ? 'PASSED' : 'FAILED'}`);
         log(`Duration: ${duration}s`);
+        log(`Cost:     ${formatCost(usage.cost)} (${usage.calls} calls)`);
         log(`Completed: ${new Date().toISOString()}`);
 
         logStream.end();
@@ -156,11 +183,26 @@ const args = process.argv.slice(2);
 let testName = null;
 let stepCountStr = null;
 let useHighQuality = false;
+let cassetteMode = null;
+let cassettePath = null;
+let votingSpec = null;
+let targetReliability = null;
+let normalizeSpec = null;
 
-// Parse arguments (supports "node lite-runner.js drunkWalker 100 --high")
-for (const arg of args) {
+// Parse arguments (supports "node lite-runner.js drunkWalker 100 --high --record run.ndjson")
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--high') {
         useHighQuality = true;
+    } else if (arg === '--record' || arg === '--replay') {
+        cassetteMode = arg.slice(2);
+        cassettePath = args[++i];
+    } else if (arg === '--voting') {
+        votingSpec = args[++i];
+    } else if (arg === '--normalize') {
+        normalizeSpec = args[++i];
+    } else if (arg === '--target-reliability') {
+        targetReliability = parseFloat(args[++i]);
     } else if (!testName) {
         testName = arg;
     } else if (!stepCountStr) {
@@ -169,7 +211,7 @@ for (const arg of args) {
 }
 
 if (!testName || !stepCountStr) {
-    console.error(chalk.red('Usage: node lite-runner.js <testName> <stepCount> [--high]'));
+    console.error(chalk.red('Usage: node lite-runner.js <testName> <stepCount> [--high] [--voting <spec> | --target-reliability <p>] [--normalize <rules>] [--record <file> | --replay <file>]'));
     console.log('\nAvailable tests:');
     Object.entries(liteTests).forEach(([key, test]) => {
         console.log(`  ${chalk.cyan(key)}: ${test.description}`);
@@ -177,13 +219,28 @@ if (!testName || !stepCountStr) {
     console.log('\nExample:');
     console.log('  node tests/lite-runner.js drunkWalker 100');
     console.log('  node tests/lite-runner.js drunkWalker 100 --high  # Use higher quality model');
+    console.log('  node tests/lite-runner.js drunkWalker 1000 --replay tests/results/drunkWalker.ndjson  # Offline re-run');
     process.exit(1);
 }
 
 if (useHighQuality) {
-    CONFIG.MODEL_NAME = 'gemini-flash-latest';
-    CONFIG.MAX_RPM = 500; // Adjust for flash-latest's 1K RPM limit (50% buffer for safety)
-    console.log(chalk.dim('🔥 Using --high flag (gemini-flash-latest, 500 RPM)\n'));
+    Object.assign(CONFIG, PROFILES.high);
+    console.log(chalk.dim(`🔥 Using --high flag (${CONFIG.MODEL_NAME}, ${CONFIG.MAX_RPM} RPM)\n`));
+}
+
+if (targetReliability !== null && !(targetReliability > 0 && targetReliability < 1)) {
+    console.error(chalk.red('Error: --target-reliability must be a probability between 0 and 1 (e.g. 0.99)'));
+    process.exit(1);
+}
+
+if (cassetteMode) {
+    if (!cassettePath) {
+        console.error(chalk.red(`Error: --${cassetteMode} requires a cassette file`));
+        process.exit(1);
+    }
+    CONFIG.CASSETTE_MODE = cassetteMode;
+    CONFIG.CASSETTE_PATH = cassettePath;
+    console.log(chalk.dim(`📼 ${cassetteMode === 'record' ? 'Recording to' : 'Replaying from'} ${cassettePath}\n`));
 }
 
 const stepCount = parseInt(stepCountStr, 10);
@@ -8,6 +8,15 @@
  * - Generate steps algorithmically
  * - Use custom worker prompts
  * - Have mathematically predictable answers
+ *
+ * A test may also set `voting` to a voting spec (e.g. "majority:n=5"), or to a function
+ * `(stepIndex) => spec` to pick a strategy per step. Defaults to First-to-Ahead-by-K.
+ * `normalization` (a rule string such as "numbers,tolerance=1e-9", or an options object that
+ * may include custom `equivalence` functions) merges equivalent answers before voting.
+ * `redFlags` sets red-flag rules: `maxResponseTokens`, a JSON Schema for the result
+ * (`resultSchema`) and custom `validators` ((result, { context, instruction }) => true | reason).
+ * `invariants` are checked against the state after every step; a winning answer that breaks one
+ * is voted down (see src/invariants.js).
  */
 
 /**
@@ -33,6 +42,16 @@ export const drunkWalker = {
 
     initialState: { x: 0, y: 0 },
 
+    // Anything but integer coordinates is a malformed answer, not a vote
+    redFlags: {
+        resultSchema: {
+            type: "object",
+            properties: { x: { type: "integer" }, y: { type: "integer" } },
+            required: ["x", "y"],
+            additionalProperties: false,
+        },
+    },
+
     expectedResult: (stepCount) => {
         // After any multiple of 4 steps, we should be back at (0,0)
         // For non-multiples, calculate position based on remainder
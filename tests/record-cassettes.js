@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Re-records the cassettes in tests/cassettes from the fake model (see fake-model.js).
+ * Run it after changing a prompt, then check the replay tests with `npm test`.
+ *
+ *   node tests/record-cassettes.js [name...]
+ */
+
+import { createMaker } from '../src/maker.js';
+import { CONFIG } from '../src/config.js';
+import { registerProvider } from '../src/providers.js';
+import { createFakeProvider } from './fake-model.js';
+import { cases, cassettePath } from './cassettes/cases.js';
+
+registerProvider('fake', createFakeProvider);
+CONFIG.PROVIDER = 'fake';
+CONFIG.CASSETTE_MODE = 'record';
+
+const names = process.argv.slice(2);
+for (const testCase of cases.filter(c => names.length === 0 || names.includes(c.name))) {
+    CONFIG.CASSETTE_PATH = cassettePath(testCase.name);
+    const result = await testCase.run(createMaker({ checkpoints: false, ...testCase.settings }));
+    if (!testCase.expected(result)) {
+        console.error(`${testCase.name}: unexpected result ${JSON.stringify(result.state)}`);
+        process.exitCode = 1;
+    }
+    console.log(`${testCase.name}: ${result.status}, recorded ${CONFIG.CASSETTE_PATH}`);
+}
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMaker } from '../src/maker.js';
+import { CONFIG } from '../src/config.js';
+import { cases, cassettePath } from './cassettes/cases.js';
+
+// Replays the recorded runs in tests/cassettes: no network, no API key
+CONFIG.CASSETTE_MODE = 'replay';
+CONFIG.API_KEY = null;
+
+for (const testCase of cases) {
+    test(`replays ${testCase.name}`, async () => {
+        CONFIG.CASSETTE_PATH = cassettePath(testCase.name);
+        const maker = createMaker({ checkpoints: false, ...testCase.settings });
+        const decided = [];
+        maker.on('step:decided', ({ step }) => decided.push(step));
+
+        const result = await testCase.run(maker);
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.completedSteps, result.totalSteps);
+        assert.equal(decided.length, result.totalSteps);
+        assert.ok(testCase.expected(result), `unexpected state ${JSON.stringify(result.state)}`);
+    });
+}
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 
-import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createMaker } from '../src/maker.js';
+import { CONFIG } from '../src/config.js';
+import { PROFILES } from '../src/settings.js';
 import { tests } from './suite.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -16,7 +18,7 @@ if (!fs.existsSync(resultsDir)) {
 }
 
 /**
- * Run a single test
+ * Run a single test: plan and execute its prompt the way the CLI does, through the library API
  */
 async function runTest(testKey, testConfig) {
     console.log(`\n${'='.repeat(60)}`);
@@ -29,81 +31,77 @@ async function runTest(testKey, testConfig) {
     const logFile = path.join(resultsDir, `${testKey}_${Date.now()}.log`);
     const logStream = fs.createWriteStream(logFile);
 
-    return new Promise((resolve) => {
-        const makerPath = path.join(__dirname, '..', 'bin', 'maker.js');
-        const args = [makerPath, testConfig.prompt];
-        if (useHighQuality) {
-            args.push('--high');
-        }
-        const child = spawn('node', args, {
-            cwd: path.join(__dirname, '..'),
-        });
-
-        let output = '';
-        let finalResult = null;
-
-        child.stdout.on('data', (data) => {
-            const text = data.toString();
-            output += text;
-            logStream.write(text);
-            process.stdout.write(text);
-        });
-
-        child.stderr.on('data', (data) => {
-            const text = data.toString();
-            output += text;
-            logStream.write(text);
-            process.stderr.write(text);
-        });
-
-        child.on('close', (code) => {
-            const endTime = Date.now();
-            const duration = ((endTime - startTime) / 1000).toFixed(2);
-
-            // Try to extract final result
-            const match = output.match(/Final Result:\s*\n([\s\S]*?)$/);
-            if (match) {
-                try {
-                    finalResult = JSON.parse(match[1].trim());
-                } catch (e) {
-                    finalResult = match[1].trim();
-                }
-            }
-
-            const success = finalResult == testConfig.expected; // Loose equality for numbers
-            const summary = `
+    function log(message) {
+        logStream.write(message + '\n');
+        console.log(message);
+    }
+
+    if (cassetteMode) {
+        CONFIG.CASSETTE_MODE = cassetteMode;
+        CONFIG.CASSETTE_PATH = path.join(cassetteDir, `${testKey}.ndjson`);
+    }
+
+    const maker = createMaker({ checkpoints: false });
+    let totalSteps = 0;
+    maker.on('plan:created', ({ plan }) => {
+        totalSteps = plan.steps.length;
+        log(`Plan created with ${totalSteps} steps.`);
+    });
+    maker.on('plan:failed', ({ error }) => log(`Planning failed: ${error.message}`));
+    maker.on('step:decided', ({ label, value }) => log(`Step ${label}/${totalSteps} Complete: ${JSON.stringify(value)}`));
+    maker.on('step:failed', ({ label, error }) => log(`Step ${label}/${totalSteps} Failed: ${error.message}`));
+
+    let result;
+    try {
+        result = await maker.run(testConfig.prompt);
+    } catch (error) {
+        result = error.result ?? { status: 'failed', state: null };
+        if (!error.result) log(`Error: ${error.message}`);
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    // Arithmetic results land in the state as { current_value } (see src/state.js)
+    const state = result.state ?? null;
+    const finalResult = state !== null && typeof state === 'object' && 'current_value' in state ? state.current_value : state;
+    const success = finalResult == testConfig.expected; // Loose equality for numbers
+    const summary = `
 ${'='.repeat(60)}
 TEST SUMMARY
 ${'='.repeat(60)}
 Test:         ${testConfig.name}
 Steps:        ${testConfig.steps}
 Expected:     ${testConfig.expected}
-Actual:       ${finalResult}
+Actual:       ${JSON.stringify(finalResult)}
 Status:       ${success ? '✅ PASSED' : '❌ FAILED'}
 Duration:     ${duration}s
-Exit Code:    ${code}
+Run Status:   ${result.status}
 Log File:     ${logFile}
 ${'='.repeat(60)}
 `;
 
-            console.log(summary);
-            logStream.write(summary);
-            logStream.end();
+    console.log(summary);
+    logStream.write(summary);
+    await new Promise((resolve) => logStream.end(resolve));
 
-            resolve({ success, duration, finalResult, testConfig });
-        });
-    });
+    return { success, duration, finalResult, testConfig };
 }
 
 // Main execution
 const args = process.argv.slice(2);
 let testArg = null;
 let useHighQuality = false;
+let cassetteMode = null;
+let cassetteDir = null;
 
 // Parse arguments (supports both "node runner.js 10 --high" and "node runner.js --high 10")
-for (const arg of args) {
+// --record <dir> / --replay <dir> keep one cassette per test: <dir>/<testKey>.ndjson
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--high') {
         useHighQuality = true;
+    } else if (arg === '--record' || arg === '--replay') {
+        cassetteMode = arg.slice(2);
+        cassetteDir = path.resolve(args[++i] || path.join(resultsDir, 'cassettes'));
     } else if (!testArg) {
         testArg = arg;
     }
@@ -119,7 +117,7 @@ for (const arg of args) {
         } else {
             console.error(`❌ Unknown test: ${testArg}`);
             console.log('Available tests: 10, 50, 100, 1000');
-            console.log('Usage: node runner.js [testNumber] [--high]');
+            console.log('Usage: node runner.js [testNumber] [--high] [--record <dir> | --replay <dir>]');
             process.exit(1);
         }
     } else {
@@ -128,7 +126,11 @@ for (const arg of args) {
     }
 
     if (useHighQuality) {
-        console.log('🔥 Using --high flag (gemini-flash-latest)\n');
+        Object.assign(CONFIG, PROFILES.high);
+        console.log(`🔥 Using --high flag (${CONFIG.MODEL_NAME})\n`);
+    }
+    if (cassetteMode) {
+        console.log(`📼 ${cassetteMode === 'record' ? 'Recording' : 'Replaying'} cassettes in ${cassetteDir}\n`);
     }
 
     const results = [];
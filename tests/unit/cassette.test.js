@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CassetteMissError, createRecordingProvider, createReplayProvider, promptKey } from '../../src/cassette.js';
+
+function tempCassette() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cassette-'));
+    return path.join(dir, 'calls.ndjson');
+}
+
+// Answers "<prompt> #<n>" for the n-th call with a prompt; "fail" throws
+function countingProvider() {
+    const calls = new Map();
+    return {
+        name: 'counting',
+        async generate(prompt) {
+            if (prompt === 'fail') {
+                const error = new Error('server error');
+                error.status = 503;
+                throw error;
+            }
+            const n = (calls.get(prompt) || 0) + 1;
+            calls.set(prompt, n);
+            return { text: `${prompt} #${n}`, usage: { inputTokens: 1, outputTokens: 2 } };
+        },
+    };
+}
+
+test('promptKey is stable and short', () => {
+    assert.equal(promptKey('hello'), promptKey('hello'));
+    assert.notEqual(promptKey('hello'), promptKey('hello!'));
+    assert.match(promptKey('hello'), /^[0-9a-f]{16}$/);
+});
+
+test('replay serves the n-th recorded response to the n-th call with a prompt', async () => {
+    const file = tempCassette();
+    const recorder = createRecordingProvider(countingProvider(), file);
+    await Promise.all([recorder.generate('a'), recorder.generate('b'), recorder.generate('a')]);
+
+    const entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entries.length, 3);
+    assert.equal(entries.filter(entry => entry.prompt === 'a').length, 1, 'the prompt is only stored once');
+
+    const replay = createReplayProvider(file);
+    assert.deepEqual(await replay.generate('a'), { text: 'a #1', usage: { inputTokens: 1, outputTokens: 2 } });
+    assert.equal((await replay.generate('b')).text, 'b #1');
+    assert.equal((await replay.generate('a')).text, 'a #2');
+});
+
+test('recorded errors are thrown again on replay', async () => {
+    const file = tempCassette();
+    const recorder = createRecordingProvider(countingProvider(), file);
+    await assert.rejects(recorder.generate('fail'), { message: 'server error' });
+
+    const replay = createReplayProvider(file);
+    await assert.rejects(replay.generate('fail'), { message: 'server error', status: 503 });
+});
+
+test('a call recorded as cancelled stays pending until it is aborted', async () => {
+    const file = tempCassette();
+    fs.writeFileSync(file, JSON.stringify({ key: promptKey('slow'), seq: 0, error: { name: 'AbortError', message: 'aborted' } }) + '\n');
+
+    const replay = createReplayProvider(file);
+    const controller = new AbortController();
+    let settled = false;
+    const call = replay.generate('slow', { signal: controller.signal }).finally(() => { settled = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(settled, false);
+
+    controller.abort(new Error('consensus reached'));
+    await assert.rejects(call, { message: 'consensus reached' });
+
+    // A call that nothing can cancel fails instead of hanging
+    await assert.rejects(createReplayProvider(file).generate('slow'), (error) => {
+        assert.ok(error instanceof CassetteMissError);
+        assert.match(error.message, new RegExp(`recorded response #1 for prompt ${promptKey('slow')} as cancelled, but this call cannot be cancelled`));
+        return true;
+    });
+});
+
+test('a call the cassette does not have is a CassetteMissError', async () => {
+    const file = tempCassette();
+    const recorder = createRecordingProvider(countingProvider(), file);
+    await recorder.generate('a');
+
+    const replay = createReplayProvider(file);
+    await replay.generate('a');
+    await assert.rejects(replay.generate('a'), CassetteMissError);
+    await assert.rejects(replay.generate('other'), /has no response #1/);
+});
+
+test('a missing cassette file is reported', () => {
+    assert.throws(() => createReplayProvider(path.join(os.tmpdir(), 'maker-no-such-cassette.ndjson')), /Cassette not found/);
+});
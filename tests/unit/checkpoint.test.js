@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../../src/config.js';
+import { CHECKPOINT_VERSION, captureSettings, checkpointPath, createRunId, listCheckpoints, loadCheckpoint, saveCheckpoint } from '../../src/checkpoint.js';
+import { createMaker } from '../../src/maker.js';
+import { answer, parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+CONFIG.RUNS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-runs-'));
+
+test('checkpoints are saved atomically and load back', () => {
+    assert.match(createRunId(), /^\d{8}-\d{6}-[0-9a-f]{4}$/);
+    const file = saveCheckpoint({ runId: 'save-test', status: 'running', completed: [0] });
+    assert.equal(file, checkpointPath('save-test'));
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    const checkpoint = loadCheckpoint('save-test');
+    assert.equal(checkpoint.version, CHECKPOINT_VERSION);
+    assert.deepEqual(checkpoint.completed, [0]);
+    assert.ok(checkpoint.updatedAt);
+    assert.deepEqual(loadCheckpoint(file), checkpoint);
+});
+
+test('missing and foreign files are not checkpoints', () => {
+    assert.throws(() => loadCheckpoint('no-such-run'), /No checkpoint for run "no-such-run" \(looked in .*no-such-run\.json\)/);
+
+    const progress = path.join(CONFIG.RUNS_DIR, 'map-0123.json');
+    fs.writeFileSync(progress, JSON.stringify({ version: 1, job: '0123' }));
+    assert.throws(() => loadCheckpoint(progress), /is not a run checkpoint/);
+    const corrupt = path.join(CONFIG.RUNS_DIR, 'corrupt.json');
+    fs.writeFileSync(corrupt, '{"version": 1, ');
+    assert.throws(() => loadCheckpoint(corrupt), /Could not read checkpoint .*corrupt\.json/);
+
+    // Listing skips them, most recent run first
+    saveCheckpoint({ runId: 'list-test', status: 'failed' });
+    const runs = listCheckpoints().map(checkpoint => checkpoint.runId);
+    assert.equal(runs[0], 'list-test');
+    assert.equal(runs.includes('0123'), false);
+});
+
+test('the run settings are captured with the run', () => {
+    const k = CONFIG.VOTE_MARGIN_K;
+    CONFIG.VOTE_MARGIN_K = 4;
+    try {
+        const settings = captureSettings();
+        assert.equal(settings.VOTE_MARGIN_K, 4);
+        assert.equal('API_KEY' in settings, false, 'credentials are never written to a checkpoint');
+    } finally {
+        CONFIG.VOTE_MARGIN_K = k;
+    }
+});
+
+// Arithmetic, except that "Add 1" fails on the value `failAt`
+function useArithmeticModel({ failAt } = {}) {
+    const ran = [];
+    useScriptedModel((prompt) => {
+        const { context, instruction } = parseStepPrompt(prompt);
+        ran.push(`${instruction} @${context.current_value ?? '-'}`);
+        if (instruction === 'Add 1' && context.current_value === failAt) return 'not json';
+        return answer(prompt);
+    });
+    return ran;
+}
+
+const PLAN = { task: 'Count', steps: ['Start with 1', { repeat: 3, steps: ['Add 1'] }, 'Multiply by 2'] };
+
+test('a failed run resumes after its last finished step', async () => {
+    useArithmeticModel({ failAt: 2 });
+    const maker = createMaker({ k: 1, maxAttempts: 3 });
+    const failed = await maker.runPlan(PLAN).then(() => assert.fail('the run should fail'), error => error.result);
+    assert.equal(failed.status, 'failed');
+
+    const checkpoint = loadCheckpoint(failed.runId);
+    assert.equal(checkpoint.status, 'failed');
+    assert.match(checkpoint.reason, /Failed to reach consensus/);
+    assert.deepEqual(checkpoint.completed, [0]);
+    assert.equal(checkpoint.state.current_value, 2);
+    assert.deepEqual(checkpoint.trace.map(entry => entry.label), ['1', '2 › 1/3 › 1']);
+    assert.ok(checkpoint.trace[0].metadata.winnerVotes >= 1);
+    assert.equal(checkpoint.settings.VOTE_MARGIN_K, 1);
+
+    // The first repetition is not repeated
+    const ran = useArithmeticModel();
+    const resumed = await maker.resume(failed.runId);
+    assert.equal(resumed.status, 'completed');
+    assert.equal(resumed.state.current_value, 8);
+    assert.deepEqual([...new Set(ran)], ['Add 1 @2', 'Add 1 @3', 'Multiply by 2 @4']);
+    assert.equal(loadCheckpoint(failed.runId).status, 'completed');
+    await assert.rejects(maker.resume(failed.runId), /already completed; nothing to resume/);
+});
+
+test('runs without checkpoints leave no file', async () => {
+    useArithmeticModel();
+    const result = await createMaker({ k: 1, checkpoints: false }).runPlan(PLAN);
+    assert.equal(result.checkpointPath, null);
+    assert.equal(fs.existsSync(checkpointPath(result.runId)), false);
+});
+
+test('a run stopped while planning resumes from the state it was given', async () => {
+    useScriptedModel(answer);
+    const state = { original_task: 'Add 3', history: [2], current_value: 2 };
+    const stopped = await createMaker({ k: 1, maxCalls: 1 }).run('Add 3', { state }).then(() => assert.fail('the budget should stop planning'), error => error.result);
+    assert.equal(stopped.status, 'budget_exceeded');
+    const checkpoint = loadCheckpoint(stopped.runId);
+    assert.equal(checkpoint.plan, null);
+    assert.deepEqual(checkpoint.state, state);
+
+    const resumed = await createMaker({ k: 1 }).resume(stopped.runId);
+    assert.equal(resumed.status, 'completed');
+    assert.deepEqual(resumed.state.history, [2, 5]);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, checkSetting, parseSetting, readEnvironment } from '../../src/config.js';
+import { runInScope } from '../../src/scope.js';
+
+test('settings given as text are parsed by type', () => {
+    assert.equal(parseSetting('VOTE_MARGIN_K', '5'), 5);
+    assert.equal(parseSetting('TARGET_RELIABILITY', '0.99'), 0.99);
+    assert.equal(parseSetting('ENABLE_PARALLEL', '0'), false);
+    assert.equal(parseSetting('ENABLE_PARALLEL', 'true'), true);
+    assert.equal(parseSetting('MAX_CALLS', ''), null);
+    assert.equal(parseSetting('MAX_CALLS', 'null'), null);
+    assert.deepEqual(parseSetting('INVARIANTS', '["state.x > 0"]'), ['state.x > 0']);
+    assert.equal(parseSetting('MODEL_NAME', '42'), '42');
+
+    assert.throws(() => parseSetting('VOTE_MARGIN_K', ''), /"" is not a number/);
+    assert.throws(() => parseSetting('VOTE_MARGIN_K', 'five'), /"five" is not a number/);
+    assert.throws(() => parseSetting('ENABLE_PARALLEL', 'yes'), /"yes" is not true or false/);
+    assert.throws(() => parseSetting('MODEL_PRICES', '{nope'), /invalid JSON/);
+});
+
+test('values are checked against the setting type and range', () => {
+    assert.equal(checkSetting('VOTE_MARGIN_K', 3), null);
+    assert.equal(checkSetting('VOTE_MARGIN_K', 0), 'must be at least 1');
+    assert.equal(checkSetting('VOTE_MARGIN_K', 2.5), 'must be an integer');
+    assert.equal(checkSetting('VOTE_MARGIN_K', null), 'must be set');
+    assert.equal(checkSetting('MAX_CALLS', null), null);
+    assert.equal(checkSetting('PLAN_TEMPERATURE', 3), 'must be at most 2');
+    assert.equal(checkSetting('ENABLE_PARALLEL', 'true'), 'must be true or false');
+    assert.equal(checkSetting('INVARIANTS', 'state.x > 0'), 'must be a list');
+    assert.equal(checkSetting('MODEL_PRICES', []), 'must be an object');
+    assert.equal(checkSetting('CASSETTE_MODE', 'rewind'), 'must be one of record, replay');
+});
+
+test('the environment sets settings by MAKER_<SETTING> and by alias', () => {
+    const { values, sources, errors } = readEnvironment({
+        MAKER_VOTE_MARGIN_K: '4',
+        GEMINI_API_KEY: 'key',
+        MAKER_MODEL: 'alias-model',
+        MAKER_MODEL_NAME: 'model',
+        MAKER_BATCH_SIZE: 'many',
+        HOME: '/root',
+    });
+    assert.deepEqual(values, { API_KEY: 'key', MODEL_NAME: 'model', VOTE_MARGIN_K: 4 });
+    assert.equal(sources.MODEL_NAME, 'env MAKER_MODEL_NAME');
+    assert.equal(sources.API_KEY, 'env GEMINI_API_KEY');
+    assert.deepEqual(errors, ['MAKER_BATCH_SIZE: "many" is not a number']);
+});
+
+test('inside a run scope CONFIG reads and writes the run settings', () => {
+    const before = CONFIG.BATCH_SIZE;
+    const settings = { VOTE_MARGIN_K: 7 };
+    runInScope({ settings }, () => {
+        assert.equal(CONFIG.VOTE_MARGIN_K, 7);
+        assert.equal(CONFIG.BATCH_SIZE, before);
+        CONFIG.VOTE_MARGIN_K = 8;
+    });
+    assert.equal(settings.VOTE_MARGIN_K, 8);
+    assert.notEqual(CONFIG.VOTE_MARGIN_K, 8);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { getConsensusResult } from '../../src/consensus.js';
+import { useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+CONFIG.VOTING = null;
+CONFIG.VOTE_MARGIN_K = 2;
+CONFIG.BATCH_SIZE = 6;
+CONFIG.MAX_CONCURRENCY = null;
+
+// The first `fast` calls answer 42 at once; the rest hang until they are cancelled
+function hangAfter(fast) {
+    const calls = { started: 0, aborted: 0 };
+    useScriptedModel((prompt, { signal }) => {
+        if (++calls.started <= fast) return { reasoning: 'r', result: 42 };
+        return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                calls.aborted++;
+                reject(signal.reason);
+            }, { once: true });
+        });
+    });
+    return calls;
+}
+
+test('calls still running when the vote is decided are cancelled', async () => {
+    const calls = hangAfter(2);
+    const { value, metadata } = await getConsensusResult({ current_value: 0 }, 'Answer 42');
+
+    assert.equal(value, 42);
+    assert.equal(metadata.validVotes, 2);
+    assert.equal(metadata.cancelledCalls, 4);
+    // Calls still queued in the rate limiter are dropped without being sent; sent ones are aborted
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(calls.started <= 6);
+    assert.equal(calls.aborted, calls.started - 2);
+});
+
+test('cancelled calls are neither votes nor red flags', async () => {
+    hangAfter(3);
+    const { metadata } = await getConsensusResult({ current_value: 0 }, 'Answer 42', () => { }, null, { voting: 'ahead-by-k:k=3' });
+
+    assert.equal(metadata.flaggedVotes, 0);
+    assert.equal(metadata.usage.calls, 3);
+    assert.deepEqual(metadata.buckets, [{ value: 42, votes: 3 }]);
+});
+
+test('without early termination the whole batch is counted', async () => {
+    CONFIG.EARLY_TERMINATION = false;
+    try {
+        useScriptedModel(() => ({ reasoning: 'r', result: 42 }));
+        const { metadata } = await getConsensusResult({ current_value: 0 }, 'Answer 42');
+        assert.equal(metadata.validVotes, 6);
+        assert.equal(metadata.cancelledCalls, 0);
+    } finally {
+        CONFIG.EARLY_TERMINATION = true;
+    }
+});
+
+test('a large batch shares its abort signal without a listener leak warning', async () => {
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning.name);
+    process.on('warning', onWarning);
+    CONFIG.BATCH_SIZE = 30;
+    try {
+        hangAfter(2);
+        const { value } = await getConsensusResult({ current_value: 0 }, 'Answer 42');
+        assert.equal(value, 42);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(warnings, []);
+    } finally {
+        CONFIG.BATCH_SIZE = 6;
+        process.off('warning', onWarning);
+    }
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { countSteps, describeStep, evaluateCondition, runNode } from '../../src/control-flow.js';
+import { createMaker } from '../../src/maker.js';
+import { validatePlan } from '../../src/plan.js';
+import { answer, parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+
+// Records the steps run; conditions are answered from a list
+function recordingHandlers(...conditions) {
+    const ran = [];
+    return {
+        ran,
+        step: async (step, label) => { ran.push(`${label} ${step.instruction}`); },
+        condition: async () => conditions.shift(),
+    };
+}
+
+const steps = (...nodes) => validatePlan({ task: 't', steps: nodes }).steps;
+
+test('repeat runs its steps the given number of times, with labels', async () => {
+    const handlers = recordingHandlers();
+    const [node] = steps({ repeat: 2, steps: ['Add 1', 'Add 2'] });
+    await runNode(node, handlers, '3');
+    assert.deepEqual(handlers.ran, ['3 › 1/2 › 1 Add 1', '3 › 1/2 › 2 Add 2', '3 › 2/2 › 1 Add 1', '3 › 2/2 › 2 Add 2']);
+});
+
+test('while runs until its condition is voted false, up to its limit', async () => {
+    const handlers = recordingHandlers(true, true, false);
+    const [node] = steps({ while: 'The value is small', steps: ['Double it'] });
+    await runNode(node, handlers, '1');
+    assert.deepEqual(handlers.ran, ['1 › 1 › 1 Double it', '1 › 2 › 1 Double it']);
+
+    const [limited] = steps({ while: 'Always', steps: ['Double it'], maxIterations: 2 });
+    await assert.rejects(runNode(limited, recordingHandlers(true, true, true), '1'), /"while Always" is still true after 2 iterations/);
+});
+
+test('if takes the branch its condition was voted for', async () => {
+    const [node] = steps({ if: 'The value is even', then: ['Add 3'], else: ['Subtract 1'] });
+    const even = recordingHandlers(true);
+    await runNode(node, even, '1');
+    assert.deepEqual(even.ran, ['1 › then › 1 Add 3']);
+    const odd = recordingHandlers(false);
+    await runNode(node, odd, '1');
+    assert.deepEqual(odd.ran, ['1 › else › 1 Subtract 1']);
+
+    const [withoutElse] = steps({ if: 'The value is even', then: ['Add 3'] });
+    const skipped = recordingHandlers(false);
+    await runNode(withoutElse, skipped, '1');
+    assert.deepEqual(skipped.ran, []);
+});
+
+test('step counts and descriptions', () => {
+    const plan = steps(
+        'Start with 0',
+        { repeat: 250, steps: ['Move North', 'Move East', 'Move South', 'Move West'] },
+        { while: 'The value is below 100', steps: ['Double it'] },
+        { if: 'The value is even', then: ['Add 3', 'Add 1'], else: ['Subtract 1'] },
+    );
+    assert.equal(countSteps(plan), 1 + 1000 + 1 + 2);
+    assert.deepEqual(plan.map(describeStep), ['Start with 0', 'repeat 250× (4 steps)', 'while The value is below 100', 'if The value is even']);
+});
+
+// Arithmetic steps, and conditions about the current value
+function useArithmeticModel() {
+    const conditions = [];
+    useScriptedModel((prompt) => {
+        if (!prompt.includes('condition checker')) return answer(prompt);
+        const { context, instruction } = parseStepPrompt(prompt);
+        conditions.push(instruction);
+        const value = context.current_value;
+        const holds = instruction === 'The value is below 10' ? value < 10 : value % 2 === 0;
+        return { reasoning: `${instruction}: ${value}`, result: holds };
+    });
+    return conditions;
+}
+
+test('conditions are decided by a vote on the context', async () => {
+    useArithmeticModel();
+    const { value } = await evaluateCondition({ current_value: 4 }, 'The value is below 10', () => { }, { voting: 'majority:n=3' });
+    assert.equal(value, true);
+
+    // Anything but a boolean is red-flagged
+    useScriptedModel(() => ({ reasoning: 'r', result: 'yes' }));
+    CONFIG.MAX_ATTEMPTS_PER_STEP = 3;
+    try {
+        await assert.rejects(evaluateCondition({}, 'The value is below 10'), /Failed to reach consensus after 3 attempts/);
+    } finally {
+        CONFIG.MAX_ATTEMPTS_PER_STEP = 15;
+    }
+});
+
+test('a plan with control nodes runs them lazily', async () => {
+    const conditions = useArithmeticModel();
+    const result = await createMaker({ checkpoints: false, k: 1 }).runPlan({
+        task: 'Count up',
+        steps: [
+            'Start with 1',
+            { repeat: 2, steps: ['Add 1'] },
+            { while: 'The value is below 10', steps: ['Multiply by 2'] },
+            { if: 'The value is even', then: ['Add 3'], else: ['Subtract 1'] },
+        ],
+    });
+    assert.equal(result.status, 'completed');
+    // 1 + 1 + 1 = 3, doubled to 6 and 12, which is even
+    assert.equal(result.state.current_value, 15);
+    assert.ok(conditions.filter(condition => condition === 'The value is below 10').length >= 3, 'checked before every iteration');
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { checkInvariants, resolveInvariant, resolveInvariants } from '../../src/invariants.js';
+import { getConsensusResult } from '../../src/consensus.js';
+import { createMaker } from '../../src/maker.js';
+import { answer, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+
+const check = (spec, state, value) => checkInvariants(resolveInvariants([spec]), state, { value, instruction: 'step' });
+
+test('expressions see the new state and the step result', () => {
+    assert.equal(check('state.x >= 0', { x: 1 }), null);
+    assert.equal(check('state.x >= 0', { x: -1 }), 'invariant "state.x >= 0" is false');
+    assert.equal(check({ name: 'x grows', check: 'value > 2' }, {}, 1), 'invariant "x grows" is false');
+    assert.equal(check('state.missing.x', {}), 'invariant "state.missing.x" threw Cannot read properties of undefined (reading \'x\')');
+});
+
+test('schemas and functions', () => {
+    const schema = { name: 'x is an integer', schema: { type: 'object', properties: { x: { type: 'integer' } }, required: ['x'] } };
+    assert.equal(check(schema, { x: 2 }), null);
+    assert.match(check(schema, { x: 2.5 }), /^invariant "x is an integer" failed: state\/x must be integer$/);
+
+    assert.equal(check(function positive(state) { return state.x > 0; }, { x: 0 }), 'invariant "positive" returned false');
+    assert.equal(check((state, { instruction }) => `broke in ${instruction}`, {}), 'invariant "invariant" broke in step');
+    assert.equal(check(() => true, {}), null);
+});
+
+test('the first broken invariant is reported', () => {
+    const invariants = resolveInvariants(['state.x > 0', 'state.x < 10']);
+    assert.equal(checkInvariants(invariants, { x: 20 }, {}), 'invariant "state.x < 10" is false');
+});
+
+test('malformed invariants are rejected when resolved', () => {
+    assert.throws(() => resolveInvariant('state.x >'), /Invalid invariant "state\.x >"/);
+    assert.throws(() => resolveInvariant({ schema: { type: 'nope' } }), /Invalid invariant schema/);
+    assert.throws(() => resolveInvariant({ check: 'true', schema: {} }), /An invariant must be an expression string/);
+    assert.throws(() => resolveInvariant({ name: 5, check: 'true' }), /Invariant name must be a string/);
+    assert.throws(() => resolveInvariant(42), /An invariant must be/);
+    assert.throws(() => resolveInvariants('state.x > 0'), /Invariants must be an array/);
+});
+
+test('a winning answer that fails verification is voted down', async () => {
+    // One vote at a time: -1 wins first, is rejected, and 3 wins the re-vote
+    const answers = [-1, -1, -1, 3, 3];
+    useScriptedModel(() => ({ reasoning: 'r', result: answers.shift() }));
+    CONFIG.BATCH_SIZE = 1;
+    const flags = [];
+    try {
+        const { value, metadata } = await getConsensusResult({}, 'Pick a number', (kind, flag) => { if (kind === 'flagged') flags.push(flag.reason); }, undefined, {
+            voting: 'ahead-by-k:k=2',
+            verify: (candidate) => (candidate >= 0 ? null : 'is negative'),
+        });
+        assert.equal(value, 3);
+        assert.equal(metadata.flaggedVotes, 3);
+        assert.deepEqual(flags, ['invariant_violation', 'invariant_violation']);
+        assert.deepEqual(metadata.buckets.map(bucket => [bucket.value, bucket.votes, bucket.rejected]), [[-1, 2, 'is negative'], [3, 2, undefined]]);
+    } finally {
+        CONFIG.BATCH_SIZE = 50;
+    }
+});
+
+test('a plan step is never accepted with a broken invariant', async () => {
+    useScriptedModel(answer);
+    const maker = createMaker({ checkpoints: false, k: 1, maxAttempts: 4 });
+    const plan = { task: 'Count down', invariants: ['state.current_value >= 0'], steps: ['Start with 5', 'Subtract 7'] };
+    await assert.rejects(maker.runPlan(plan), (error) => {
+        assert.match(error.message, /Last rejected answer: invariant "state\.current_value >= 0" is false\./);
+        assert.equal(error.result.state.current_value, 5);
+        return true;
+    });
+
+    // Step invariants add to the plan's
+    const steps = ['Start with 5', { instruction: 'Subtract 1', invariants: [{ name: 'stays odd', check: 'state.current_value % 2 === 1' }] }];
+    await assert.rejects(maker.runPlan({ ...plan, steps }), /invariant "stays odd" is false/);
+    const result = await maker.runPlan({ ...plan, steps: [...steps.slice(0, 1), 'Subtract 1'] });
+    assert.equal(result.state.current_value, 4);
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../../src/config.js';
+import { loadCheckpoint } from '../../src/checkpoint.js';
+import { RunStoppedError, createMaker } from '../../src/maker.js';
+import { getUsageTracker } from '../../src/usage.js';
+import { answer, parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+
+const PLAN = { task: 'Start with 2 and add 3', steps: ['Start with 2', 'Add 3'] };
+
+test('options are checked', () => {
+    assert.throws(() => createMaker({ mode: 'tree' }), /Unknown mode "tree"\. Available: flat, recursive, dag/);
+    assert.throws(() => createMaker({ temperature: 1 }), /Unknown option "temperature"\. Available: mode, checkpoints, review, provider/);
+});
+
+test('a run emits its progress as events', async () => {
+    useScriptedModel(answer);
+    const maker = createMaker({ checkpoints: false, k: 1 });
+    const events = [];
+    maker.on('event', ({ type, label }) => {
+        if (!type.startsWith('vote:')) events.push(label ? `${type} ${label}` : type);
+    });
+    const result = await maker.run('Start with 2. Add 3');
+    assert.equal(result.state.current_value, 5);
+    assert.deepEqual(events, [
+        'plan:started', 'plan:created', 'run:started',
+        'step:started 1', 'step:decided 1', 'step:started 2', 'step:decided 2',
+        'run:finished',
+    ]);
+});
+
+test('settings belong to the Maker, not the process', async () => {
+    const margins = [];
+    let started = 0;
+    let release;
+    const bothStarted = new Promise(resolve => { release = resolve; });
+    useScriptedModel(async (prompt) => {
+        // Calls run inside their Maker's run, so CONFIG shows that Maker's settings
+        margins.push(`${parseStepPrompt(prompt).instruction} k=${CONFIG.VOTE_MARGIN_K}`);
+        if (++started === 2) release();
+        await bothStarted;
+        return answer(prompt);
+    });
+    const before = CONFIG.VOTE_MARGIN_K;
+    const first = createMaker({ checkpoints: false, k: 1, maxAttempts: 1 });
+    const second = createMaker({ checkpoints: false, k: 2, maxAttempts: 2 });
+    assert.equal(CONFIG.VOTE_MARGIN_K, before);
+
+    const [a, b] = await Promise.all([
+        first.runPlan({ task: 'a', steps: ['Start with 1'] }),
+        second.runPlan({ task: 'b', steps: ['Start with 7'] }),
+    ]);
+    assert.equal(a.state.current_value, 1);
+    assert.equal(b.state.current_value, 7);
+    assert.deepEqual([...new Set(margins)].sort(), ['Start with 1 k=1', 'Start with 7 k=2']);
+    assert.equal(CONFIG.VOTE_MARGIN_K, before);
+});
+
+test('every run meters its own usage and budget', async () => {
+    useScriptedModel(answer);
+    const maker = createMaker({ checkpoints: false, k: 1, maxAttempts: 1, maxCalls: 2 });
+
+    const first = await maker.runPlan(PLAN);
+    assert.equal(first.usage.calls, 2);
+    assert.ok(first.usage.inputTokens > 0);
+    assert.deepEqual(maker.usage.summary(), first.usage);
+    const firstTracker = maker.usage;
+
+    // The budget starts over for the next run, and the process-wide tracker is not touched
+    const second = await maker.runPlan(PLAN);
+    assert.equal(second.usage.calls, 2);
+    assert.notEqual(maker.usage, firstTracker);
+    assert.equal(getUsageTracker().summary().calls, 0);
+
+    const third = await maker.runPlan({ ...PLAN, steps: [...PLAN.steps, 'Add 1'] }).catch(error => error);
+    assert.equal(third.result.status, 'budget_exceeded');
+    assert.equal(third.result.completedSteps, 2);
+});
+
+test('planning on its own is metered and keeps its settings too', async () => {
+    useScriptedModel(answer);
+    const maker = createMaker({ planVoting: 'majority:n=1' });
+    const plan = await maker.plan('Start with 1. Add 2');
+    assert.deepEqual(plan.steps, [{ instruction: 'Start with 1' }, { instruction: 'Add 2' }]);
+    assert.ok(maker.usage.summary().calls >= 1);
+    assert.equal(CONFIG.PLAN_VOTING, 'ahead-by-k:k=2');
+});
+
+// Answers the review requests with `decisions` in order, and keeps the requests
+function scriptedReview(decisions) {
+    const requests = [];
+    const review = async (request) => {
+        requests.push(request);
+        assert.ok(decisions.length > 0, `no decision left for ${request.kind} ${request.label ?? ''}`);
+        return decisions.shift();
+    };
+    return { review, requests };
+}
+
+test('the reviewer edits the plan, then overrides and skips steps', async () => {
+    useScriptedModel(answer);
+    const { review, requests } = scriptedReview([
+        { action: 'edit', step: 3, instruction: 'Multiply by 2' },
+        { action: 'edit', step: 9, instruction: 'Add 1' },
+        { action: 'accept' },
+        { action: 'choose', bucket: 1, instruction: 'Add 4' },
+        { action: 'value', value: 10 },
+        { action: 'skip' },
+    ]);
+    const result = await createMaker({ checkpoints: false, k: 1, review }).run('Start with 2. Add 3. Add 1');
+
+    assert.deepEqual(requests.map(request => [request.kind, request.label, request.problem].filter(Boolean).join(' ')), [
+        'plan', 'plan', 'plan step 9 is not a plain step of the plan', 'step 1', 'step 2', 'step 3',
+    ]);
+    const [, , , first, second] = requests;
+    assert.deepEqual(first.buckets, [{ value: 2, votes: 1 }]);
+    assert.deepEqual(first.next, { step: 2, instruction: 'Add 3' });
+    assert.equal(second.instruction, 'Add 4');
+    assert.equal(second.value, 6);
+
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(result.state.history, [2, 10]);
+    assert.deepEqual(result.interventions.map(({ time, ...intervention }) => intervention), [
+        { action: 'edit', step: 3, label: '3', kind: 'plan', instruction: 'Multiply by 2', previous: 'Add 1' },
+        { action: 'edit', step: 2, label: '2', kind: 'step', instruction: 'Add 4', previous: 'Add 3' },
+        { action: 'value', step: 2, label: '2', kind: 'step', instruction: 'Add 4', value: 10, decided: 6 },
+        { action: 'skip', step: 3, label: '3', kind: 'step', instruction: 'Multiply by 2', decided: 20 },
+    ]);
+});
+
+test('the reviewer settles a vote without consensus, or stops the run', async () => {
+    let guess = 0;
+    useScriptedModel((prompt) => {
+        const { instruction } = parseStepPrompt(prompt);
+        return instruction === 'Guess' ? { reasoning: 'r', result: ++guess } : answer(prompt);
+    });
+    const plan = { task: 'Guess', steps: ['Start with 2', 'Guess', 'Add 1'] };
+    const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-runs-'));
+    const { review, requests } = scriptedReview([
+        { action: 'accept' },
+        { action: 'accept' },
+        { action: 'choose', bucket: 4 },
+        { action: 'choose', bucket: 2 },
+        { action: 'stop' },
+    ]);
+    const maker = createMaker({ k: 2, maxAttempts: 3, runsDir, review });
+    const stopped = await maker.runPlan(plan).catch(error => error);
+
+    assert.ok(stopped instanceof RunStoppedError);
+    assert.equal(stopped.message, 'Stopped by the reviewer at step 3');
+    const guessed = requests[1];
+    assert.match(guessed.error.message, /Failed to reach consensus/);
+    assert.equal(guessed.value, undefined);
+    assert.equal(guessed.buckets.length, 3);
+    assert.deepEqual(requests.slice(2, 4).map(request => request.problem), ['there is no agreed answer to accept', 'there is no answer #4']);
+
+    const { result } = stopped;
+    assert.equal(result.status, 'stopped');
+    assert.equal(result.state.current_value, guessed.buckets[1].value);
+    assert.deepEqual(result.interventions.map(intervention => intervention.action), ['choose', 'stop']);
+    assert.equal(result.interventions[0].error, guessed.error.message);
+    assert.deepEqual(loadCheckpoint(path.join(runsDir, `${result.runId}.json`)).interventions, result.interventions);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../../src/config.js';
+import { chunkText, runMapReduce } from '../../src/map-reduce.js';
+import { parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+CONFIG.VOTING = 'ahead-by-k:k=1';
+CONFIG.MAX_ATTEMPTS_PER_STEP = 3;
+
+const TEXT = 'one two three four five six seven eight nine ten';
+
+function tempProgressFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'maker-map-')), 'progress.json');
+}
+
+// Counts the words of a chunk and adds up partial counts; `broken` chunks get unparseable answers.
+// Returns what was voted on (a vote takes several calls).
+function useWordCounter({ broken = [] } = {}) {
+    const voted = { map: new Set(), reduce: new Set() };
+    useScriptedModel((prompt) => {
+        const { context } = parseStepPrompt(prompt);
+        if (context.partial_results) {
+            voted.reduce.add(JSON.stringify(context.partial_results));
+            return { reasoning: 'sum', result: context.partial_results.reduce((sum, n) => sum + n, 0) };
+        }
+        voted.map.add(context.chunk_number);
+        if (broken.includes(context.chunk.trim())) return 'not json';
+        return { reasoning: 'count', result: context.chunk.trim().split(/\s+/).length };
+    });
+    return voted;
+}
+
+const job = (fields) => ({ input: TEXT, map: 'Count the words', reduce: 'Add up the counts', chunkSize: 20, overlap: 0, fanIn: 2, ...fields });
+
+test('chunks end at a word boundary and overlap their neighbours', () => {
+    assert.deepEqual(chunkText(TEXT, { chunkSize: 20, overlap: 0 }), ['one two three four ', 'five six seven eight', ' nine ten']);
+    assert.deepEqual(chunkText(TEXT, { chunkSize: 20, overlap: 4 }), ['one two three four ', 'our five six seven ', 'ven eight nine ten']);
+    assert.deepEqual(chunkText('first paragraph\n\nsecond one here', { chunkSize: 20, overlap: 0 }), ['first paragraph\n\n', 'second one here']);
+    assert.deepEqual(chunkText('', { chunkSize: 20, overlap: 0 }), []);
+
+    assert.throws(() => chunkText(TEXT, { chunkSize: 0 }), /Chunk size must be positive/);
+    assert.throws(() => chunkText(TEXT, { chunkSize: 20, overlap: 10 }), /less than half the chunk size/);
+});
+
+test('every chunk is mapped and the results are folded fanIn at a time', async () => {
+    const voted = useWordCounter();
+    const progressPath = tempProgressFile();
+    const levels = [];
+    const result = await runMapReduce(job({ progressPath }), {
+        onProgress: ({ phase, level, done, total }) => { if (done === total) levels.push(`${phase} ${level} ${total}`); },
+    });
+    assert.equal(result.result, 10);
+    assert.equal(result.chunks, 3);
+    assert.equal(result.resumed, 0);
+    // 3 results -> 2 groups -> 1; the leftover third result is not voted on
+    assert.deepEqual(levels, ['map 0 3', 'reduce 1 2', 'reduce 2 1']);
+    assert.deepEqual([...voted.reduce], ['[4,4]', '[8,2]']);
+    assert.equal(JSON.parse(fs.readFileSync(progressPath, 'utf8')).status, 'done');
+
+    // A finished job is answered from its progress file
+    const unused = useWordCounter();
+    const again = await runMapReduce(job({ progressPath }));
+    assert.equal(again.result, 10);
+    assert.equal(unused.map.size + unused.reduce.size, 0);
+});
+
+test('without a reduce instruction the map results are listed', async () => {
+    useWordCounter();
+    const { result } = await runMapReduce(job({ reduce: undefined, progressPath: tempProgressFile() }));
+    assert.deepEqual(result, [4, 4, 2]);
+});
+
+test('a failed job resumes from the votes it finished', async () => {
+    const progressPath = tempProgressFile();
+    useWordCounter({ broken: ['five six seven eight'] });
+    await assert.rejects(runMapReduce(job({ progressPath })), (error) => {
+        assert.match(error.message, /Failed to reach consensus/);
+        assert.equal(error.progressPath, progressPath);
+        return true;
+    });
+
+    const voted = useWordCounter();
+    const result = await runMapReduce(job({ progressPath }));
+    assert.equal(result.result, 10);
+    assert.equal(result.resumed, 2);
+    assert.deepEqual([...voted.map], ['2/3']);
+
+    const fresh = await runMapReduce(job({ progressPath, fresh: true }));
+    assert.equal(fresh.resumed, 0);
+});
+
+test('progress files of another job or that are corrupt are not used', async () => {
+    useWordCounter();
+    const progressPath = tempProgressFile();
+    await runMapReduce(job({ progressPath }));
+    await assert.rejects(runMapReduce(job({ progressPath, fanIn: 3 })), /belongs to a different job .*--fresh/);
+
+    fs.writeFileSync(progressPath, '{"version": 1, "job": ');
+    await assert.rejects(runMapReduce(job({ progressPath })), (error) => {
+        assert.match(error.message, /Could not read progress file .*progress\.json .*; start over with --fresh/);
+        assert.ok(error.cause instanceof SyntaxError);
+        return true;
+    });
+    assert.equal((await runMapReduce(job({ progressPath, fresh: true }))).result, 10);
+});
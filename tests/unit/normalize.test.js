@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNormalizer, parseNormalizationSpec, resolveNormalization } from '../../src/normalize.js';
+
+test('without rules only object key order is normalized', () => {
+    const { normalize } = createNormalizer(null);
+    assert.equal(normalize(' 15 '), ' 15 ');
+    assert.equal(normalize(15.0000001), 15.0000001);
+    assert.deepEqual(normalize([2, 1]), [2, 1]);
+    assert.equal(normalize(-0), 0);
+});
+
+test('string rules trim, fold case and read numbers', () => {
+    const { normalize } = createNormalizer('trim,casefold,numbers');
+    assert.equal(normalize('  Paris '), 'paris');
+    assert.equal(normalize(' 15.0 '), 15);
+    assert.equal(normalize(''), '');
+    assert.deepEqual(normalize({ city: ' PARIS' }), { city: 'paris' });
+});
+
+test('unwrap and sets merge wrapped values and reordered lists', () => {
+    const { normalize } = createNormalizer('unwrap,sets');
+    assert.equal(normalize({ value: 15 }), 15);
+    assert.equal(normalize({ result: { value: 'x' } }), 'x');
+    assert.deepEqual(normalize({ value: 1, unit: 'm' }), { value: 1, unit: 'm' });
+    assert.deepEqual(normalize([3, 1, 2]), normalize([2, 3, 1]));
+    assert.equal(createNormalizer('unwrap=answer').normalize({ answer: 4 }), 4);
+});
+
+test('tolerance snaps numbers to the grid without float noise', () => {
+    const { normalize } = createNormalizer('tolerance=1e-6');
+    assert.equal(normalize(0.1 + 0.2), 0.3);
+    assert.equal(normalize(15.0000001), 15);
+    assert.equal(normalize(-0.0000001), 0);
+    assert.equal(createNormalizer('tolerance=0.25').normalize(1.13), 1.25);
+    assert.equal(createNormalizer('tolerance=5').normalize(12.6), 15);
+    assert.equal(createNormalizer('tolerance=2.5e-7').normalize(1.0000003), 1.00000025);
+});
+
+test('tolerance keeps large numbers that are far apart in different buckets', () => {
+    const { normalize } = createNormalizer('tolerance=0.01');
+    assert.equal(normalize(1234567890123.45), 1234567890123.45);
+    assert.equal(normalize(1234567890124.46), 1234567890124.46);
+    assert.equal(normalize(1234567890123.451), normalize(1234567890123.449));
+});
+
+test('custom equivalence functions are reported', () => {
+    const sameLength = (a, b) => String(a).length === String(b).length;
+    const normalizer = createNormalizer({ equivalence: sameLength });
+    assert.equal(normalizer.hasEquivalence, true);
+    assert.equal(normalizer.equivalent('abc', 'xyz'), true);
+    assert.equal(normalizer.equivalent('abc', 'xy'), false);
+    assert.equal(createNormalizer('trim').hasEquivalence, false);
+});
+
+test('specs are parsed into options', () => {
+    assert.deepEqual(parseNormalizationSpec('trim, tolerance=0.5'), { trimStrings: true, numericTolerance: 0.5 });
+    assert.deepEqual(Object.keys(parseNormalizationSpec('all')).sort(), ['caseFold', 'coerceNumericStrings', 'trimStrings', 'unorderedArrays', 'unwrapKeys']);
+    assert.deepEqual(resolveNormalization({ caseFold: true }), { caseFold: true });
+    assert.deepEqual(resolveNormalization(null), {});
+    assert.throws(() => parseNormalizationSpec('tolerance=-1'), /expected tolerance=<positive number>/);
+    assert.throws(() => parseNormalizationSpec('lowercase'), /Unknown normalization rule "lowercase"/);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../../src/config.js';
+import { PLAN_VERSION, createPlan, initialStateFor, loadPlan, savePlan, stepDependencies, validatePlan } from '../../src/plan.js';
+import { createMaker } from '../../src/maker.js';
+import { answer, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+
+function tempPlanFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'maker-plan-')), 'plans', 'plan.json');
+}
+
+test('plain instructions become step objects', () => {
+    const plan = createPlan({ task: 'Add 5 to 1', steps: ['Start with 1', { instruction: 'Add 5', maxAttempts: 3 }] });
+    assert.equal(plan.version, PLAN_VERSION);
+    assert.deepEqual(plan.steps, [{ instruction: 'Start with 1' }, { instruction: 'Add 5', maxAttempts: 3 }]);
+});
+
+test('invalid plans are rejected with the place of the problem', () => {
+    const invalid = [
+        [[], /Plan must be a JSON object/],
+        [{ steps: ['a'] }, /needs a "task" string/],
+        [{ task: 't', version: 2, steps: ['a'] }, /Unsupported plan version 2/],
+        [{ task: 't', steps: [] }, /non-empty "steps" array/],
+        [{ task: 't', workerPrompt: 5, steps: ['a'] }, /"workerPrompt" must be a string/],
+        [{ task: 't', steps: ['a', ' '] }, /steps\[1\] is an empty instruction/],
+        [{ task: 't', steps: [42] }, /steps\[0\] must be an instruction string or an object/],
+        [{ task: 't', steps: [{ instruction: 'a', model: 'x' }] }, /steps\[0\] has unknown field\(s\) model/],
+        [{ task: 't', steps: [{ instruction: '' }] }, /steps\[0\]\.instruction must be a non-empty string/],
+        [{ task: 't', steps: [{ instruction: 'a', maxAttempts: 0 }] }, /maxAttempts must be a positive integer/],
+        [{ task: 't', steps: [{ instruction: 'a', voting: 'plurality' }] }, /steps\[0\]: Unknown voting strategy "plurality"/],
+        [{ task: 't', steps: [{ instruction: 'a', normalization: 'lowercase' }] }, /steps\[0\]: Unknown normalization rule/],
+        [{ task: 't', steps: [{ instruction: 'a', redFlags: { maxTokens: 5 } }] }, /redFlags may only set maxResponseTokens/],
+    ];
+    for (const [plan, message] of invalid) {
+        assert.throws(() => validatePlan(plan), message, JSON.stringify(plan));
+    }
+});
+
+test('control-flow nodes are validated with their bodies', () => {
+    const plan = validatePlan({ task: 't', steps: [{ repeat: 2, steps: ['Add 1', { instruction: 'Add 2', maxAttempts: 3 }] }] });
+    assert.deepEqual(plan.steps[0].steps, [{ instruction: 'Add 1' }, { instruction: 'Add 2', maxAttempts: 3 }]);
+
+    const invalid = [
+        [{ repeat: 0, steps: ['a'] }, /steps\[0\]\.repeat must be a positive integer/],
+        [{ while: ' ', steps: ['a'] }, /steps\[0\]\.while must be a condition/],
+        [{ while: 'x', steps: ['a'], maxIterations: 1.5 }, /steps\[0\]\.maxIterations must be a positive integer/],
+        [{ if: 'x', then: [] }, /steps\[0\]\.then must be a non-empty array of steps/],
+        [{ if: 'x', then: ['a'], else: 'b' }, /steps\[0\]\.else must be an array of steps/],
+        [{ if: 'x', then: ['a'], steps: ['b'] }, /steps\[0\] has unknown field\(s\) steps/],
+        [{ repeat: 2, steps: [''] }, /steps\[0\]\.steps\[0\] is an empty instruction/],
+        [{ repeat: 2, steps: [{ instruction: 'a', dependsOn: [] }] }, /steps\[0\]\.steps\[0\] has unknown field\(s\) dependsOn/],
+    ];
+    for (const [node, message] of invalid) {
+        assert.throws(() => validatePlan({ task: 't', steps: [node] }), message, JSON.stringify(node));
+    }
+});
+
+test('steps run in order unless some step declares dependencies', () => {
+    assert.deepEqual(stepDependencies(createPlan({ task: 't', steps: ['a', 'b', 'c'] })), [[], [0], [1]]);
+
+    const graph = createPlan({
+        task: 't',
+        steps: [
+            { id: 'a', instruction: 'Compute a', output: 'a' },
+            { instruction: 'Compute b', output: 'b' },
+            { instruction: 'Add a and b', dependsOn: ['a', '2'], inputs: ['a', 'b'] },
+        ],
+    });
+    assert.deepEqual(stepDependencies(graph), [[], [], [0, 1]]);
+});
+
+test('invalid step graphs are rejected', () => {
+    const invalid = [
+        [[{ id: 'a', instruction: 'x' }, { id: 'a', instruction: 'y', dependsOn: [] }], /steps\[1\] reuses id "a"/],
+        [[{ instruction: 'x', dependsOn: ['missing'] }], /steps\[0\] depends on unknown step "missing"/],
+        [[{ id: 'a', instruction: 'x', dependsOn: ['c'] }, { id: 'b', instruction: 'y', dependsOn: ['a'] }, { id: 'c', instruction: 'z', dependsOn: ['b'] }],
+            /Dependency cycle: a -> c -> b -> a/],
+        [[{ instruction: 'x', dependsOn: 'a' }], /steps\[0\]\.dependsOn must be an array of strings/],
+        [[{ instruction: 'x', id: 3 }], /steps\[0\]\.id must be a non-empty string/],
+        [[{ instruction: 'x', inputs: [1] }], /steps\[0\]\.inputs must be an array of strings/],
+        [[{ instruction: 'x', output: 'history' }], /steps\[0\]\.output must be a state key other than/],
+        [[{ instruction: 'x', output: 'a', reducer: 'merge' }], /can't set both "output" and "reducer"/],
+    ];
+    for (const [steps, message] of invalid) {
+        assert.throws(() => validatePlan({ task: 't', steps }), message, JSON.stringify(steps));
+    }
+});
+
+test('plans are saved compactly and load back the same', () => {
+    const file = tempPlanFile();
+    const plan = createPlan({ task: 'Add 5 to 1', steps: ['Start with 1', { instruction: 'Add 5', voting: 'majority:n=3' }] });
+    savePlan(plan, file);
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(saved.steps, ['Start with 1', { instruction: 'Add 5', voting: 'majority:n=3' }]);
+    assert.equal('workerPrompt' in saved, false, 'unset fields are left out');
+    assert.deepEqual(loadPlan(file), JSON.parse(JSON.stringify(plan)));
+});
+
+test('unreadable and invalid plan files name the file', () => {
+    const file = tempPlanFile();
+    assert.throws(() => loadPlan(file), /Could not read plan .*plan\.json/);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{"task": "t", ');
+    assert.throws(() => loadPlan(file), /Could not read plan .*plan\.json/);
+
+    fs.writeFileSync(file, '{"task": "t", "steps": []}');
+    assert.throws(() => loadPlan(file), /Invalid plan .*plan\.json: Plan needs a non-empty "steps" array/);
+});
+
+test('the initial state grounds the first step in the task', () => {
+    assert.deepEqual(initialStateFor({ task: 't' }), { original_task: 't', history: [] });
+    assert.deepEqual(initialStateFor({ task: 't', initialState: { x: 1 } }), { x: 1 });
+    assert.deepEqual(initialStateFor({ task: 't', initialState: 7 }), { original_task: 't', history: [], current_value: 7 });
+});
+
+test('a loaded plan runs without planning', async () => {
+    const file = tempPlanFile();
+    savePlan(createPlan({ task: 'Start with 2 and add 3', steps: ['Start with 2', 'Add 3'] }), file);
+    const prompts = [];
+    useScriptedModel((prompt) => {
+        prompts.push(prompt);
+        return answer(prompt);
+    });
+
+    const result = await createMaker({ checkpoints: false, k: 1 }).runPlan(loadPlan(file));
+    assert.equal(result.status, 'completed');
+    assert.equal(result.state.current_value, 5);
+    assert.equal(prompts.some(prompt => prompt.includes('expert planner')), false);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { decomposeTask, decomposeTaskGraph, decomposeTaskTree, normalizeStep, planLeaves } from '../../src/planner.js';
+import { parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+CONFIG.PLAN_VOTING = 'ahead-by-k:k=2';
+CONFIG.PLAN_MAX_SAMPLES = 9;
+CONFIG.PLAN_BATCH_SIZE = 3;
+
+// Planner answers taken in turn (and round again)
+function plannerAnswers(...answers) {
+    let n = 0;
+    useScriptedModel(() => answers[n++ % answers.length]);
+}
+
+test('steps are compared without case, spacing or trailing punctuation', () => {
+    assert.equal(normalizeStep('  Add   5 to x. '), 'add 5 to x');
+    assert.equal(normalizeStep('Add 5;'), normalizeStep('add 5'));
+});
+
+test('the plan is voted step by step and reported in its most common form', async () => {
+    plannerAnswers(
+        ['Start with 0', 'Add 5'],
+        ['start with 0.', 'Add 5'],
+        ['Start with 0', 'add 5'],
+    );
+    assert.deepEqual(await decomposeTask('Start with 0 and add 5'), ['Start with 0', 'Add 5']);
+});
+
+test('unusable candidates are red-flagged instead of voting', async () => {
+    plannerAnswers('not a plan', ['Add 1'], [], ['Add 1'], [{ step: 'Add 1' }]);
+    const votes = [];
+    const steps = await decomposeTask('Add 1', { onVote: (kind, flag) => votes.push(kind === 'flagged' ? flag.reason : kind) });
+    assert.deepEqual(steps, ['Add 1']);
+    assert.deepEqual(votes, ['parse_error', 'valid', 'parse_error', 'valid', 'parse_error', 'parse_error']);
+});
+
+test('planning fails when the planners keep disagreeing', async () => {
+    plannerAnswers(['Add 1', 'Add 2'], ['Add 1', 'Add 2', 'Add 3']);
+    await assert.rejects(decomposeTask('Add some numbers'), /planners did not agree after 9 plans/);
+
+    plannerAnswers(['Add 1'], ['Add 2'], ['Add 3']);
+    await assert.rejects(decomposeTask('Add a number', { voting: 'majority:n=3' }), /planners disagree on step 1/);
+});
+
+test('plans may contain control nodes, which must be valid', async () => {
+    const loop = { repeat: 3, steps: ['Add 1'] };
+    plannerAnswers(['Start with 0', loop]);
+    assert.deepEqual(await decomposeTask('Start with 0 and add 1, 3 times'), ['Start with 0', loop]);
+
+    plannerAnswers(['Start with 0', { repeat: -1, steps: ['Add 1'] }]);
+    await assert.rejects(decomposeTask('Start with 0 and add 1, -1 times'), /did not agree after 9 plans \(flagged: parse_error ×9\)/);
+});
+
+test('graph plans agree on the dependencies, not just the instructions', async () => {
+    const graph = [
+        { id: 'a', instruction: 'Compute a', output: 'a' },
+        { id: 'b', instruction: 'Compute b', dependsOn: [], output: 'b' },
+        { id: 'sum', instruction: 'Add a and b', dependsOn: ['b', 'a'], inputs: ['a', 'b'], output: 'sum' },
+    ];
+    const serial = graph.map((step, i) => (i === 1 ? { ...step, dependsOn: ['a'] } : step));
+    // A cycle is red-flagged before it can vote
+    const cyclic = graph.map((step, i) => (i === 0 ? { ...step, dependsOn: ['sum'] } : step));
+    plannerAnswers(graph, serial, cyclic, graph, graph, graph);
+
+    const votes = [];
+    const steps = await decomposeTaskGraph('Add a and b', { onVote: (kind, flag) => votes.push(kind === 'flagged' ? flag.detail : kind) });
+    assert.deepEqual(steps.map(step => step.dependsOn), [[], [], ['b', 'a']], 'dependsOn is filled in');
+    assert.equal(votes.length, 6);
+    assert.match(votes[2], /Invalid step graph: Dependency cycle/);
+});
+
+// Recursive planning: "Brew tea" is the only subgoal judged too big for one step
+const SUBGOALS = {
+    'Make tea': ['Boil water', 'Brew tea'],
+    'Brew tea': ['Put tea in cup', 'Pour water'],
+};
+
+function teaPlanner() {
+    const judged = [];
+    useScriptedModel((prompt) => {
+        const goal = prompt.match(/Goal to break down: "(.*)"/)?.[1];
+        if (goal) return SUBGOALS[goal] ?? [goal];
+        const { instruction } = parseStepPrompt(prompt);
+        judged.push(instruction);
+        return { reasoning: 'r', result: instruction !== 'Brew tea' };
+    });
+    return judged;
+}
+
+test('non-atomic subgoals are split again', async () => {
+    teaPlanner();
+    const planned = [];
+    const tree = await decomposeTaskTree('Make tea', { onNode: (node) => planned.push(node.instruction) });
+
+    assert.deepEqual(planLeaves(tree), ['Boil water', 'Put tea in cup', 'Pour water']);
+    const [boil, brew] = tree.children;
+    assert.equal(boil.atomic, true);
+    assert.equal(brew.atomic, false);
+    assert.deepEqual(brew.children.map(node => [node.instruction, node.depth, node.atomic]), [['Put tea in cup', 2, true], ['Pour water', 2, true]]);
+    assert.deepEqual(planned.sort(), ['Boil water', 'Brew tea', 'Pour water', 'Put tea in cup']);
+});
+
+test('subgoals at the depth limit are not judged or split', async () => {
+    const judged = teaPlanner();
+    const tree = await decomposeTaskTree('Make tea', { maxDepth: 1 });
+    assert.deepEqual(planLeaves(tree), ['Boil water', 'Brew tea']);
+    assert.deepEqual(tree.children.map(node => node.atomic), [null, null]);
+    assert.deepEqual(judged, []);
+});
+
+test('a subgoal that only splits into itself is atomic', async () => {
+    useScriptedModel((prompt) => {
+        const goal = prompt.match(/Goal to break down: "(.*)"/)?.[1];
+        if (goal) return goal === 'Make tea' ? ['Boil water'] : [goal];
+        return { reasoning: 'r', result: false };
+    });
+    const tree = await decomposeTaskTree('Make tea');
+    assert.deepEqual(planLeaves(tree), ['Boil water']);
+    assert.equal(tree.children[0].atomic, true);
+    assert.deepEqual(tree.children[0].children, []);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ProviderHttpError, createLlamaCppProvider, createOllamaProvider, createOpenAIProvider } from '../../src/providers.js';
+import { getRetryAfterMs, isTransientError, withRetry } from '../../src/retry.js';
+
+// A local server standing in for the backends: it records every request and answers with the next reply
+const requests = [];
+const replies = [];
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+            const { status = 200, headers = {}, json } = replies.shift() ?? { status: 500, json: { error: 'no reply scripted' } };
+            response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            response.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+function reply(json, options = {}) {
+    requests.length = 0;
+    replies.push({ json, ...options });
+}
+
+test('openai-compatible: chat messages, a Bearer token only when there is a key', async () => {
+    reply({ choices: [{ message: { content: '{"result": 1}' } }], usage: { prompt_tokens: 12, completion_tokens: 5 } });
+    const provider = createOpenAIProvider({ baseUrl: `${baseUrl}/v1/`, apiKey: 'secret' });
+    const result = await provider.generate('Say 1', { model: 'gpt-test', temperature: 0.3 });
+
+    assert.deepEqual(result, { text: '{"result": 1}', usage: { inputTokens: 12, outputTokens: 5 } });
+    const [request] = requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.deepEqual(request.body, { model: 'gpt-test', messages: [{ role: 'user', content: 'Say 1' }], temperature: 0.3 });
+
+    // A local server: no key, and no usage reported
+    reply({ choices: [] });
+    const local = await createOpenAIProvider({ baseUrl: `${baseUrl}/v1` }).generate('Say 1', { model: 'local' });
+    assert.deepEqual(local, { text: '', usage: { inputTokens: 0, outputTokens: 0 } });
+    assert.equal(requests[0].headers.authorization, undefined);
+});
+
+test('ollama: prompt, stream false and the temperature as an option', async () => {
+    reply({ response: 'two', prompt_eval_count: 20, eval_count: 3 });
+    const provider = createOllamaProvider({ baseUrl: `${baseUrl}//` });
+    const result = await provider.generate('Say 2', { model: 'llama3.1', temperature: 0.7 });
+
+    assert.deepEqual(result, { text: 'two', usage: { inputTokens: 20, outputTokens: 3 } });
+    assert.equal(requests[0].url, '/api/generate');
+    assert.equal(requests[0].headers.authorization, undefined);
+    assert.deepEqual(requests[0].body, { model: 'llama3.1', prompt: 'Say 2', stream: false, options: { temperature: 0.7 } });
+
+    reply({});
+    assert.deepEqual(await provider.generate('Say 2', { model: 'llama3.1' }), { text: '', usage: { inputTokens: 0, outputTokens: 0 } });
+    assert.deepEqual(requests[0].body.options, {});
+});
+
+test('llama.cpp: prompt and temperature, without a model', async () => {
+    reply({ content: 'three', tokens_evaluated: 8, tokens_predicted: 2 });
+    const provider = createLlamaCppProvider({ baseUrl: `${baseUrl}/` });
+    const result = await provider.generate('Say 3', { model: 'ignored', temperature: 0.1 });
+
+    assert.deepEqual(result, { text: 'three', usage: { inputTokens: 8, outputTokens: 2 } });
+    assert.equal(requests[0].url, '/completion');
+    assert.deepEqual(requests[0].body, { prompt: 'Say 3', temperature: 0.1 });
+});
+
+test('error responses raise ProviderHttpError with the status and headers', async () => {
+    const providers = [
+        createOpenAIProvider({ baseUrl }),
+        createOllamaProvider({ baseUrl }),
+        createLlamaCppProvider({ baseUrl }),
+    ];
+    for (const provider of providers) {
+        reply({ error: 'slow down' }, { status: 429, headers: { 'Retry-After': '2' } });
+        const error = await provider.generate('Say 4', { model: 'm' }).then(() => assert.fail(`${provider.name} should fail`), caught => caught);
+        assert.ok(error instanceof ProviderHttpError, provider.name);
+        assert.equal(error.status, 429);
+        assert.match(error.message, /\[429 Too Many Requests\] \{"error":"slow down"\}/);
+        assert.equal(isTransientError(error), true);
+        assert.equal(getRetryAfterMs(error), 2000);
+    }
+
+    // So a rate-limited call is retried after the server's hint, and a bad key is not retried
+    reply({ error: 'busy' }, { status: 429, headers: { 'Retry-After': '0' } });
+    replies.push({ json: { content: 'five' } });
+    const provider = createLlamaCppProvider({ baseUrl });
+    const delays = [];
+    const result = await withRetry(() => provider.generate('Say 5'), { retries: 2, baseDelayMs: 1, maxDelayMs: 1, onRetry: ({ delayMs }) => delays.push(delayMs) });
+    assert.equal(result.text, 'five');
+    assert.equal(delays.length, 1);
+    assert.equal(requests.length, 2);
+
+    reply({ error: 'bad key' }, { status: 401 });
+    await assert.rejects(withRetry(() => createOpenAIProvider({ baseUrl, apiKey: 'wrong' }).generate('Say 6', { model: 'm' }), { retries: 2 }), (error) => {
+        assert.equal(error.name, 'ApiError');
+        assert.equal(error.status, 401);
+        assert.match(error.message, /not retryable/);
+        return true;
+    });
+});
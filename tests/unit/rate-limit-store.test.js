@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileWindowStore, MemoryWindowStore, WINDOW_MS, defaultWindowFile } from '../../src/rate-limit-store.js';
+
+function tempWindowFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'maker-window-')), 'window.json');
+}
+
+test('the memory window books requests until the RPM limit', () => {
+    const store = new MemoryWindowStore();
+    const limits = { maxRpm: 2, maxTpm: null };
+    assert.equal(store.acquire(0, limits).waitMs, 0);
+    assert.equal(store.acquire(0, limits).waitMs, 0);
+    const { waitMs, id } = store.acquire(0, limits);
+    assert.equal(id, undefined);
+    assert.ok(waitMs > WINDOW_MS - 1000 && waitMs <= WINDOW_MS + 100);
+    assert.equal(store.requestCount(), 2);
+});
+
+test('the memory window counts tokens, corrected by settle', () => {
+    const store = new MemoryWindowStore();
+    const limits = { maxRpm: 100, maxTpm: 100 };
+    const { id } = store.acquire(80, limits);
+    assert.ok(store.acquire(30, limits).waitMs > 0);
+    store.settle(id, 20);
+    assert.equal(store.acquire(30, limits).waitMs, 0);
+});
+
+test('a released reservation frees its slot', async () => {
+    const limits = { maxRpm: 1, maxTpm: null };
+    for (const store of [new MemoryWindowStore(), new FileWindowStore(tempWindowFile())]) {
+        const { id } = await store.acquire(0, limits);
+        assert.ok((await store.acquire(0, limits)).waitMs > 0);
+        await store.release(id);
+        assert.equal(store.requestCount(), 0);
+        assert.equal((await store.acquire(0, limits)).waitMs, 0);
+    }
+});
+
+test('a single oversized request still runs on an empty window', () => {
+    const store = new MemoryWindowStore();
+    assert.equal(store.acquire(500, { maxRpm: 10, maxTpm: 100 }).waitMs, 0);
+});
+
+test('file windows on the same path share one budget', async () => {
+    const file = tempWindowFile();
+    const limits = { maxRpm: 3, maxTpm: 100 };
+    const first = new FileWindowStore(file);
+    const second = new FileWindowStore(file);
+
+    const { id } = await first.acquire(50, limits);
+    assert.equal((await second.acquire(40, limits)).waitMs, 0);
+    assert.ok((await second.acquire(40, limits)).waitMs > 0, '50 + 40 + 40 tokens exceed the TPM limit');
+
+    await first.settle(id, 10);
+    assert.equal((await second.acquire(40, limits)).waitMs, 0);
+    assert.equal(first.requestCount(), 3);
+    assert.ok((await first.acquire(0, limits)).waitMs > 0, 'the RPM limit is reached');
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('waiting for the lock does not block the event loop', async () => {
+    const file = tempWindowFile();
+    const store = new FileWindowStore(file);
+    fs.writeFileSync(`${file}.lock`, '');
+    setTimeout(() => fs.unlinkSync(`${file}.lock`), 50);
+
+    let timerRan = false;
+    setTimeout(() => { timerRan = true; }, 10);
+    const { waitMs } = await store.acquire(0, { maxRpm: 10, maxTpm: null });
+    assert.equal(waitMs, 0);
+    assert.equal(timerRan, true);
+});
+
+test('a lock that is never released times out, a stale one is taken over', async () => {
+    const file = tempWindowFile();
+    fs.writeFileSync(`${file}.lock`, '');
+    const store = new FileWindowStore(file, { lockTimeoutMs: 50 });
+    await assert.rejects(store.acquire(0, { maxRpm: 10, maxTpm: null }), /Timed out waiting for rate-limit lock/);
+
+    // Left behind by a crashed process
+    const old = new Date(Date.now() - 5000);
+    fs.utimesSync(`${file}.lock`, old, old);
+    assert.equal((await store.acquire(0, { maxRpm: 10, maxTpm: null })).waitMs, 0);
+});
+
+test('a lock is only removed by its owner', async () => {
+    const file = tempWindowFile();
+    const lockFile = `${file}.lock`;
+    const stalled = new FileWindowStore(file);
+    const other = new FileWindowStore(file);
+    const old = new Date(Date.now() - 5000);
+
+    // The owner stalled past the stale limit and another process took the lock over
+    await stalled.lock();
+    fs.utimesSync(lockFile, old, old);
+    await other.lock();
+    const token = fs.readFileSync(lockFile, 'utf8');
+    assert.match(token, new RegExp(`^${process.pid}-[0-9a-f]{12}$`));
+    stalled.unlock();
+    assert.equal(fs.readFileSync(lockFile, 'utf8'), token, 'the new owner keeps its lock');
+    other.unlock();
+    assert.equal(fs.existsSync(lockFile), false);
+
+    // A lock found stale, but replaced by a fresh one before it could be removed, is kept
+    fs.writeFileSync(lockFile, 'fresh');
+    assert.equal(other.removeLock(lock => Date.now() - fs.statSync(lock).mtimeMs > 2000), false);
+    assert.equal(fs.readFileSync(lockFile, 'utf8'), 'fresh');
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['window.json.lock']);
+});
+
+test('a corrupt window file starts a fresh window', async () => {
+    const file = tempWindowFile();
+    fs.writeFileSync(file, '[{"id": "1", "ti');
+    const store = new FileWindowStore(file);
+    assert.equal(store.requestCount(), 0);
+    assert.equal((await store.acquire(0, { maxRpm: 1, maxTpm: null })).waitMs, 0);
+});
+
+test('each model gets its own default window file', () => {
+    assert.notEqual(defaultWindowFile('model-a'), defaultWindowFile('model-b'));
+    assert.match(defaultWindowFile('models/gemini:latest'), /maker-rate-limit-models_gemini_latest\.json$/);
+});
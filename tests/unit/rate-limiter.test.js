@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncLocalStorage } from 'async_hooks';
+import { RateLimiter } from '../../src/rate-limiter.js';
+import { MemoryWindowStore } from '../../src/rate-limit-store.js';
+
+// A task that runs until it is finished from the outside
+function deferredTask() {
+    const task = { started: false };
+    task.fn = () => new Promise((resolve, reject) => {
+        task.started = true;
+        task.finish = resolve;
+        task.fail = reject;
+    });
+    return task;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('no more than maxConcurrency tasks run at once', async () => {
+    const limiter = new RateLimiter({ maxRpm: 100, maxConcurrency: 2 });
+    const tasks = [deferredTask(), deferredTask(), deferredTask()];
+    const results = tasks.map((task, i) => limiter.throttle(task.fn).then(() => i));
+    await tick();
+    assert.deepEqual(tasks.map(task => task.started), [true, true, false]);
+    assert.equal(limiter.inFlight, 2);
+
+    tasks[0].finish();
+    await tick();
+    assert.equal(tasks[2].started, true);
+    tasks[1].finish();
+    tasks[2].finish();
+    assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+});
+
+test('requests beyond the RPM limit wait, and cancelled ones never run', async () => {
+    const limiter = new RateLimiter({ maxRpm: 2 });
+    const run = () => Promise.resolve('done');
+    assert.equal(await limiter.throttle(run), 'done');
+    assert.equal(await limiter.throttle(run), 'done');
+    assert.equal(limiter.getAvailableRequests(), 0);
+    assert.equal(limiter.canMakeRequests(1), false);
+
+    const controller = new AbortController();
+    const third = deferredTask();
+    const queued = limiter.throttle(third.fn, { signal: controller.signal });
+    await tick();
+    assert.equal(limiter.queue.length, 1);
+
+    controller.abort(new Error('not needed'));
+    await assert.rejects(queued, /not needed/);
+    assert.equal(third.started, false);
+    assert.equal(limiter.queue.length, 0);
+});
+
+test('an aborted signal is rejected before the task is queued', async () => {
+    const limiter = new RateLimiter(10);
+    await assert.rejects(limiter.throttle(() => Promise.resolve(), { signal: AbortSignal.abort(new Error('gone')) }), /gone/);
+    assert.equal(limiter.getAvailableRequests(), 10);
+});
+
+test('token estimates are replaced by the reported usage', async () => {
+    const limiter = new RateLimiter({ maxRpm: 100, maxTpm: 100 });
+    const first = deferredTask();
+    const second = deferredTask();
+    const options = { estimatedTokens: 60, countTokens: (result) => result.tokens };
+    const results = [limiter.throttle(first.fn, options), limiter.throttle(second.fn, options)];
+    await tick();
+    assert.equal(second.started, false, '60 + 60 estimated tokens exceed the TPM limit');
+
+    // The first request only used 10 tokens, which leaves room for the second right away
+    first.finish({ tokens: 10 });
+    await tick();
+    assert.equal(second.started, true);
+    second.finish({ tokens: 10 });
+    await Promise.all(results);
+});
+
+test('a 429 halves the limits in adaptive mode and successes recover them', async () => {
+    const limiter = new RateLimiter({ maxRpm: 100, maxConcurrency: 8, adaptive: true });
+    const rateLimited = Object.assign(new Error('Too Many Requests'), { status: 429 });
+    await assert.rejects(limiter.throttle(() => Promise.reject(rateLimited)), /Too Many Requests/);
+    assert.equal(limiter.effectiveRpm, 50);
+    assert.equal(limiter.effectiveConcurrency, 4);
+
+    await limiter.throttle(() => Promise.resolve());
+    assert.equal(limiter.backoffFactor, 0.52);
+
+    const fixed = new RateLimiter({ maxRpm: 100 });
+    await assert.rejects(fixed.throttle(() => Promise.reject(rateLimited)));
+    assert.equal(fixed.effectiveRpm, 100);
+    assert.equal(fixed.effectiveConcurrency, Infinity);
+});
+
+test('a Retry-After hint pauses the queue', async () => {
+    const limiter = new RateLimiter({ maxRpm: 100, adaptive: true });
+    const rateLimited = Object.assign(new Error('slow down'), { status: 429, headers: new Headers({ 'retry-after': '30' }) });
+    await assert.rejects(limiter.throttle(() => Promise.reject(rateLimited)));
+    assert.ok(limiter.pausedUntil - Date.now() > 25000);
+});
+
+test('a failing window store rejects the queued calls and the queue keeps working', async () => {
+    const store = {
+        failing: true,
+        async acquire() {
+            if (this.failing) throw new Error('Timed out waiting for rate-limit lock');
+            return { waitMs: 0, id: '1' };
+        },
+        settle() { },
+        release() { },
+        requestCount: () => 0,
+    };
+    const limiter = new RateLimiter({ maxRpm: 10, store });
+    const calls = [limiter.throttle(() => Promise.resolve(1)), limiter.throttle(() => Promise.resolve(2))];
+    for (const call of calls) await assert.rejects(call, /Timed out waiting for rate-limit lock/);
+    assert.equal(limiter.queue.length, 0);
+    assert.equal(limiter.processing, false);
+
+    store.failing = false;
+    assert.equal(await limiter.throttle(() => Promise.resolve(3)), 3);
+});
+
+test('a call cancelled while its slot is being booked gives the slot back', async () => {
+    const store = new MemoryWindowStore();
+    let booked;
+    const booking = new Promise(resolve => { booked = resolve; });
+    const acquire = store.acquire.bind(store);
+    // A slow shared store: the abort lands while the booking is under way
+    store.acquire = async (...args) => {
+        const result = acquire(...args);
+        booked();
+        await tick();
+        return result;
+    };
+    const limiter = new RateLimiter({ maxRpm: 1, store });
+    const controller = new AbortController();
+    const cancelled = limiter.throttle(() => Promise.resolve('never'), { signal: controller.signal });
+    await booking;
+    assert.equal(store.requestCount(), 1);
+    controller.abort();
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    await tick();
+    assert.equal(store.requestCount(), 0);
+
+    // So the next call does not wait for the window to slide
+    assert.equal(await limiter.throttle(() => Promise.resolve('next')), 'next');
+    assert.equal(store.requestCount(), 1);
+});
+
+test('queued tasks run in the async context of their caller', async () => {
+    const limiter = new RateLimiter({ maxRpm: 100, maxConcurrency: 1 });
+    const storage = new AsyncLocalStorage();
+    const first = deferredTask();
+    const calls = [storage.run('a', () => limiter.throttle(first.fn))];
+    calls.push(storage.run('b', () => limiter.throttle(async () => storage.getStore())));
+    await tick();
+    first.finish(storage.getStore());
+    assert.deepEqual(await Promise.all(calls), [undefined, 'b']);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { FLAG_REASONS, checkRedFlagRules, redFlag, resolveRedFlagRules } from '../../src/red-flags.js';
+import { runMicroAgent } from '../../src/agent.js';
+import { useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+CONFIG.MAX_RESPONSE_TOKENS = null;
+CONFIG.RESULT_SCHEMA = null;
+
+const input = { context: {}, instruction: 'Answer' };
+
+test('redFlag builds a flag with its reason', () => {
+    assert.deepEqual(redFlag(FLAG_REASONS.TOO_LONG, '9 tokens > 8'), { flagged: true, reason: 'too_long', detail: '9 tokens > 8' });
+});
+
+test('step rules override the run-wide settings', () => {
+    CONFIG.MAX_RESPONSE_TOKENS = 100;
+    try {
+        assert.equal(resolveRedFlagRules().maxResponseTokens, 100);
+        assert.equal(resolveRedFlagRules({ maxResponseTokens: 5 }).maxResponseTokens, 5);
+        assert.deepEqual(resolveRedFlagRules({ validators: Boolean }).validators, [Boolean]);
+    } finally {
+        CONFIG.MAX_RESPONSE_TOKENS = null;
+    }
+});
+
+test('overlong responses are flagged, estimating tokens from the text if need be', () => {
+    const rules = resolveRedFlagRules({ maxResponseTokens: 8 });
+    assert.equal(checkRedFlagRules({ text: 'x', outputTokens: 9, result: 1 }, rules, input).reason, FLAG_REASONS.TOO_LONG);
+    assert.equal(checkRedFlagRules({ text: 'x'.repeat(40), result: 1 }, rules, input).detail, '10 tokens > 8');
+    assert.equal(checkRedFlagRules({ text: 'short', result: 1 }, rules, input), null);
+});
+
+test('results are checked against the JSON Schema', () => {
+    const rules = resolveRedFlagRules({ resultSchema: { type: 'object', required: ['x'], properties: { x: { type: 'integer' } } } });
+    assert.equal(checkRedFlagRules({ text: '', result: { x: 1 } }, rules, input), null);
+    const flag = checkRedFlagRules({ text: '', result: { x: 1.5 } }, rules, input);
+    assert.equal(flag.reason, FLAG_REASONS.SCHEMA_VIOLATION);
+    assert.match(flag.detail, /result\/x must be integer/);
+});
+
+test('validators flag anything but true, with their message or name', () => {
+    const positive = (result) => result > 0 || 'not positive';
+    function even(result) {
+        return result % 2 === 0;
+    }
+    const throwing = () => {
+        throw new Error('validator crashed');
+    };
+    const rules = resolveRedFlagRules({ validators: [positive, even] });
+    assert.equal(checkRedFlagRules({ text: '', result: 4 }, rules, input), null);
+    assert.equal(checkRedFlagRules({ text: '', result: -2 }, rules, input).detail, 'not positive');
+    assert.equal(checkRedFlagRules({ text: '', result: 3 }, rules, input).detail, 'even rejected the result');
+    assert.equal(checkRedFlagRules({ text: '', result: 3 }, resolveRedFlagRules({ validators: throwing }), input).detail, 'validator crashed');
+});
+
+test('malformed responses are flagged with their reason', async () => {
+    const cases = [
+        ['not json', FLAG_REASONS.PARSE_ERROR],
+        ['42', FLAG_REASONS.PARSE_ERROR],
+        [{ error: 'cannot do that' }, FLAG_REASONS.AGENT_ERROR],
+        [{ result: 1 }, FLAG_REASONS.MISSING_REASONING],
+        [{ reasoning: 'r' }, FLAG_REASONS.MISSING_RESULT],
+    ];
+    for (const [answer, reason] of cases) {
+        useScriptedModel(() => answer);
+        const vote = await runMicroAgent({}, 'Answer');
+        assert.equal(vote.flagged, true, JSON.stringify(answer));
+        assert.equal(vote.reason, reason);
+        assert.ok(vote.usage.outputTokens > 0, 'flagged votes still carry their usage');
+    }
+});
+
+test('well-formed responses vote, markdown fences and all', async () => {
+    useScriptedModel(() => '```json\n{"reasoning": "r", "result": {"x": 1}}\n```');
+    const vote = await runMicroAgent({}, 'Answer', null, { redFlags: { resultSchema: { type: 'object' } } });
+    assert.deepEqual(vote.result, { x: 1 });
+});
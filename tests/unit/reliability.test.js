@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { ReliabilityController, minimumK } from '../../src/reliability.js';
+
+// Probability that First-to-Ahead-by-K decides a step correctly
+function stepSuccess(p, k) {
+    return 1 / (1 + Math.pow((1 - p) / p, k));
+}
+
+test('minimumK is the smallest K meeting the target', () => {
+    for (const [target, steps, p] of [[0.99, 1, 0.9], [0.99, 1000, 0.9], [0.999, 1000000, 0.99], [0.9, 50, 0.6]]) {
+        const k = minimumK({ target, steps, p });
+        assert.ok(Math.pow(stepSuccess(p, k), steps) >= target, `K=${k} misses the target`);
+        if (k > 1) assert.ok(Math.pow(stepSuccess(p, k - 1), steps) < target, `K=${k - 1} would do`);
+    }
+    assert.equal(minimumK({ target: 0.99, steps: 1, p: 0.9 }), 3);
+});
+
+test('minimumK grows with the plan length and handles the edges', () => {
+    assert.ok(minimumK({ target: 0.99, steps: 10000, p: 0.9 }) > minimumK({ target: 0.99, steps: 10, p: 0.9 }));
+    assert.equal(minimumK({ target: 0.99, steps: 10, p: 1 }), 1);
+    assert.equal(minimumK({ target: 0.99, steps: 10, p: 0.5 }), 50);
+    assert.equal(minimumK({ target: 0.99, steps: 10, p: 0.4, maxK: 20 }), 20);
+    assert.equal(minimumK({ target: 0.999999, steps: 1e6, p: 0.51, maxK: 30 }), 30);
+});
+
+test('the controller starts from the prior and learns from decided steps', () => {
+    const controller = new ReliabilityController({ target: 0.99, totalSteps: 100, priorSuccess: 0.9, priorWeight: 10 });
+    assert.equal(controller.p, 0.9);
+    const before = controller.next().k;
+
+    // Steps decided 3 to 2 make the agents look much less reliable
+    for (let i = 0; i < 5; i++) controller.observe({ winnerVotes: 3, validVotes: 5, flaggedVotes: 1 });
+    assert.ok(controller.p < 0.9);
+    assert.equal(controller.flagRate, 5 / 30);
+    assert.ok(controller.next().k > before);
+});
+
+test('the attempt budget covers the expected votes and never drops below the setting', () => {
+    const controller = new ReliabilityController({ target: 0.99, totalSteps: 10 });
+    const { k, maxAttempts, p } = controller.next();
+    assert.ok(maxAttempts >= CONFIG.MAX_ATTEMPTS_PER_STEP);
+    assert.ok(maxAttempts >= Math.ceil(2 * k / (2 * p - 1)));
+});
+
+test('the target must be a probability', () => {
+    assert.throws(() => new ReliabilityController({ target: 1, totalSteps: 10 }), /between 0 and 1/);
+    assert.throws(() => new ReliabilityController({ target: 0, totalSteps: 10 }), /between 0 and 1/);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { CONFIG } from '../../src/config.js';
+import { ApiError, getRetryAfterMs, isInfrastructureError, isTransientError, withRetry } from '../../src/retry.js';
+import { runMicroAgent } from '../../src/agent.js';
+import { useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+CONFIG.API_RETRY_BASE_DELAY_MS = 1;
+
+function httpError(status, headers = {}) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    error.headers = new Headers(headers);
+    return error;
+}
+
+// Fails with the given errors in turn, then answers "ok"
+function failing(...errors) {
+    const calls = { count: 0 };
+    calls.fn = async () => {
+        const error = errors[calls.count++];
+        if (error) throw error;
+        return 'ok';
+    };
+    return calls;
+}
+
+test('HTTP and network failures are infrastructure errors; only some are transient', () => {
+    assert.equal(isInfrastructureError(httpError(400)), true);
+    assert.equal(isInfrastructureError(new Error('fetch failed')), true);
+    assert.equal(isInfrastructureError(new Error('Unexpected token in JSON')), false);
+
+    for (const status of [408, 429, 500, 502, 503, 504]) assert.equal(isTransientError(httpError(status)), true);
+    for (const status of [400, 401, 403, 404]) assert.equal(isTransientError(httpError(status)), false);
+    assert.equal(isTransientError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' })), true);
+    assert.equal(isTransientError(Object.assign(new Error('timed out'), { name: 'TimeoutError' })), true);
+});
+
+test('retry hints come from Retry-After or Gemini RetryInfo', () => {
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': '3' })), 3000);
+    const date = new Date(Date.now() + 60000).toUTCString();
+    assert.ok(getRetryAfterMs(httpError(429, { 'retry-after': date })) > 50000);
+    const gemini = Object.assign(new Error('quota'), { errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }] });
+    assert.equal(getRetryAfterMs(gemini), 12000);
+    assert.equal(getRetryAfterMs(httpError(429)), null);
+});
+
+test('transient errors are retried until the call succeeds', async () => {
+    const calls = failing(httpError(503), new Error('socket hang up'));
+    const retries = [];
+    const result = await withRetry(calls.fn, { baseDelayMs: 1, onRetry: (info) => retries.push(info.attempt) });
+    assert.equal(result, 'ok');
+    assert.equal(calls.count, 3);
+    assert.deepEqual(retries, [1, 2]);
+});
+
+test('a spent budget or a permanent error becomes an ApiError', async () => {
+    const busy = failing(httpError(429), httpError(429), httpError(429));
+    await assert.rejects(withRetry(busy.fn, { retries: 2, baseDelayMs: 1 }), (error) => {
+        assert.ok(error instanceof ApiError);
+        assert.match(error.message, /gave up after 2 retries/);
+        assert.equal(error.status, 429);
+        assert.equal(error.retries, 2);
+        return true;
+    });
+
+    const denied = failing(httpError(401));
+    await assert.rejects(withRetry(denied.fn, { baseDelayMs: 1 }), /not retryable/);
+    assert.equal(denied.count, 1);
+});
+
+test('other errors are rethrown as they are', async () => {
+    const broken = failing(new SyntaxError('bad response'));
+    await assert.rejects(withRetry(broken.fn), SyntaxError);
+    assert.equal(broken.count, 1);
+});
+
+test('aborting cancels the backoff wait', async () => {
+    const controller = new AbortController();
+    const calls = failing(httpError(503));
+    const call = withRetry(calls.fn, { baseDelayMs: 60000, maxDelayMs: 60000, signal: controller.signal, onRetry: () => controller.abort(new Error('cancelled')) });
+    await assert.rejects(call, /cancelled/);
+    assert.equal(calls.count, 1);
+});
+
+test('a finished backoff wait leaves no listener on the signal', async () => {
+    const controller = new AbortController();
+    const calls = failing(httpError(503), httpError(503), httpError(503));
+    await withRetry(calls.fn, { retries: 3, baseDelayMs: 1, maxDelayMs: 1, signal: controller.signal });
+    assert.equal(calls.count, 4);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('agents retry API errors instead of casting a red-flag vote', async () => {
+    const calls = failing(httpError(500));
+    useScriptedModel(async () => {
+        await calls.fn();
+        return { reasoning: 'r', result: 7 };
+    });
+    const retries = [];
+    const vote = await runMicroAgent({}, 'Answer 7', null, { onRetry: (info) => retries.push(info) });
+    assert.equal(vote.result, 7);
+    assert.equal(retries.length, 1);
+
+    useScriptedModel(() => {
+        throw httpError(403);
+    });
+    await assert.rejects(runMicroAgent({}, 'Answer 7'), ApiError);
+});
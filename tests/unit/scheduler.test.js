@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { runSchedule } from '../../src/scheduler.js';
+import { createMaker } from '../../src/maker.js';
+import { parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Steps that run until they are finished from the outside
+function deferredSteps() {
+    const running = new Map();
+    const runStep = (i) => new Promise((resolve, reject) => running.set(i, { finish: resolve, fail: reject }));
+    return { running, runStep };
+}
+
+test('steps start as soon as their dependencies are done', async () => {
+    const { running, runStep } = deferredSteps();
+    // 0 and 1 are independent, 2 needs both
+    const schedule = runSchedule([[], [], [0, 1]], runStep, { maxParallel: 4 });
+    await tick();
+    assert.deepEqual([...running.keys()], [0, 1]);
+
+    running.get(0).finish();
+    await tick();
+    assert.equal(running.has(2), false);
+    running.get(1).finish();
+    await tick();
+    assert.equal(running.has(2), true);
+    running.get(2).finish();
+    await schedule;
+});
+
+test('no more than maxParallel steps run at once', async () => {
+    const { running, runStep } = deferredSteps();
+    const schedule = runSchedule([[], [], []], runStep, { maxParallel: 2 });
+    await tick();
+    assert.deepEqual([...running.keys()], [0, 1]);
+    running.get(1).finish();
+    await tick();
+    assert.deepEqual([...running.keys()], [0, 1, 2]);
+    running.get(0).finish();
+    running.get(2).finish();
+    await schedule;
+});
+
+test('finished steps of a resumed run are skipped', async () => {
+    const ran = [];
+    await runSchedule([[], [0], [1]], async (i) => { ran.push(i); }, { done: [0, 1] });
+    assert.deepEqual(ran, [2]);
+    await runSchedule([[]], () => assert.fail('nothing left to run'), { done: [0] });
+});
+
+test('a failure stops new steps and waits for the running ones', async () => {
+    const { running, runStep } = deferredSteps();
+    let settled = false;
+    const schedule = runSchedule([[], [], [0]], runStep, { maxParallel: 4 });
+    schedule.catch(() => { }).finally(() => { settled = true; });
+    await tick();
+
+    running.get(0).fail(new Error('step 1 failed'));
+    await tick();
+    assert.equal(settled, false, 'step 2 is still running');
+    assert.equal(running.has(2), false);
+
+    running.get(1).finish();
+    await assert.rejects(schedule, /step 1 failed/);
+});
+
+test('independent plan steps run concurrently and see only their inputs', async () => {
+    const contexts = {};
+    const waiting = [];
+    useScriptedModel(async (prompt) => {
+        const { context, instruction } = parseStepPrompt(prompt);
+        contexts[instruction] = context;
+        if (instruction === 'Add a and b') return { reasoning: 'r', result: context.a + context.b };
+        // Both branches must be in flight before either answers
+        await new Promise(resolve => {
+            waiting.push({ instruction, resolve });
+            if (new Set(waiting.map(call => call.instruction)).size === 2) waiting.forEach(call => call.resolve());
+        });
+        return { reasoning: 'r', result: instruction === 'Compute a' ? 2 : 3 };
+    });
+
+    const maker = createMaker({ checkpoints: false, k: 1 });
+    const result = await maker.runPlan({
+        task: 'Add two numbers',
+        initialState: { original_task: 'Add two numbers', history: [], unrelated: true },
+        steps: [
+            { id: 'a', instruction: 'Compute a', output: 'a' },
+            { id: 'b', instruction: 'Compute b', output: 'b' },
+            { id: 'sum', instruction: 'Add a and b', dependsOn: ['a', 'b'], inputs: ['a', 'b'], output: 'sum' },
+        ],
+    });
+    assert.equal(result.status, 'completed');
+    assert.equal(result.state.sum, 5);
+    assert.deepEqual(contexts['Add a and b'], { original_task: 'Add two numbers', a: 2, b: 3 });
+});
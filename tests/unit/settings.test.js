@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULTS } from '../../src/config.js';
+import { ConfigError, findConfigFile, loadConfigFile, resolveSettings, validateSettings } from '../../src/settings.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-settings-'));
+
+function configFile(name, data) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return file;
+}
+
+const FILE = configFile('layers.json', {
+    VOTE_MARGIN_K: 5,
+    BATCH_SIZE: 20,
+    MODEL_PRICES: { 'file-model': { input: 1, output: 2 } },
+    INVARIANTS: ['state.x >= 0'],
+    profile: 'lite',
+    profiles: { careful: { VOTE_MARGIN_K: 12 } },
+});
+
+test('each layer overrides the ones before and is named as the source', () => {
+    const { values, sources, file, profile } = resolveSettings({ configPath: FILE, env: {} });
+    assert.equal(file, FILE);
+    assert.equal(profile, 'lite');
+    assert.equal(values.VOTE_MARGIN_K, 3);
+    assert.equal(sources.VOTE_MARGIN_K, 'profile lite');
+    assert.equal(values.BATCH_SIZE, 20);
+    assert.equal(sources.BATCH_SIZE, FILE);
+    assert.equal(values.HISTORY_LENGTH, DEFAULTS.HISTORY_LENGTH);
+    assert.equal(sources.HISTORY_LENGTH, 'default');
+
+    const layered = resolveSettings({
+        configPath: FILE,
+        profile: 'careful',
+        env: { MAKER_BATCH_SIZE: '30', MAKER_MAX_RPM: '100' },
+        run: { MAX_RPM: 50, VOTE_MARGIN_K: 9 },
+        runSource: 'run 1',
+        layers: [{ source: '--set', values: { VOTE_MARGIN_K: 1 } }, { source: '--k', values: { VOTE_MARGIN_K: 2 } }],
+    });
+    assert.equal(layered.profile, 'careful');
+    assert.deepEqual([layered.values.VOTE_MARGIN_K, layered.sources.VOTE_MARGIN_K], [2, '--k']);
+    assert.deepEqual([layered.values.BATCH_SIZE, layered.sources.BATCH_SIZE], [30, 'env MAKER_BATCH_SIZE']);
+    assert.deepEqual([layered.values.MAX_RPM, layered.sources.MAX_RPM], [50, 'run 1']);
+
+    // The environment picks the profile when no option does
+    assert.equal(resolveSettings({ configPath: FILE, env: { MAKER_PROFILE: 'paranoid' } }).values.VOTE_MARGIN_K, 15);
+});
+
+test('objects are merged and lists added up, except from a resumed run', () => {
+    const layers = [
+        { source: '--prices', values: { MODEL_PRICES: { 'flag-model': { input: 3, output: 4 } } } },
+        { source: '--invariant', values: { INVARIANTS: ['state.x < 10'] } },
+    ];
+    const { values, sources } = resolveSettings({ configPath: FILE, env: {}, layers });
+    assert.deepEqual(Object.keys(values.MODEL_PRICES), ['file-model', 'flag-model']);
+    assert.equal(sources.MODEL_PRICES, `${FILE} + --prices`);
+    assert.deepEqual(values.INVARIANTS, ['state.x >= 0', 'state.x < 10']);
+
+    const resumed = resolveSettings({ configPath: FILE, env: {}, run: { INVARIANTS: ['state.y'] } });
+    assert.deepEqual(resumed.values.INVARIANTS, ['state.y']);
+    assert.equal(resumed.sources.INVARIANTS, 'run');
+});
+
+test('a file profile replaces the built-in one of the same name', () => {
+    const file = configFile('own-lite.json', { profile: 'lite', profiles: { lite: { BATCH_SIZE: 7 } } });
+    const { values, sources } = resolveSettings({ configPath: file, env: {} });
+    assert.equal(values.BATCH_SIZE, 7);
+    assert.equal(sources.BATCH_SIZE, `profile lite (${file})`);
+    assert.equal(values.VOTE_MARGIN_K, DEFAULTS.VOTE_MARGIN_K);
+});
+
+test('the config file is found in the working directory first', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-cwd-'));
+    fs.writeFileSync(path.join(cwd, '.makerrc'), '{}');
+    assert.equal(findConfigFile(cwd), path.join(cwd, '.makerrc'));
+    fs.writeFileSync(path.join(cwd, 'maker.config.json'), JSON.stringify({ VOTE_MARGIN_K: 4 }));
+    assert.equal(findConfigFile(cwd), path.join(cwd, 'maker.config.json'));
+    assert.equal(resolveSettings({ cwd, env: {} }).values.VOTE_MARGIN_K, 4);
+    assert.equal(resolveSettings({ cwd, env: { MAKER_CONFIG: FILE } }).file, FILE);
+});
+
+test('malformed config files are rejected', () => {
+    assert.throws(() => loadConfigFile(path.join(dir, 'missing.json')), /Could not read config file .*missing\.json/);
+    assert.throws(() => loadConfigFile(configFile('broken.json', '{"VOTE_MARGIN_K": ')), ConfigError);
+    assert.throws(() => loadConfigFile(configFile('list.json', [])), /must hold a JSON object/);
+    assert.throws(() => loadConfigFile(configFile('profile.json', { profile: 3 })), /"profile" in .* must be a profile name/);
+    assert.throws(() => loadConfigFile(configFile('profiles.json', { profiles: [] })), /"profiles" in .* must map profile names to settings/);
+    assert.throws(() => loadConfigFile(configFile('typo.json', { VOTE_MARGIN: 3, BATCH: 2 })), /Unknown settings "VOTE_MARGIN", "BATCH" in .*typo\.json/);
+    assert.throws(() => loadConfigFile(configFile('nested.json', { profiles: { x: { K: 1 } } })), /Unknown setting "K" in profile "x"/);
+
+    assert.throws(() => resolveSettings({ configPath: FILE, profile: 'fast', env: {} }), /Unknown profile "fast"\. Available: lite, high, paranoid, careful/);
+    assert.throws(() => resolveSettings({ configPath: FILE, env: {}, layers: [{ source: '--set', values: { NOPE: 1 } }] }), /Unknown setting "NOPE" in --set/);
+    assert.throws(() => resolveSettings({ configPath: FILE, env: { MAKER_VOTE_MARGIN_K: 'x' } }), /Invalid environment variable:\n {2}MAKER_VOTE_MARGIN_K: "x" is not a number/);
+});
+
+test('every invalid setting is reported with its source', () => {
+    const file = configFile('invalid.json', { VOTE_MARGIN_K: 0, VOTING: 'loudest' });
+    assert.throws(() => resolveSettings({ configPath: file, env: { MAKER_PROVIDER: 'nowhere' } }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.message, /^Invalid configuration:/);
+        assert.match(error.message, new RegExp(`VOTE_MARGIN_K = 0 \\(from ${file}\\): must be at least 1`));
+        assert.match(error.message, /VOTING = "loudest" \(from .*invalid\.json\): /);
+        assert.match(error.message, /PROVIDER = "nowhere" \(from env MAKER_PROVIDER\): unknown provider; available: .*gemini/);
+        return true;
+    });
+});
+
+test('settings that depend on each other are checked together', () => {
+    const check = (values) => () => validateSettings({ ...DEFAULTS, ...values });
+    assert.doesNotThrow(check({ TARGET_RELIABILITY: 0.99 }));
+    assert.throws(check({ TARGET_RELIABILITY: 2 }), /TARGET_RELIABILITY = 2 .*: must be a probability between 0 and 1/);
+    assert.throws(check({ TARGET_RELIABILITY: 0.99, VOTING: 'majority:n=5' }), /only works with the ahead-by-k voting strategy/);
+    assert.throws(check({ MAX_COST: 1, MODEL_NAME: 'unpriced' }), /no price known for model "unpriced"/);
+    assert.doesNotThrow(check({ MAX_COST: 1, MODEL_NAME: 'unpriced', MODEL_PRICES: { unpriced: { input: 1, output: 1 } } }));
+    assert.throws(check({ CASSETTE_MODE: 'replay' }), /CASSETTE_MODE = "replay" .*: needs CASSETTE_PATH/);
+    assert.throws(check({ MAP_CHUNK_SIZE: 100, MAP_CHUNK_OVERLAP: 50 }), /must be less than half of MAP_CHUNK_SIZE \(100\)/);
+});
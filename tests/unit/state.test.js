@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { RESERVED_KEYS, applyResult, listReducers, resolveReducer, stepContext } from '../../src/state.js';
+import { createMaker } from '../../src/maker.js';
+import { parseStepPrompt, useScriptedModel } from '../fake-model.js';
+
+CONFIG.CASSETTE_MODE = null;
+
+const start = () => ({ original_task: 'task', history: [], a: { x: 1, y: 2 } });
+
+test('the built-in reducers fold results into the state', () => {
+    assert.deepEqual(applyResult(start(), { b: 1 }), { original_task: 'task', history: [{ b: 1 }], a: { x: 1, y: 2 }, b: 1 });
+    assert.deepEqual(applyResult(start(), 7).current_value, 7);
+    assert.deepEqual(applyResult(start(), { a: { y: 3 } }, { reducer: 'merge' }).a, { y: 3 });
+    assert.deepEqual(applyResult(start(), { a: { y: 3 } }, { reducer: 'deep-merge' }).a, { x: 1, y: 3 });
+    assert.deepEqual(applyResult(start(), { b: 1 }, { reducer: 'replace' }), { original_task: 'task', history: [{ b: 1 }], b: 1 });
+    assert.deepEqual(applyResult(start(), 7, { reducer: 'replace' }), { original_task: 'task', history: [7], current_value: 7 });
+    assert.deepEqual(applyResult(start(), 'z', { reducer: 'set:name' }).name, 'z');
+    assert.deepEqual(applyResult(start(), 7, { reducer: 'value' }), 7);
+});
+
+test('append collects results under a key', () => {
+    let state = start();
+    state = applyResult(state, 1, { reducer: 'append:items' });
+    state = applyResult(state, 2, { reducer: { strategy: 'append', key: 'items' } });
+    assert.deepEqual(state.items, [1, 2]);
+    // An existing single value becomes the first item
+    assert.deepEqual(applyResult({ ...start(), items: 0 }, 1, { reducer: 'append:items' }).items, [0, 1]);
+});
+
+test('reserved keys survive any reducer', () => {
+    const hijack = { original_task: 'something else', history: 'gone', b: 1 };
+    for (const reducer of ['merge', 'deep-merge', 'replace', (state, value) => ({ ...value })]) {
+        const next = applyResult(start(), hijack, { reducer });
+        assert.equal(next.original_task, 'task', String(reducer));
+        assert.deepEqual(next.history, [hijack], String(reducer));
+        assert.equal(next.b, 1);
+    }
+    assert.deepEqual(RESERVED_KEYS, ['original_task', 'history']);
+});
+
+test('history keeps the last results up to its length', () => {
+    let state = start();
+    for (let i = 1; i <= 4; i++) state = applyResult(state, i, { historyLength: 2 });
+    assert.deepEqual(state.history, [3, 4]);
+    assert.deepEqual(applyResult(start(), 1, { historyLength: 0 }).history, []);
+
+    CONFIG.HISTORY_LENGTH = 1;
+    try {
+        assert.deepEqual(applyResult(applyResult(start(), 1), 2).history, [2]);
+    } finally {
+        CONFIG.HISTORY_LENGTH = 5;
+    }
+});
+
+test('reducer specs are checked', () => {
+    assert.deepEqual(listReducers(), ['merge', 'deep-merge', 'replace', 'append', 'set', 'value']);
+    assert.equal(resolveReducer('append: items').name, 'append:items');
+    assert.equal(resolveReducer(null).name, 'merge');
+    assert.equal(resolveReducer(function sumUp() { return {}; }).name, 'sumUp');
+
+    assert.throws(() => resolveReducer('concat'), /Unknown state reducer "concat"\. Available: merge, deep-merge/);
+    assert.throws(() => resolveReducer('append'), /State reducer "append" needs a key \(e\.g\. "append:items"\)/);
+    assert.throws(() => resolveReducer('set:history'), /can't write the reserved key "history"/);
+    assert.throws(() => applyResult(start(), 1, { reducer: () => 5 }), /State reducer must return an object/);
+});
+
+test('a step sees only its inputs when it names them', () => {
+    const state = { ...start(), b: 2 };
+    assert.equal(stepContext(state), state);
+    assert.deepEqual(stepContext(state, ['b']), { original_task: 'task', b: 2 });
+    assert.throws(() => stepContext(state, ['b', 'c', 'd']), /Input "c", "d" not found in state/);
+});
+
+test('plans choose reducers per run and per step', async () => {
+    useScriptedModel((prompt) => {
+        const { instruction } = parseStepPrompt(prompt);
+        if (instruction === 'Overwrite the task') return { reasoning: 'r', result: { original_task: 'hijacked', done: true } };
+        return { reasoning: 'r', result: Number(instruction.match(/\d+/)[0]) };
+    });
+    const result = await createMaker({ checkpoints: false, k: 1 }).runPlan({
+        task: 'Collect numbers',
+        reducer: 'append:numbers',
+        historyLength: 1,
+        steps: ['Give 1', 'Give 2', { instruction: 'Give 3', reducer: 'set:last' }, { instruction: 'Overwrite the task', reducer: 'merge' }],
+    });
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(result.state, {
+        original_task: 'Collect numbers',
+        history: [{ original_task: 'hijacked', done: true }],
+        numbers: [1, 2],
+        last: 3,
+        done: true,
+    });
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/config.js';
+import { BudgetExceededError, UsageTracker, costOf, createMeteredProvider, estimateUsage, formatCost, priceFor } from '../../src/usage.js';
+import { RateLimiter } from '../../src/rate-limiter.js';
+import { createThrottledProvider } from '../../src/providers.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('costs come from the price table, extended by MODEL_PRICES', () => {
+    assert.deepEqual(priceFor('gpt-4o'), { input: 2.5, output: 10 });
+    assert.equal(priceFor('unknown-model'), null);
+    assert.equal(costOf({ inputTokens: 1e6, outputTokens: 1e6 }, 'gpt-4o'), 12.5);
+    assert.equal(costOf({ inputTokens: 1e6 }, 'unknown-model'), 0);
+
+    CONFIG.MODEL_PRICES = { 'my-model': { input: 1, output: 2 } };
+    try {
+        assert.equal(costOf({ inputTokens: 500000, outputTokens: 500000 }, 'my-model'), 1.5);
+    } finally {
+        CONFIG.MODEL_PRICES = {};
+    }
+});
+
+test('estimates and formatting', () => {
+    assert.equal(estimateUsage('x'.repeat(400)).inputTokens, 100);
+    assert.equal(formatCost(0.01234), '$0.0123');
+    assert.equal(formatCost(12.345), '$12.35');
+});
+
+test('the call budget counts sent calls only', async () => {
+    const tracker = new UsageTracker({ maxCalls: 2 });
+    await tracker.reserve(0);
+    tracker.send();
+    tracker.settle(0, { inputTokens: 10, outputTokens: 5 }, 'gpt-4o');
+
+    // Cancelled while queued: gives its place back
+    await tracker.reserve(0);
+    tracker.settle(0, undefined, 'gpt-4o', false);
+    assert.equal(tracker.summary().calls, 1);
+
+    await tracker.reserve(0);
+    tracker.send();
+    tracker.settle(0, undefined, 'gpt-4o');
+    await assert.rejects(tracker.reserve(0), (error) => {
+        assert.ok(error instanceof BudgetExceededError);
+        assert.equal(error.budget, 'calls');
+        assert.equal(error.spent, 2);
+        return true;
+    });
+    assert.deepEqual(tracker.summary(), { calls: 2, inputTokens: 10, outputTokens: 5, cost: costOf({ inputTokens: 10, outputTokens: 5 }, 'gpt-4o') });
+});
+
+test('a call waits for a place held by a queued call, which may be dropped', async () => {
+    const tracker = new UsageTracker({ maxCalls: 1 });
+    await tracker.reserve(0);
+    let reserved = false;
+    const waiting = tracker.reserve(0).then(() => { reserved = true; });
+    await tick();
+    assert.equal(reserved, false);
+
+    tracker.settle(0, undefined, null, false);
+    await waiting;
+    assert.equal(reserved, true);
+});
+
+test('the cost budget waits for pending calls, then stops the run', async () => {
+    const tracker = new UsageTracker({ maxCost: 1 });
+    await tracker.reserve(0.6);
+    tracker.send();
+    const waiting = tracker.reserve(0.6);
+
+    // The first call cost more than estimated: the second no longer fits
+    tracker.settle(0.6, { inputTokens: 1e6 }, 'gemini-2.5-pro');
+    await assert.rejects(waiting, (error) => error instanceof BudgetExceededError && error.budget === 'cost');
+});
+
+test('waiting for budget stops when the call is cancelled', async () => {
+    const tracker = new UsageTracker({ maxCalls: 1, maxCost: 1 });
+    await tracker.reserve(0.6);
+    const controller = new AbortController();
+    const waiting = tracker.reserve(0.6, { signal: controller.signal });
+    controller.abort(new Error('consensus reached'));
+    await assert.rejects(waiting, /consensus reached/);
+    assert.equal(tracker.waiters.length, 0);
+});
+
+test('calls dropped from the rate-limit queue are not counted', async () => {
+    const tracker = new UsageTracker({ maxCalls: 10 });
+    const limiter = new RateLimiter({ maxRpm: 100, maxConcurrency: 1 });
+    // Answers nothing until the call is aborted
+    const backend = {
+        name: 'backend',
+        sent: 0,
+        generate(prompt, { signal }) {
+            this.sent++;
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        },
+    };
+    const provider = createMeteredProvider(createThrottledProvider(backend, limiter), tracker);
+
+    const controller = new AbortController();
+    const calls = [1, 2, 3].map(() => provider.generate('prompt', { signal: controller.signal }));
+    await tick();
+    assert.equal(backend.sent, 1, 'one call in flight, two queued');
+
+    controller.abort(new Error('not needed'));
+    await Promise.allSettled(calls);
+    assert.equal(tracker.summary().calls, 1);
+    assert.equal(tracker.pendingCalls, 0);
+    assert.equal(tracker.queuedCalls, 0);
+});
+
+test('calls through providers without a queue count unless cancelled', async () => {
+    const tracker = new UsageTracker();
+    const provider = createMeteredProvider({
+        name: 'direct',
+        async generate(prompt, { signal }) {
+            if (signal?.aborted) throw signal.reason;
+            if (prompt === 'fail') throw new Error('server error');
+            return { text: 'ok', usage: { inputTokens: 3, outputTokens: 4 } };
+        },
+    }, tracker);
+    await provider.generate('ok');
+    await assert.rejects(provider.generate('fail'));
+    await assert.rejects(provider.generate('ok', { signal: AbortSignal.abort() }));
+    assert.deepEqual(tracker.summary(), { calls: 2, inputTokens: 3, outputTokens: 4, cost: costOf({ inputTokens: 3, outputTokens: 4 }) });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoteTally, aheadByK, confidenceWeighted, listStrategies, majority, parseVotingSpec, resolveStrategy, supermajority, unanimity } from '../../src/voting.js';
+
+function tally(...votes) {
+    const result = new VoteTally();
+    for (const vote of votes) {
+        const [key, weight] = Array.isArray(vote) ? vote : [vote, 1];
+        result.add(key, weight);
+    }
+    return result;
+}
+
+test('VoteTally counts, weighs and ranks buckets', () => {
+    const t = tally('a', ['b', 0.5], 'b', 'c');
+    assert.equal(t.validVotes, 4);
+    assert.deepEqual(t.ranked().map(bucket => bucket.key), ['b', 'a', 'c']);
+    assert.deepEqual(t.ranked('weight').map(bucket => bucket.key), ['b', 'a', 'c']);
+    assert.equal(t.buckets.get('b').weight, 1.5);
+
+    t.exclude('b');
+    assert.equal(t.validVotes, 2);
+    assert.equal(t.buckets.has('b'), false);
+});
+
+test('ahead-by-k waits for a margin of K', () => {
+    const strategy = aheadByK({ k: 2 });
+    assert.equal(strategy.decide(tally()), null);
+    assert.equal(strategy.decide(tally('a', 'b', 'a')), null);
+    assert.deepEqual(strategy.decide(tally('a', 'b', 'a', 'a')), { key: 'a', margin: 2 });
+});
+
+test('majority needs more than half of N and gives up after N votes', () => {
+    const strategy = majority({ n: 5 });
+    assert.equal(strategy.minAttempts, 5);
+    assert.equal(strategy.votesNeeded(tally('a', 'b')), 3);
+    assert.equal(strategy.decide(tally('a', 'a', 'b')), null);
+    assert.deepEqual(strategy.decide(tally('a', 'a', 'b', 'a')), { key: 'a', margin: 2 });
+    assert.match(strategy.decide(tally('a', 'a', 'b', 'b', 'c')).exhausted, /no answer won a majority of 5/);
+});
+
+test('supermajority stops as soon as no answer can reach the threshold', () => {
+    const strategy = supermajority({ n: 6, threshold: 0.75 });
+    assert.deepEqual(strategy.decide(tally('a', 'a', 'a', 'a', 'a')), { key: 'a', margin: 5 });
+    assert.equal(strategy.decide(tally('a', 'a', 'b')), null);
+    assert.match(strategy.decide(tally('a', 'a', 'b', 'b')).exhausted, /no answer can reach 5 of 6/);
+});
+
+test('unanimity fails on the first disagreement', () => {
+    const strategy = unanimity({ n: 3 });
+    assert.equal(strategy.decide(tally('a', 'a')), null);
+    assert.deepEqual(strategy.decide(tally('a', 'a', 'a')), { key: 'a', margin: 3 });
+    assert.equal(strategy.decide(tally('a', 'b')).exhausted, 'agents disagreed');
+});
+
+test('confidence voting weighs votes by the reported confidence', () => {
+    const strategy = confidenceWeighted({ k: 1 });
+    assert.equal(strategy.requestsConfidence, true);
+    assert.equal(strategy.weight({ confidence: 0.4 }), 0.4);
+    assert.equal(strategy.weight({ confidence: 7 }), 1);
+    assert.equal(strategy.weight({}), 1);
+    assert.equal(strategy.decide(tally(['a', 0.5], ['b', 0.2])), null);
+    assert.deepEqual(strategy.decide(tally(['a', 0.9], ['a', 0.6], ['b', 0.5])), { key: 'a', margin: 1 });
+});
+
+test('parseVotingSpec reads the name and numeric options', () => {
+    assert.deepEqual(parseVotingSpec('majority:n=7'), { strategy: 'majority', n: 7 });
+    assert.deepEqual(parseVotingSpec('supermajority:n=10,threshold=0.8'), { strategy: 'supermajority', n: 10, threshold: 0.8 });
+    assert.deepEqual(parseVotingSpec('ahead-by-k'), { strategy: 'ahead-by-k' });
+    assert.throws(() => parseVotingSpec('majority:n=seven'), /Invalid voting option "n=seven"/);
+});
+
+test('resolveStrategy accepts specs, options and strategies', () => {
+    assert.equal(resolveStrategy(null).name, 'ahead-by-k');
+    assert.equal(resolveStrategy('unanimity:n=3').name, 'unanimity');
+    assert.equal(resolveStrategy({ strategy: 'majority', n: 3 }).name, 'majority');
+    const custom = { name: 'custom', decide: () => null };
+    assert.equal(resolveStrategy(custom), custom);
+
+    assert.throws(() => resolveStrategy('plurality'), /Unknown voting strategy "plurality"/);
+    assert.throws(() => resolveStrategy('majority'), /requires n >= 1/);
+    assert.deepEqual(listStrategies(), ['ahead-by-k', 'majority', 'supermajority', 'unanimity', 'confidence']);
+});
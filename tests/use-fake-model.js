@@ -0,0 +1,5 @@
+import { registerProvider } from "../src/providers.js";
+import { createFakeProvider } from "./fake-model.js";
+
+// Preloaded into the CLI by the CLI tests (node --import), so `--provider fake` runs offline
+registerProvider("fake", createFakeProvider);